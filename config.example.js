@@ -9,9 +9,92 @@ export const CONFIG = {
   // Get your agent ID from: https://elevenlabs.io/app/conversational-ai
   ELEVENLABS_AGENT_ID: 'agent_your_id_here',
 
+  // Optional: Conversation backend - 'elevenlabs' (default) or 'mock'
+  // The mock agent runs offline from a script (also available with ?agent=mock)
+  CONVERSATION_BACKEND: 'elevenlabs',
+
+  // Optional: Replace the mock agent's script (see modules/mock-agent-adapter.js)
+  // MOCK_AGENT_SCRIPT: {
+  //   greeting: 'Mock agent ready',
+  //   fallback: 'No scripted answer',
+  //   rules: [
+  //     { match: /next/i, actions: [{ tool: 'nextPage' }, { say: '{message}' }] }
+  //   ]
+  // },
+
+  // Optional: 'open' (default) - the agent hears the microphone the whole session
+  //           'push-to-talk' - the agent only hears you while V (or the voice button) is held,
+  //           so audience chatter in noisy rooms is not picked up. Double-click the button to hang up.
+  VOICE_INPUT_MODE: 'open',
+
+  // Optional: Typing in the chat without a voice session starts a text-only session
+  // (no microphone or audio; same tools and transcript). false requires a voice session.
+  // ElevenLabs agents must allow the "text only" override in their security settings.
+  TEXT_ONLY_SESSIONS: true,
+
+  // Optional: Reconnect when the voice session drops without hanging up
+  // Waits BASE_DELAY_MS, then doubles the wait on each attempt (up to MAX_DELAY_MS)
+  VOICE_RECONNECT: {
+    MAX_ATTEMPTS: 5,
+    BASE_DELAY_MS: 1000,
+    MAX_DELAY_MS: 15000
+  },
+
   // PDF file path (relative to index.html)
   PDF_PATH: './presentation.pdf',
 
+  // Optional: Deck manifest (titles, sections, notes, hidden slides) for PDF_PATH
+  // Defaults to the PDF path with a .deck.json extension (./presentation.deck.json)
+  // DECK_MANIFEST_PATH: './presentation.deck.json',
+
+  // Optional: Number of rendered slides kept in memory for instant navigation
+  // The next/previous slides are pre-rendered in the background
+  RENDER_CACHE_SIZE: 8,
+
+  // Optional: Override keyboard shortcuts (KeyboardEvent.key values per action)
+  // Actions: nextPage, previousPage, firstPage, lastPage, search, toggleOverview,
+  //          openPresenterView, pairRemote, toggleAutoAdvance, toggleTimer (presenter window),
+  //          pushToTalk (held; only with VOICE_INPUT_MODE 'push-to-talk'), closeOverlays, toggleHelp
+  // An empty array disables an action. Press ? in the viewer to see the active keys.
+  KEYBOARD_SHORTCUTS: {
+    // nextPage: ['ArrowRight', 'PageDown', ' '],
+  },
+
+  // Optional: Planned length of the talk in minutes
+  // The presenter view (press P) counts down the remaining time; omit for elapsed time only
+  PRESENTATION_DURATION_MINUTES: 20,
+
+  // Optional: Auto-advance (▶ Auto button or A) and rehearsal targets
+  // A slide's `duration` in the deck manifest wins over SLIDE_SECONDS, which wins over
+  // DEFAULT_SECONDS. Rehearsal (⏺ Rehearse) compares time spent per slide with those
+  // durations; slides without one share what is left of PRESENTATION_DURATION_MINUTES.
+  AUTO_ADVANCE: {
+    DEFAULT_SECONDS: 15,
+    SLIDE_SECONDS: {
+      // 3: 45
+    },
+    LOOP: false,       // Start over after the last slide (kiosk mode)
+    AUTOSTART: false   // Start playing as soon as the deck loads
+  },
+
+  // Optional: Follow-along sync and phone remote (start the relay with `node server/relay.mjs`)
+  // The presenter opens the viewer as usual; attendees open it with ?sync=follower and follow
+  // the presenter's slides (voice and presenter controls are disabled for them).
+  // Phones pair through the same relay, so use an address they can reach (not localhost).
+  // SYNC: {
+  //   RELAY_URL: 'ws://192.168.1.20:8787',
+  //   ROOM: 'quarterly-review',  // Defaults to the PDF path
+  //   ROLE: 'presenter'          // Role when the URL has no ?sync= parameter
+  // },
+
+  // Optional: Tell the voice agent which slide is on screen after every page change
+  // (page number, title and slide text). DEBOUNCE_MS waits for rapid clicks to settle.
+  SLIDE_CONTEXT_UPDATES: {
+    ENABLED: true,
+    DEBOUNCE_MS: 750,
+    MAX_TEXT_LENGTH: 1500
+  },
+
   // Optional: Customize loading messages
   LOADING_MESSAGES: {
     INITIALIZING: 'Initializing...',
@@ -7,8 +7,9 @@ This script extracts text and tables from PDF presentations, formatting them
 in a way that's optimized for RAG (Retrieval-Augmented Generation) systems
 and AI voice assistants.
 
-Additionally, it auto-generates the slide-titles.js file needed by the
-presentation viewer's slide navigation sidebar.
+Additionally, it generates the deck manifest (presentation.deck.json next to
+the PDF) that the presentation viewer loads at runtime for slide titles,
+sections, speaker notes and hidden slides.
 """
 
 import pdfplumber
@@ -18,6 +19,24 @@ import re
 import json
 
 
+# Two letters in a row: text made only of digits or symbols (a big "2500" on a
+# statistics slide) is never a title (same rule as TitleProvider.cleanTitle)
+WORD_PATTERN = re.compile(r'[^\W\d_]{2,}')
+
+
+def has_words(line):
+    """
+    Check whether a line contains words rather than only numbers or symbols.
+
+    Args:
+        line: Candidate title
+
+    Returns:
+        bool: True if the line contains at least two letters in a row
+    """
+    return bool(WORD_PATTERN.search(line))
+
+
 def extract_slide_title(text):
     """
     Extract a slide title from page text using heuristics.
@@ -26,18 +45,19 @@ def extract_slide_title(text):
         text: Raw text from a PDF page
 
     Returns:
-        str: Extracted title or fallback text
+        str: Extracted title, or '' if no line contains words (the viewer
+        then works out the title itself)
     """
     if not text:
-        return "Untitled Slide"
+        return ""
 
     lines = text.strip().split('\n')
 
-    # Remove empty lines
-    lines = [line.strip() for line in lines if line.strip()]
+    # Remove empty lines and lines without words
+    lines = [line.strip() for line in lines if has_words(line)]
 
     if not lines:
-        return "Untitled Slide"
+        return ""
 
     # Strategy 1: Look for lines that are all caps (common for titles)
     for line in lines[:5]:  # Check first 5 lines
@@ -46,50 +66,83 @@ def extract_slide_title(text):
 
     # Strategy 2: Take the first substantial line
     for line in lines[:5]:
-        # Skip page numbers, footers, etc.
-        if len(line) > 5 and len(line) < 100 and not line.isdigit():
+        # Skip short labels and long paragraphs
+        if len(line) > 5 and len(line) < 100:
             # Clean up common artifacts
             cleaned = re.sub(r'^\d+[\.\)]\s*', '', line)  # Remove "1. " or "1) "
             cleaned = re.sub(r'\s+', ' ', cleaned)  # Normalize whitespace
-            return cleaned
+            if has_words(cleaned):
+                return cleaned
 
-    # Fallback: use first line
-    return lines[0][:80]  # Truncate if too long
+    # Fallback: use first line with words
+    return re.sub(r'\s+', ' ', lines[0])[:80]  # Truncate if too long
 
 
-def generate_slide_titles_js(slide_titles, output_path):
+def get_manifest_path(pdf_path):
     """
-    Generate the slide-titles.js file for the presentation viewer.
+    Default deck manifest location: the PDF path with a .deck.json extension.
+    Matches DeckManifest.getManifestURL() in the viewer.
 
     Args:
-        slide_titles: List of dicts with 'page' and 'title' keys
-        output_path: Path to write the slide-titles.js file
+        pdf_path: Path to the PDF file
+
+    Returns:
+        str: Manifest path
+    """
+    return os.path.splitext(pdf_path)[0] + '.deck.json'
+
+
+def generate_deck_manifest(slide_titles, output_path, presentation_title):
     """
-    js_content = '''/**
- * SLIDE TITLES
- *
- * Auto-generated by extract_pdf.py
- * Define titles for each slide in your presentation
- * This is used by the sidebar navigation
- *
- * You can manually edit these titles after generation if needed.
- */
-
-export const SLIDE_TITLES = [
-'''
+    Generate the deck manifest for the presentation viewer.
+
+    Notes, hidden flags and sections from an existing manifest are kept, so
+    hand-written speaker notes survive re-running the extraction. Titles are
+    regenerated unless the existing manifest marks them with "titleLocked".
 
+    Args:
+        slide_titles: List of dicts with 'page' and 'title' keys
+        output_path: Path to write the manifest
+        presentation_title: Deck title
+    """
+    existing = {}
+    if os.path.exists(output_path):
+        try:
+            with open(output_path, 'r', encoding='utf-8') as f:
+                existing = json.load(f)
+        except (OSError, ValueError) as error:
+            print(f"  ⚠️  Could not read existing manifest ({error}) - it will be replaced")
+
+    existing_slides = {
+        slide.get('page'): slide
+        for slide in existing.get('slides', [])
+        if isinstance(slide, dict)
+    }
+
+    slides = []
     for slide in slide_titles:
-        # Escape single quotes in titles
-        title = slide['title'].replace("'", "\\'")
-        js_content += f"  {{ page: {slide['page']}, title: '{title}' }},\n"
+        entry = dict(existing_slides.get(slide['page'], {}))
+        entry['page'] = slide['page']
+        if not entry.get('titleLocked'):
+            if slide['title']:
+                entry['title'] = slide['title']
+            else:
+                entry.pop('title', None)
+        slides.append(entry)
 
-    js_content += '];\n'
+    manifest = {
+        'title': existing.get('title', presentation_title),
+        'pageCount': len(slide_titles),
+        'sections': existing.get('sections', []),
+        'slides': slides
+    }
 
     with open(output_path, 'w', encoding='utf-8') as f:
-        f.write(js_content)
+        json.dump(manifest, f, indent=2, ensure_ascii=False)
+        f.write('\n')
 
 
-def extract_pdf_for_rag(pdf_path, output_path, presentation_title=None, generate_js_titles=True):
+def extract_pdf_for_rag(pdf_path, output_path, presentation_title=None, generate_manifest=True):
     """
     Extract PDF content preserving slide numbers and structure.
 
@@ -97,13 +150,13 @@ def extract_pdf_for_rag(pdf_path, output_path, presentation_title=None, generate
         pdf_path: Path to input PDF file
         output_path: Path to output text file
         presentation_title: Optional title for the presentation (extracted from filename if not provided)
-        generate_js_titles: Whether to auto-generate slide-titles.js file (default: True)
+        generate_manifest: Whether to generate the deck manifest (default: True)
     """
     # Extract title from filename if not provided
     if presentation_title is None:
         presentation_title = os.path.splitext(os.path.basename(pdf_path))[0].replace('_', ' ').title()
 
-    # Store slide titles for JS generation
+    # Store slide titles for the deck manifest
     slide_titles = []
 
     with pdfplumber.open(pdf_path) as pdf:
@@ -131,7 +184,10 @@ def extract_pdf_for_rag(pdf_path, output_path, presentation_title=None, generate
                 slide_titles.append({'page': i, 'title': slide_title})
 
                 # Show progress with extracted title
-                print(f"  [{i}/{total_pages}] {slide_title[:60]}{'...' if len(slide_title) > 60 else ''}")
+                if slide_title:
+                    print(f"  [{i}/{total_pages}] {slide_title[:60]}{'...' if len(slide_title) > 60 else ''}")
+                else:
+                    print(f"  [{i}/{total_pages}] (no title - the viewer works it out)")
 
                 if text:
                     # Write page header with clear slide number
@@ -162,26 +218,11 @@ def extract_pdf_for_rag(pdf_path, output_path, presentation_title=None, generate
                     out.write("=" * 80 + "\n")
                     out.write("[Image-only slide or no extractable text]\n\n")
 
-    # Generate slide-titles.js if requested
-    js_output_path = None
-    if generate_js_titles:
-        # Determine output path for slide-titles.js
-        # If extract_pdf.py is in presentation_viewer/, put it in modules/
-        # Otherwise, put it next to the script
-        script_dir = os.path.dirname(os.path.abspath(__file__))
-
-        # Check if we're in the presentation_viewer directory
-        if os.path.basename(script_dir) == 'presentation_viewer':
-            modules_dir = os.path.join(script_dir, 'modules')
-            if os.path.exists(modules_dir):
-                js_output_path = os.path.join(modules_dir, 'slide-titles.js')
-            else:
-                js_output_path = os.path.join(script_dir, 'slide-titles.js')
-        else:
-            # Put it in the same directory as the output file
-            js_output_path = os.path.join(os.path.dirname(output_path), 'slide-titles.js')
-
-        generate_slide_titles_js(slide_titles, js_output_path)
+    # Generate the deck manifest next to the PDF (where the viewer looks for it)
+    manifest_path = None
+    if generate_manifest:
+        manifest_path = get_manifest_path(pdf_path)
+        generate_deck_manifest(slide_titles, manifest_path, presentation_title)
 
     # Print summary
     print(f"\n{'='*80}")
@@ -192,12 +233,12 @@ def extract_pdf_for_rag(pdf_path, output_path, presentation_title=None, generate
     print(f"   → {total_pages} slides extracted")
     print(f"   → Ready for ElevenLabs agent ingestion")
 
-    if generate_js_titles and js_output_path:
-        print(f"\n🗂️  Slide Navigation File:")
-        print(f"   {js_output_path}")
-        print(f"   → {len(slide_titles)} slide titles generated")
-        print(f"   → Ready for presentation viewer sidebar")
-        print(f"   → You can manually edit titles if needed")
+    if generate_manifest and manifest_path:
+        print(f"\n🗂️  Deck Manifest:")
+        print(f"   {manifest_path}")
+        print(f"   → {sum(1 for slide in slide_titles if slide['title'])} slide titles generated")
+        print(f"   → Loaded by the presentation viewer alongside the PDF")
+        print(f"   → Add sections, speaker notes and hidden slides by editing it")
 
     print(f"\n{'='*80}\n")
 
@@ -209,12 +250,12 @@ if __name__ == "__main__":
         print("="*80)
         print("\nUsage: python extract_pdf.py <pdf_file> [output_file] [presentation_title]")
         print("\nOptions:")
-        print("  --no-js-titles    Skip auto-generation of slide-titles.js")
+        print("  --no-manifest     Skip generation of the deck manifest (.deck.json)")
         print("\nExamples:")
         print("  python extract_pdf.py presentation.pdf")
         print("  python extract_pdf.py presentation.pdf output.txt")
         print("  python extract_pdf.py presentation.pdf output.txt 'My Presentation Title'")
-        print("  python extract_pdf.py presentation.pdf --no-js-titles")
+        print("  python extract_pdf.py presentation.pdf --no-manifest")
         print("\n" + "="*80 + "\n")
         sys.exit(1)
 
@@ -236,11 +277,11 @@ if __name__ == "__main__":
     # Optional custom title
     title = args[2] if len(args) > 2 else None
 
-    # Check if JS generation should be skipped
-    generate_js = '--no-js-titles' not in flags
+    # Check if manifest generation should be skipped (--no-js-titles is the old name)
+    generate_manifest = '--no-manifest' not in flags and '--no-js-titles' not in flags
 
     if not os.path.exists(pdf_file):
         print(f"\n❌ Error: PDF file '{pdf_file}' not found\n")
         sys.exit(1)
 
-    extract_pdf_for_rag(pdf_file, output_file, title, generate_js)
+    extract_pdf_for_rag(pdf_file, output_file, title, generate_manifest)
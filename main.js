@@ -5,7 +5,6 @@
  * This file connects all modules and initializes the presentation system
  */
 
-import { Conversation } from 'https://esm.sh/@elevenlabs/client@0.11.0';
 import { StateManager } from './modules/state-manager.js';
 import { PDFRenderer } from './modules/pdf-renderer.js';
 import { NavigationController } from './modules/navigation.js';
@@ -13,8 +12,31 @@ import { UIControls } from './modules/ui-controls.js';
 import { APIController } from './modules/api-controller.js';
 import { VoiceControls } from './modules/voice-controls.js';
 import { SlideSidebar } from './modules/slide-sidebar.js';
+import { SlideOverview } from './modules/slide-overview.js';
 import { ChatInterface } from './modules/chat-interface.js';
+import { HistoryManager } from './modules/history-manager.js';
+import { KeyboardShortcuts, DEFAULT_KEYMAP } from './modules/keyboard-shortcuts.js';
+import { SearchIndex } from './modules/search-index.js';
+import { DeckManifest } from './modules/deck-manifest.js';
+import { TitleProvider } from './modules/title-provider.js';
+import { SpeakerNotes } from './modules/speaker-notes.js';
 import { TranscriptManager } from './modules/transcript-manager.js';
+import { SlideContextNotifier } from './modules/slide-context.js';
+import { PresenterBridge } from './modules/presenter-bridge.js';
+import { SyncClient } from './modules/sync-client.js';
+import { FollowAlong } from './modules/follow-along.js';
+import { RemoteControlHost } from './modules/remote-control.js';
+import { SlideTiming } from './modules/slide-timing.js';
+import { AutoAdvancePlayer } from './modules/auto-advance.js';
+import { RehearsalRecorder } from './modules/rehearsal-recorder.js';
+import { PlaybackControls } from './modules/playback-controls.js';
+import { GuidedTour } from './modules/guided-tour.js';
+import { TourProgress } from './modules/tour-progress.js';
+import { ElevenLabsAdapter } from './modules/elevenlabs-adapter.js';
+import { MockAgentAdapter, DEFAULT_MOCK_SCRIPT } from './modules/mock-agent-adapter.js';
+import { VoiceSession } from './modules/voice-session.js';
+import { VoiceSettings } from './modules/voice-settings.js';
+import { PushToTalk } from './modules/push-to-talk.js';
 import { registerClientTools } from './modules/client-tools.js';
 import { CONFIG } from './config.js';
 
@@ -47,18 +69,35 @@ export async function initPresentation(
     }
 
     console.log('[Main] Step 1/7: Creating PDF renderer');
-    const pdfRenderer = new PDFRenderer(canvasContainer);
+    const pdfRenderer = new PDFRenderer(canvasContainer, {
+      cacheSize: CONFIG.RENDER_CACHE_SIZE || 8
+    });
 
-    console.log('[Main] Step 2/8: Loading PDF');
+    console.log('[Main] Step 2/8: Loading PDF and deck manifest');
     updateLoading(40, 'Loading PDF file...');
-    const { totalPages } = await pdfRenderer.loadPDF(pdfPath);
+    // CONFIG.DECK_MANIFEST_PATH only applies to the configured PDF (not ?deck= links)
+    const manifestPath = (pdfPath === CONFIG.PDF_PATH && CONFIG.DECK_MANIFEST_PATH) ||
+      DeckManifest.getManifestURL(pdfPath);
+    const [{ totalPages }, deckManifest] = await Promise.all([
+      pdfRenderer.loadPDF(pdfPath),
+      DeckManifest.load(manifestPath)
+    ]);
+    deckManifest.setTotalPages(totalPages);
+
+    // Follow-along sync: followers mirror the presenter and get no presenter-only controls
+    const syncConfig = CONFIG.SYNC || {};
+    const syncRole = syncConfig.RELAY_URL
+      ? (FollowAlong.getRoleFromURL() || syncConfig.ROLE || 'presenter')
+      : null;
+    const isFollower = syncRole === 'follower';
 
     console.log('[Main] Step 3/8: Initializing state manager');
     updateLoading(50, 'Setting up navigation...');
-    const stateManager = new StateManager(totalPages);
+    const stateManager = new StateManager(totalPages, HistoryManager.getPageFromURL() || 1);
 
     console.log('[Main] Step 4/8: Creating navigation controller');
     const navigationController = new NavigationController(stateManager, pdfRenderer);
+    navigationController.setHiddenPages(deckManifest.getHiddenPages());
 
     console.log('[Main] Step 4.5/10: Setting up PDF link navigation');
     pdfRenderer.setNavigationCallback((pageNumber) => {
@@ -85,24 +124,126 @@ export async function initPresentation(
     const apiController = new APIController(navigationController);
     apiController.expose();
 
+    console.log('[Main] Step 7.5/10: Creating slide search index');
+    const searchIndex = new SearchIndex(pdfRenderer, {
+      getTitle: (pageNum) => deckManifest.getTitle(pageNum)
+    });
+
+    console.log('[Main] Step 7.6/10: Creating slide overview grid');
+    const slideOverview = new SlideOverview(navigationController, stateManager, { deckManifest });
+    slideOverview.render();
+
+    // Talking points: edits from the presenter view, then the manifest, then PDF comments
+    const speakerNotes = new SpeakerNotes({ deckPath: pdfPath, deckManifest, pdfRenderer });
+
+    // Agent-led tour; followers have no voice agent. Context goes through the
+    // transcript manager, which exists by the time a session can start a tour.
+    const guidedTour = isFollower ? null : new GuidedTour({
+      stateManager,
+      navigationController,
+      speakerNotes,
+      getTitle: (pageNum) => deckManifest.getTitle(pageNum),
+      sendContext: (text) => transcriptManager.sendContextualUpdate(text)
+    });
+
     console.log('[Main] Step 8/10: Registering client tools for ElevenLabs widget');
-    registerClientTools(navigationController);
+    registerClientTools(navigationController, { searchIndex, deckManifest, slideOverview, speakerNotes, guidedTour });
 
     console.log('[Main] Step 9/10: Rendering first page');
     updateLoading(80, 'Rendering first page...');
-    await pdfRenderer.renderPage(1);
+    await navigationController.renderCurrentPage();
+
+    console.log('[Main] Step 9.5/10: Syncing page with URL and browser history');
+    const historyManager = new HistoryManager(stateManager, navigationController);
+    historyManager.start();
+
+    let followAlong = null;
+    if (syncRole) {
+      console.log(`[Main] Step 9.6/10: Joining follow-along sync as ${syncRole}`);
+      followAlong = new FollowAlong({
+        stateManager,
+        navigationController,
+        syncClient: new SyncClient({
+          url: syncConfig.RELAY_URL,
+          room: syncConfig.ROOM || pdfPath,
+          role: syncRole
+        })
+      });
+      followAlong.render();
+    }
+
+    // Followers mirror the presenter's pace, so they get no playback controls
+    let autoAdvancePlayer = null;
+    let playbackControls = null;
+    if (!isFollower) {
+      console.log('[Main] Step 9.7/10: Setting up auto-advance and rehearsal mode');
+      const autoAdvanceConfig = CONFIG.AUTO_ADVANCE || {};
+      const slideTiming = new SlideTiming({
+        totalPages,
+        deckManifest,
+        slideSeconds: autoAdvanceConfig.SLIDE_SECONDS || {},
+        defaultSeconds: autoAdvanceConfig.DEFAULT_SECONDS || 15,
+        totalMinutes: CONFIG.PRESENTATION_DURATION_MINUTES || null,
+        isHidden: (pageNum) => navigationController.isPageHidden(pageNum)
+      });
+
+      autoAdvancePlayer = new AutoAdvancePlayer({
+        stateManager,
+        navigationController,
+        getDurationMs: (pageNum) => slideTiming.getDurationMs(pageNum),
+        loop: autoAdvanceConfig.LOOP || false
+      });
+
+      const rehearsalRecorder = new RehearsalRecorder({
+        stateManager,
+        getTargetMs: (pageNum) => slideTiming.getTargetMs(pageNum),
+        getTitle: (pageNum) => deckManifest.getTitle(pageNum)
+      });
+
+      playbackControls = new PlaybackControls(document.getElementById('nav-extras'), {
+        player: autoAdvancePlayer,
+        recorder: rehearsalRecorder
+      });
+      playbackControls.render();
+
+      const tourProgress = new TourProgress(document.getElementById('nav-extras'), guidedTour);
+      tourProgress.render();
+
+      if (autoAdvanceConfig.AUTOSTART) {
+        autoAdvancePlayer.start();
+      }
+    }
 
     console.log('[Main] Step 10/13: Setting up chat interface');
     updateLoading(82, 'Setting up chat interface...');
 
     // Create chat interface
     const chatInterface = new ChatInterface({
-      onSubmit: (text) => {
+      onSubmit: async (text) => {
         console.log('[Main] Chat message submitted:', text);
-        if (transcriptManager && transcriptManager._conversation) {
+        if (guidedTour) {
+          guidedTour.pause('the audience typed a question');
+        }
+
+        // No session yet: start a text-only one (no microphone) and send once connected
+        if (!voiceSession.isActive() && CONFIG.TEXT_ONLY_SESSIONS !== false) {
+          await voiceSession.start({ textOnly: true });
+        }
+
+        if (transcriptManager.hasConversation()) {
           transcriptManager.sendTextMessage(text);
-        } else {
+          return;
+        }
+
+        // Not sent: keep what was typed in the chat and say why next to it
+        chatInterface.addMessage('user', text, new Date());
+        if (voiceSession.isActive()) {
+          chatInterface.addMessage('system', 'Still connecting to the agent - please send again in a moment.', new Date());
+        } else if (CONFIG.TEXT_ONLY_SESSIONS === false) {
           chatInterface.addMessage('system', 'Voice session not active. Please start a voice conversation first.', new Date());
+        } else {
+          const reason = voiceSession.lastError ? `: ${voiceSession.lastError.message}` : '';
+          chatInterface.addMessage('system', `Message not sent - could not start the text chat${reason}`, new Date());
         }
       },
       onTyping: (isTyping) => {
@@ -121,6 +262,18 @@ export async function initPresentation(
     });
     console.log('[Main] TranscriptManager created (conversation will be set on session start)');
 
+    // Keep the agent informed about the slide on screen
+    const slideContextConfig = CONFIG.SLIDE_CONTEXT_UPDATES || {};
+    const slideContextNotifier = new SlideContextNotifier({
+      stateManager,
+      navigationController,
+      transcriptManager,
+      getTitle: (pageNum) => deckManifest.getTitle(pageNum),
+      enabled: slideContextConfig.ENABLED !== false,
+      debounceMs: slideContextConfig.DEBOUNCE_MS || 750,
+      maxTextLength: slideContextConfig.MAX_TEXT_LENGTH || 1500
+    });
+
     // Create chat toggle button
     const chatToggleBtn = document.createElement('button');
     chatToggleBtn.className = 'chat-toggle-btn';
@@ -131,77 +284,220 @@ export async function initPresentation(
       chatInterface.toggle();
       chatToggleBtn.classList.toggle('active', chatInterface.isVisible());
     });
-    document.body.appendChild(chatToggleBtn);
+
+    // Sync page and transcript with the presenter window (opened from the top-right button)
+    let presenterBridge = null;
+    let remoteControl = null;
+
+    if (isFollower) {
+      // The voice agent and presenter tools belong to the presenter's viewer
+      voiceControls.setDisabled(true, 'Following Presenter');
+    } else {
+      document.body.appendChild(chatToggleBtn);
+
+      presenterBridge = new PresenterBridge({
+        stateManager,
+        navigationController,
+        transcriptManager,
+        deckPath: pdfPath
+      });
+      presenterBridge.start();
+
+      const presenterViewBtn = document.createElement('button');
+      presenterViewBtn.className = 'presenter-view-btn';
+      presenterViewBtn.innerHTML = '🖥️';
+      presenterViewBtn.setAttribute('aria-label', 'Open presenter view');
+      presenterViewBtn.setAttribute('title', 'Open presenter view (notes, next slide, timer)');
+      presenterViewBtn.addEventListener('click', () => presenterBridge.openPresenterWindow());
+      document.body.appendChild(presenterViewBtn);
+
+      // Phone remote pairs through the same relay as follow-along sync
+      if (syncConfig.RELAY_URL) {
+        remoteControl = new RemoteControlHost({
+          stateManager,
+          navigationController,
+          voiceControls,
+          relayURL: syncConfig.RELAY_URL,
+          deckManifest,
+          speakerNotes
+        });
+        remoteControl.render();
+      }
+    }
 
     console.log('[Main] Step 11/13: Preparing voice assistant (ready when you click)');
     updateLoading(85, 'Voice assistant ready...');
 
-    // Prepare conversation config for voice controls
+    // Conversation backend: ElevenLabs, or the offline mock agent with ?agent=mock
+    const conversationBackend = new URLSearchParams(window.location.search).get('agent') ||
+      CONFIG.CONVERSATION_BACKEND || 'elevenlabs';
+    const conversationAdapter = conversationBackend === 'mock'
+      ? new MockAgentAdapter({ script: CONFIG.MOCK_AGENT_SCRIPT || DEFAULT_MOCK_SCRIPT })
+      : new ElevenLabsAdapter({ agentId: CONFIG.ELEVENLABS_AGENT_ID });
+
+    if (conversationBackend === 'mock') {
+      // Drive the mock from the console: window.mockAgent.simulateUserSpeech('next slide')
+      window.mockAgent = conversationAdapter;
+    }
+
+    // Voice session: connection state machine with automatic reconnect
     // Session will start when user clicks the voice button
-    const conversationConfig = {
-      agentId: CONFIG.ELEVENLABS_AGENT_ID,
+    const reconnectConfig = CONFIG.VOICE_RECONNECT || {};
+    const voiceSession = new VoiceSession({
+      adapter: conversationAdapter,
       clientTools: window.clientTools,
-      onConnect: () => {
-        console.log('[ElevenLabs] Session connected');
-        voiceControls.isActive = true;
-        voiceControls.updateButtonState();
-
-        // Wait a moment for voiceControls.conversation to be assigned
-        setTimeout(() => {
-          console.log('[Main] Setting conversation on TranscriptManager...');
-          console.log('[Main] voiceControls.conversation exists?', !!voiceControls.conversation);
-
-          if (voiceControls.conversation) {
-            transcriptManager.setConversation(voiceControls.conversation);
-            console.log('[Main] ✅ TranscriptManager now has conversation reference');
-
-            // Add a welcome message
-            chatInterface.addMessage('system', 'Voice session connected - transcript will appear here', new Date());
-          } else {
-            console.error('[Main] ⚠️ voiceControls.conversation still null after delay');
-          }
-        }, 100); // Small delay to let conversation assignment complete
-      },
-      onDisconnect: () => {
-        console.log('[ElevenLabs] Session disconnected');
-        voiceControls.isActive = false;
-        voiceControls.updateButtonState();
-      },
-      onError: (error) => {
-        console.error('[ElevenLabs] Session error:', error);
-      },
+      maxReconnectAttempts: reconnectConfig.MAX_ATTEMPTS || 5,
+      reconnectBaseDelayMs: reconnectConfig.BASE_DELAY_MS || 1000,
+      reconnectMaxDelayMs: reconnectConfig.MAX_DELAY_MS || 15000,
       onMessage: (message) => {
-        console.log('[ElevenLabs] Message received:', message);
-        console.log('[ElevenLabs] Message type:', typeof message);
-        console.log('[ElevenLabs] Message keys:', message ? Object.keys(message) : 'null');
-        console.log('[ElevenLabs] TranscriptManager exists?', !!transcriptManager);
+        console.log('[Conversation] Message received:', message);
 
-        // Send message to transcript manager
-        if (transcriptManager) {
-          console.log('[Main] Routing message to TranscriptManager');
-          transcriptManager.handleVoiceMessage(message);
-        } else {
-          console.warn('[Main] TranscriptManager not initialized yet - message not routed to chat');
+        // Anything the audience says during a tour is an interruption
+        if (guidedTour && message && message.source === 'user') {
+          guidedTour.pause('the audience interrupted');
         }
+
+        transcriptManager.handleVoiceMessage(message);
       },
-      onModeChange: (mode) => {
-        console.log('[ElevenLabs] Mode changed:', mode.mode);
-        // mode.mode can be 'listening' or 'speaking'
-        voiceControls.setSpeaking(mode.mode === 'speaking');
+      onToolCall: ({ name, result }) => {
+        console.log(`[Conversation] Tool ${name} →`, result && result.message);
       }
-    };
+    });
+
+    // Button and transcript follow the session state
+    voiceControls.setSession(voiceSession);
+    transcriptManager.setSession(voiceSession);
 
-    // Pass conversation factory to voice controls
-    voiceControls.setConversationConfig(Conversation, conversationConfig);
+    // Push-to-talk: the mic only reaches the agent while the key or button is held
+    const pushToTalk = new PushToTalk({
+      session: voiceSession,
+      enabled: CONFIG.VOICE_INPUT_MODE === 'push-to-talk'
+    });
+    voiceControls.setPushToTalk(pushToTalk);
+
+    // Microphone, mute and volume popover (not for followers, whose voice is disabled)
+    let voiceSettings = null;
+    if (!voiceControls.isDisabled) {
+      voiceSettings = new VoiceSettings(voiceControlsContainer, {
+        session: voiceSession,
+        voiceControls,
+        pushToTalk,
+        pushToTalkKeys: (CONFIG.KEYBOARD_SHORTCUTS || {}).pushToTalk || DEFAULT_KEYMAP.pushToTalk
+      });
+      voiceSettings.render();
+    }
 
-    console.log('[ElevenLabs] ✅ Voice assistant ready');
-    console.log('[ElevenLabs] Tools available:', Object.keys(window.clientTools));
-    console.log('[ElevenLabs] Click the microphone button to start talking');
+    voiceSession.addEventListener('stateChanged', ({ state, previousState }) => {
+      console.log(`[Conversation] ${previousState} → ${state}`);
+
+      if (state === 'connected') {
+        // Tell the agent where the presentation currently is (also after a reconnect)
+        slideContextNotifier.sendCurrentSlide();
+      } else if (guidedTour && ['reconnecting', 'failed', 'ended'].includes(state)) {
+        guidedTour.pause(state === 'ended' ? 'the voice session ended' : 'the voice connection dropped');
+      }
+    });
+
+    console.log(`[Conversation] ✅ ${conversationAdapter.name} backend ready`);
+    console.log('[Conversation] Tools available:', Object.keys(window.clientTools));
+    console.log('[Conversation] Click the microphone button to start talking');
 
     console.log('[Main] Step 12/13: Creating slide sidebar navigation');
-    const slideSidebar = new SlideSidebar(navigationController, stateManager);
+    const slideSidebar = new SlideSidebar(navigationController, stateManager, { deckManifest, searchIndex });
     slideSidebar.render();
 
+    console.log('[Main] Step 12.5/13: Enabling keyboard shortcuts');
+    const keyboardShortcuts = new KeyboardShortcuts({
+      keymap: CONFIG.KEYBOARD_SHORTCUTS || {}
+    });
+    keyboardShortcuts.registerAction('nextPage', {
+      description: 'Next slide',
+      handler: () => navigationController.nextPage()
+    });
+    keyboardShortcuts.registerAction('previousPage', {
+      description: 'Previous slide',
+      handler: () => navigationController.previousPage()
+    });
+    keyboardShortcuts.registerAction('firstPage', {
+      description: 'First slide',
+      handler: () => navigationController.goToPage(1)
+    });
+    keyboardShortcuts.registerAction('lastPage', {
+      description: 'Last slide',
+      handler: () => navigationController.goToPage(navigationController.getTotalPages())
+    });
+    keyboardShortcuts.registerAction('search', {
+      description: 'Search slides',
+      handler: () => slideSidebar.openSearch()
+    });
+    keyboardShortcuts.registerAction('toggleOverview', {
+      description: 'Show all slides',
+      handler: () => slideOverview.toggle()
+    });
+    if (presenterBridge) {
+      keyboardShortcuts.registerAction('openPresenterView', {
+        description: 'Open presenter view',
+        handler: () => presenterBridge.openPresenterWindow()
+      });
+    }
+    if (remoteControl) {
+      keyboardShortcuts.registerAction('pairRemote', {
+        description: 'Pair a phone remote',
+        handler: () => remoteControl.toggle()
+      });
+    }
+    if (autoAdvancePlayer) {
+      keyboardShortcuts.registerAction('toggleAutoAdvance', {
+        description: 'Play/pause auto-advance',
+        handler: () => autoAdvancePlayer.toggle()
+      });
+    }
+    if (pushToTalk.enabled && !voiceControls.isDisabled) {
+      keyboardShortcuts.registerAction('pushToTalk', {
+        description: 'Hold to talk to the agent',
+        handler: () => pushToTalk.press(),
+        onRelease: () => pushToTalk.release()
+      });
+    }
+    keyboardShortcuts.registerPageJump((pageNum) => navigationController.goToPage(pageNum));
+    keyboardShortcuts.registerAction('closeOverlays', {
+      description: 'Close sidebar/chat',
+      handler: () => {
+        if (slideSidebar.isOpen) {
+          slideSidebar.close();
+        }
+        if (playbackControls && playbackControls.isReportOpen) {
+          playbackControls.closeReport();
+        }
+        if (remoteControl && remoteControl.isOpen) {
+          remoteControl.close();
+        }
+        if (voiceSettings && voiceSettings.isOpen) {
+          voiceSettings.close();
+        }
+        if (chatInterface.isVisible()) {
+          chatInterface.hide();
+          chatToggleBtn.classList.remove('active');
+        }
+      }
+    });
+    keyboardShortcuts.start();
+    slideOverview.setKeyboardShortcuts(keyboardShortcuts);
+
+    // Index all slide text in the background so search is instant when needed
+    searchIndex.build();
+
+    // Name slides the manifest does not cover from the PDF outline and headings
+    const titleProvider = new TitleProvider(pdfRenderer);
+    deckManifest.generateMissingTitles((pageNum) => titleProvider.getTitle(pageNum))
+      .then((generated) => {
+        if (generated > 0) {
+          slideSidebar.refresh();
+          slideOverview.refresh();
+          searchIndex.build().then(() => searchIndex.refreshTitles());
+        }
+      });
+
     console.log('[Main] Step 13/13: Finalizing chat interface');
     console.log('[Main] ✅ Chat toggle button added (bottom-right corner)');
     console.log('[Main] ✅ Chat interface ready - click 💬 to open transcript');
@@ -221,7 +517,7 @@ export async function initPresentation(
       },
       showChat: () => chatInterface.show(),
       hideChat: () => chatInterface.hide(),
-      hasConversation: () => !!transcriptManager._conversation,
+      hasConversation: () => transcriptManager.hasConversation(),
       getHistory: () => transcriptManager.getConversationHistory()
     };
     console.log('[Main] Chat debug helpers available at window.chatDebug');
@@ -236,8 +532,26 @@ export async function initPresentation(
       uiControls,
       voiceControls,
       slideSidebar,
+      slideOverview,
       chatInterface,
-      apiController
+      apiController,
+      historyManager,
+      keyboardShortcuts,
+      searchIndex,
+      slideContextNotifier,
+      presenterBridge,
+      followAlong,
+      remoteControl,
+      autoAdvancePlayer,
+      playbackControls,
+      guidedTour,
+      conversationAdapter,
+      voiceSession,
+      voiceSettings,
+      pushToTalk,
+      deckManifest,
+      speakerNotes,
+      titleProvider
     };
   } catch (error) {
     console.error('[Main] ❌ Failed to initialize presentation:', error);
@@ -305,8 +619,8 @@ if (typeof window !== 'undefined') {
 
       updateLoading(30, 'Initializing presentation system...');
 
-      // Initialize presentation
-      await initPresentation();
+      // Initialize presentation (a ?deck= URL parameter overrides the configured PDF)
+      await initPresentation(HistoryManager.getDeckFromURL() || CONFIG.PDF_PATH || './presentation.pdf');
 
       updateLoading(90, 'Finalizing...');
 
@@ -79,12 +79,13 @@ export class APIController {
       },
 
       /**
-       * Get text content of current page
+       * Get text content of a page (current page if omitted)
+       * @param {number} [pageNum] - Page number (1-indexed)
        * @returns {Promise<string>} Page text
        */
-      getPageText: async () => {
-        console.log('[API] getPageText called');
-        return await this.navigationController.getPageText();
+      getPageText: async (pageNum) => {
+        console.log(`[API] getPageText called${pageNum === undefined ? '' : ` with page: ${pageNum}`}`);
+        return await this.navigationController.getPageText(pageNum);
       }
     };
 
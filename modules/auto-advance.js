@@ -0,0 +1,261 @@
+/**
+ * AUTO-ADVANCE MODULE
+ *
+ * Purpose: Play the deck on its own (kiosk loops, unattended screens)
+ * Contract: While playing, moves on with NavigationController.nextPage once the
+ *           current slide's duration has passed. Any page change (manual, agent,
+ *           remote) restarts the countdown for the new slide. At the end of the
+ *           deck it loops back to the first visible slide or stops.
+ * Dependencies: state-manager.js, navigation.js
+ */
+
+const TICK_INTERVAL = 1000;
+
+export class AutoAdvancePlayer {
+  /**
+   * Initialize auto-advance player
+   * @param {Object} options - Configuration options
+   * @param {StateManager} options.stateManager - State manager
+   * @param {NavigationController} options.navigationController - Navigation controller
+   * @param {Function} options.getDurationMs - (pageNum) => milliseconds to stay on the page
+   * @param {boolean} [options.loop] - Start over after the last slide
+   */
+  constructor({ stateManager, navigationController, getDurationMs, loop = false }) {
+    if (!stateManager || !navigationController || typeof getDurationMs !== 'function') {
+      throw new Error('StateManager, NavigationController and getDurationMs are required');
+    }
+
+    this.stateManager = stateManager;
+    this.navigationController = navigationController;
+    this.getDurationMs = getDurationMs;
+    this.loop = loop;
+    this.state = 'stopped';
+    this.stateCallback = null;
+
+    this._durationMs = 0;
+    this._remainingMs = 0;
+    this._deadline = null;
+    this._advanceTimeout = null;
+    this._tickInterval = null;
+
+    this._handlePageChanged = this._handlePageChanged.bind(this);
+    this.stateManager.addEventListener('pageChanged', this._handlePageChanged);
+
+    console.log('[AutoAdvance] Initialized');
+  }
+
+  /**
+   * Set callback fired on every state change and every second while playing
+   * @param {Function} callback - Receives { state, loop, remainingMs, durationMs }
+   */
+  setStateCallback(callback) {
+    this.stateCallback = callback;
+  }
+
+  /**
+   * Whether slides are currently advancing
+   * @returns {boolean} True while playing
+   */
+  isPlaying() {
+    return this.state === 'playing';
+  }
+
+  /**
+   * Start playing from the current slide
+   */
+  start() {
+    if (this.state === 'playing') {
+      return;
+    }
+
+    if (this.state === 'paused') {
+      this.resume();
+      return;
+    }
+
+    this._resetCountdown();
+    this._play();
+    console.log('[AutoAdvance] ▶ Playing');
+  }
+
+  /**
+   * Pause, keeping the time left on the current slide
+   */
+  pause() {
+    if (this.state !== 'playing') {
+      return;
+    }
+
+    this._remainingMs = Math.max(0, this._deadline - Date.now());
+    this._clearTimers();
+    this.state = 'paused';
+    this._notify();
+
+    console.log('[AutoAdvance] ⏸ Paused');
+  }
+
+  /**
+   * Continue after a pause
+   */
+  resume() {
+    if (this.state !== 'paused') {
+      return;
+    }
+
+    this._play();
+    console.log('[AutoAdvance] ▶ Resumed');
+  }
+
+  /**
+   * Play if stopped or paused, pause if playing
+   */
+  toggle() {
+    if (this.state === 'playing') {
+      this.pause();
+    } else {
+      this.start();
+    }
+  }
+
+  /**
+   * Stop playing
+   */
+  stop() {
+    if (this.state === 'stopped') {
+      return;
+    }
+
+    this._clearTimers();
+    this.state = 'stopped';
+    this._notify();
+
+    console.log('[AutoAdvance] ⏹ Stopped');
+  }
+
+  /**
+   * Turn looping on or off
+   * @param {boolean} loop - Start over after the last slide
+   */
+  setLoop(loop) {
+    this.loop = loop;
+    this._notify();
+  }
+
+  /**
+   * Stop and stop listening for page changes
+   */
+  destroy() {
+    this._clearTimers();
+    this.stateManager.removeEventListener('pageChanged', this._handlePageChanged);
+    this.stateCallback = null;
+  }
+
+  /**
+   * Run the countdown from the remaining time
+   * @private
+   */
+  _play() {
+    this.state = 'playing';
+    this._deadline = Date.now() + this._remainingMs;
+    this._advanceTimeout = setTimeout(() => this._advance(), this._remainingMs);
+    this._tickInterval = setInterval(() => this._notify(), TICK_INTERVAL);
+    this._notify();
+  }
+
+  /**
+   * Move to the next slide (or loop / stop at the end)
+   * @private
+   */
+  _advance() {
+    if (this.navigationController.canGoNext()) {
+      this.navigationController.nextPage({ history: false });
+      return;
+    }
+
+    const firstPage = this._findFirstVisiblePage();
+    if (this.loop && firstPage !== this.stateManager.getCurrentPage()) {
+      console.log('[AutoAdvance] 🔁 Looping back to the first slide');
+      this.navigationController.goToPage(firstPage, { history: false });
+      return;
+    }
+
+    console.log('[AutoAdvance] Reached the last slide');
+    this.stop();
+  }
+
+  /**
+   * Restart the countdown for the new slide
+   * @private
+   */
+  _handlePageChanged() {
+    if (this.state === 'stopped') {
+      return;
+    }
+
+    const wasPlaying = this.state === 'playing';
+    this._clearTimers();
+    this._resetCountdown();
+
+    if (wasPlaying) {
+      this._play();
+    } else {
+      this._notify();
+    }
+  }
+
+  /**
+   * Set the countdown to the current slide's full duration
+   * @private
+   */
+  _resetCountdown() {
+    this._durationMs = this.getDurationMs(this.stateManager.getCurrentPage());
+    this._remainingMs = this._durationMs;
+  }
+
+  /**
+   * Find the first slide that is not hidden
+   * @private
+   * @returns {number} Page number
+   */
+  _findFirstVisiblePage() {
+    const totalPages = this.stateManager.getTotalPages();
+    for (let page = 1; page <= totalPages; page++) {
+      if (!this.navigationController.isPageHidden(page)) {
+        return page;
+      }
+    }
+    return 1;
+  }
+
+  /**
+   * Clear the advance timeout and the tick interval
+   * @private
+   */
+  _clearTimers() {
+    clearTimeout(this._advanceTimeout);
+    clearInterval(this._tickInterval);
+    this._advanceTimeout = null;
+    this._tickInterval = null;
+  }
+
+  /**
+   * Report the current state
+   * @private
+   */
+  _notify() {
+    if (!this.stateCallback) {
+      return;
+    }
+
+    const remainingMs = this.state === 'playing'
+      ? Math.max(0, this._deadline - Date.now())
+      : this._remainingMs;
+
+    this.stateCallback({
+      state: this.state,
+      loop: this.loop,
+      remainingMs,
+      durationMs: this._durationMs
+    });
+  }
+}
@@ -3,9 +3,22 @@
  *
  * Purpose: Register client tools for ElevenLabs widget
  * Contract: Expose tools in the format ElevenLabs widget expects
- * Dependencies: navigation.js
+ * Dependencies: navigation.js, search-index.js, deck-manifest.js, slide-overview.js,
+ *               speaker-notes.js, guided-tour.js
  */
 
+// Below this confidence goToSlideByTitle reports the match as ambiguous
+const CONFIDENCE_THRESHOLD = 0.6;
+
+// Title hits count much more than body hits when the agent asks for a slide by name
+const TITLE_SEARCH_WEIGHT = 20;
+
+// Largest page range getPageText returns in one call (keeps tool responses small)
+const MAX_PAGE_RANGE = 10;
+
+// Lines of body text included in slide summaries and the deck outline
+const SUMMARY_LINES = 3;
+
 /**
  * Initialize client tools stubs immediately (before widget loads)
  * These will be enhanced once navigation is ready
@@ -19,7 +32,18 @@ export function initClientToolsStubs() {
     goToPage: async () => ({ success: false, message: 'Navigation not ready yet' }),
     getCurrentPage: async () => ({ success: false, message: 'Navigation not ready yet' }),
     getTotalPages: async () => ({ success: false, message: 'Navigation not ready yet' }),
-    getPageText: async () => ({ success: false, message: 'Navigation not ready yet' })
+    getPageText: async () => ({ success: false, message: 'Navigation not ready yet' }),
+    getSlideSummary: async () => ({ success: false, message: 'Navigation not ready yet' }),
+    getDeckOutline: async () => ({ success: false, message: 'Navigation not ready yet' }),
+    getSpeakerNotes: async () => ({ success: false, message: 'Navigation not ready yet' }),
+    searchSlides: async () => ({ success: false, message: 'Navigation not ready yet' }),
+    goToSlideByTitle: async () => ({ success: false, message: 'Navigation not ready yet' }),
+    showSlideOverview: async () => ({ success: false, message: 'Navigation not ready yet' }),
+    hideSlideOverview: async () => ({ success: false, message: 'Navigation not ready yet' }),
+    startTour: async () => ({ success: false, message: 'Navigation not ready yet' }),
+    advanceTour: async () => ({ success: false, message: 'Navigation not ready yet' }),
+    resumeTour: async () => ({ success: false, message: 'Navigation not ready yet' }),
+    endTour: async () => ({ success: false, message: 'Navigation not ready yet' })
   };
 
   console.log('[ClientTools] ✅ Stubs registered:', Object.keys(window.clientTools));
@@ -28,8 +52,20 @@ export function initClientToolsStubs() {
 /**
  * Enhance client tools with actual navigation controller
  * @param {NavigationController} navigationController - Navigation controller instance
+ * @param {Object} [options] - Optional features
+ * @param {SearchIndex} [options.searchIndex] - Enables searchSlides and goToSlideByTitle
+ * @param {DeckManifest} [options.deckManifest] - Slide titles, sections and hidden flags
+ * @param {SlideOverview} [options.slideOverview] - Enables showSlideOverview and hideSlideOverview
+ * @param {SpeakerNotes} [options.speakerNotes] - Enables getSpeakerNotes
+ * @param {GuidedTour} [options.guidedTour] - Enables startTour, advanceTour, resumeTour and endTour
  */
-export function registerClientTools(navigationController) {
+export function registerClientTools(navigationController, {
+  searchIndex = null,
+  deckManifest = null,
+  slideOverview = null,
+  speakerNotes = null,
+  guidedTour = null
+} = {}) {
   console.log('[ClientTools] Enhancing client tools with navigation controller');
 
   // Replace stubs with real implementations
@@ -145,36 +181,615 @@ export function registerClientTools(navigationController) {
       };
     },
 
-    // Get text content of current page
-    getPageText: async () => {
-      console.log('[ClientTools] getPageText called by ElevenLabs');
-      const current = navigationController.getCurrentPage();
+    // Get text content of a page or page range (current page by default)
+    getPageText: async (params) => {
+      console.log('[ClientTools] getPageText called by ElevenLabs with params:', params);
+      const total = navigationController.getTotalPages();
+      const range = parsePageRange(params, navigationController.getCurrentPage(), total);
+
+      if (range.error) {
+        return { success: false, message: range.error, totalPages: total };
+      }
 
       try {
-        const text = await navigationController.getPageText();
+        const pages = [];
+        for (let pageNumber = range.start; pageNumber <= range.end; pageNumber++) {
+          const text = await navigationController.getPageText(pageNumber);
+          pages.push({
+            pageNumber,
+            title: getTitle(pageNumber),
+            text,
+            characterCount: text.length
+          });
+        }
+
+        if (pages.length === 1) {
+          return {
+            success: true,
+            ...pages[0],
+            message: `Retrieved text from page ${range.start}`
+          };
+        }
 
         return {
           success: true,
-          pageNumber: current,
-          text: text,
-          message: `Retrieved text from page ${current}`,
-          characterCount: text.length
+          pages,
+          characterCount: pages.reduce((sum, page) => sum + page.characterCount, 0),
+          message: `Retrieved text from pages ${range.start}-${range.end}`
         };
       } catch (error) {
         console.error('[ClientTools] Failed to get page text:', error);
         return {
           success: false,
-          message: `Failed to retrieve text from page ${current}`,
+          message: `Failed to retrieve text from page ${range.start}`,
+          error: error.message
+        };
+      }
+    },
+
+    // Get a short summary (title and opening lines) of a page or page range without navigating
+    getSlideSummary: async (params) => {
+      console.log('[ClientTools] getSlideSummary called by ElevenLabs with params:', params);
+      const total = navigationController.getTotalPages();
+      const range = parsePageRange(params, navigationController.getCurrentPage(), total);
+
+      if (range.error) {
+        return { success: false, message: range.error, totalPages: total };
+      }
+
+      try {
+        const currentPage = navigationController.getCurrentPage();
+        const pages = [];
+        for (let pageNumber = range.start; pageNumber <= range.end; pageNumber++) {
+          const summary = await summarizePage(pageNumber);
+          pages.push({ ...summary, isCurrentPage: pageNumber === currentPage });
+        }
+
+        if (pages.length === 1) {
+          return {
+            success: true,
+            ...pages[0],
+            message: `Page ${range.start}: ${pages[0].title || 'untitled'}`
+          };
+        }
+
+        return {
+          success: true,
+          pages,
+          message: `Summaries of pages ${range.start}-${range.end}`
+        };
+      } catch (error) {
+        console.error('[ClientTools] Failed to summarize page:', error);
+        return {
+          success: false,
+          message: `Failed to summarize page ${range.start}`,
+          error: error.message
+        };
+      }
+    },
+
+    // Get every page's title and opening lines so a tour can be planned
+    getDeckOutline: async () => {
+      console.log('[ClientTools] getDeckOutline called by ElevenLabs');
+      const total = navigationController.getTotalPages();
+
+      try {
+        const outline = [];
+        for (let pageNumber = 1; pageNumber <= total; pageNumber++) {
+          outline.push(await summarizePage(pageNumber));
+        }
+
+        return {
+          success: true,
+          totalPages: total,
+          currentPage: navigationController.getCurrentPage(),
+          outline,
+          message: `Outline of ${total} pages`
+        };
+      } catch (error) {
+        console.error('[ClientTools] Failed to build deck outline:', error);
+        return {
+          success: false,
+          message: 'Failed to build deck outline',
           error: error.message
         };
       }
+    },
+
+    // Get the presenter's talking points for a page or page range (current page by default)
+    getSpeakerNotes: async (params) => {
+      console.log('[ClientTools] getSpeakerNotes called by ElevenLabs with params:', params);
+      const total = navigationController.getTotalPages();
+
+      if (!speakerNotes) {
+        return { success: false, message: 'Speaker notes are not available' };
+      }
+
+      const range = parsePageRange(params, navigationController.getCurrentPage(), total);
+
+      if (range.error) {
+        return { success: false, message: range.error, totalPages: total };
+      }
+
+      try {
+        const pages = [];
+        for (let pageNumber = range.start; pageNumber <= range.end; pageNumber++) {
+          const { notes, source } = await speakerNotes.getNotes(pageNumber);
+          pages.push({
+            pageNumber,
+            title: getTitle(pageNumber),
+            notes,
+            hasNotes: notes.length > 0,
+            source
+          });
+        }
+
+        const withNotes = pages.filter(page => page.hasNotes).length;
+
+        if (pages.length === 1) {
+          return {
+            success: true,
+            ...pages[0],
+            message: pages[0].hasNotes
+              ? `Speaker notes for page ${range.start}`
+              : `Page ${range.start} has no speaker notes - use getPageText for the slide content`
+          };
+        }
+
+        return {
+          success: true,
+          pages,
+          message: `${withNotes} of ${pages.length} pages (${range.start}-${range.end}) have speaker notes`
+        };
+      } catch (error) {
+        console.error('[ClientTools] Failed to get speaker notes:', error);
+        return {
+          success: false,
+          message: `Failed to retrieve speaker notes for page ${range.start}`,
+          error: error.message
+        };
+      }
+    },
+
+    // Search slide titles and text across the whole deck
+    searchSlides: async (params) => {
+      console.log('[ClientTools] searchSlides called by ElevenLabs with params:', params);
+
+      const query = typeof params === 'object' && params !== null ? params.query : params;
+      const limit = parseInt(typeof params === 'object' && params !== null ? params.limit : 5) || 5;
+
+      if (!searchIndex) {
+        return { success: false, message: 'Slide search is not available' };
+      }
+
+      if (!query || typeof query !== 'string') {
+        return { success: false, message: 'Please provide a search query' };
+      }
+
+      await searchIndex.build();
+      const results = searchIndex.search(query, { limit });
+
+      if (results.length === 0) {
+        return {
+          success: true,
+          query,
+          results: [],
+          message: `No slides mention "${query}"`
+        };
+      }
+
+      // The agent will probably jump to one of these next
+      navigationController.prefetchPages(results.map(result => result.page));
+
+      return {
+        success: true,
+        query,
+        results: results.map(formatSearchResult),
+        message: `Found ${results.length} slide(s) matching "${query}". Best match: page ${results[0].page} (${results[0].title || 'untitled'})`
+      };
+    },
+
+    // Navigate to the slide that best matches a title or description
+    goToSlideByTitle: async (params) => {
+      console.log('[ClientTools] goToSlideByTitle called by ElevenLabs with params:', params);
+
+      const query = typeof params === 'object' && params !== null ? (params.title || params.query) : params;
+      const total = navigationController.getTotalPages();
+
+      if (!searchIndex) {
+        return { success: false, message: 'Slide search is not available' };
+      }
+
+      if (!query || typeof query !== 'string') {
+        return { success: false, message: 'Please provide a slide title or description' };
+      }
+
+      await searchIndex.build();
+      const results = searchIndex.search(query, { limit: 5, titleWeight: TITLE_SEARCH_WEIGHT });
+
+      if (results.length === 0) {
+        return {
+          success: false,
+          message: `No slide matches "${query}"`,
+          currentPage: navigationController.getCurrentPage(),
+          totalPages: total
+        };
+      }
+
+      const best = results[0];
+      const confidence = scoreConfidence(query, results);
+      const ambiguous = confidence < CONFIDENCE_THRESHOLD;
+
+      navigationController.goToPage(best.page);
+      navigationController.highlightText(best.terms);
+
+      const response = {
+        success: true,
+        pageNumber: best.page,
+        title: best.title,
+        confidence: Math.round(confidence * 100) / 100,
+        ambiguous,
+        currentPage: navigationController.getCurrentPage(),
+        totalPages: total,
+        message: `Jumped to page ${best.page} of ${total}: ${best.title || 'untitled'}`
+      };
+
+      if (ambiguous) {
+        response.alternatives = results.slice(1).map(formatSearchResult);
+        response.message += `. This may not be the slide the user meant - other candidates: ` +
+          response.alternatives.map(alt => `page ${alt.pageNumber} (${alt.title || 'untitled'})`).join(', ') +
+          '. Confirm with the user.';
+      }
+
+      return response;
+    },
+
+    // Show every slide in a grid so the audience can pick one ("show me all the slides")
+    showSlideOverview: async () => {
+      console.log('[ClientTools] showSlideOverview called by ElevenLabs');
+
+      if (!slideOverview) {
+        return { success: false, message: 'Slide overview is not available' };
+      }
+
+      slideOverview.open();
+      const total = navigationController.getTotalPages();
+
+      return {
+        success: true,
+        isOpen: true,
+        currentPage: navigationController.getCurrentPage(),
+        totalPages: total,
+        message: `Showing all ${total} slides. Navigating to a slide closes the overview.`
+      };
+    },
+
+    // Close the overview and return to the current slide
+    hideSlideOverview: async () => {
+      console.log('[ClientTools] hideSlideOverview called by ElevenLabs');
+
+      if (!slideOverview) {
+        return { success: false, message: 'Slide overview is not available' };
+      }
+
+      const wasOpen = slideOverview.isOpen;
+      slideOverview.close();
+
+      return {
+        success: true,
+        isOpen: false,
+        currentPage: navigationController.getCurrentPage(),
+        message: wasOpen ? 'Closed the slide overview' : 'The slide overview was not open'
+      };
+    },
+
+    // Present the deck: builds a plan of slides and notes and shows the first one
+    startTour: async (params) => {
+      console.log('[ClientTools] startTour called by ElevenLabs with params:', params);
+      const total = navigationController.getTotalPages();
+
+      if (!guidedTour) {
+        return { success: false, message: 'Guided tours are not available' };
+      }
+
+      const pagesSpec = typeof params === 'object' && params !== null ? params.pages : params;
+      const pages = parsePageList(pagesSpec, total);
+
+      if (pages.error) {
+        return { success: false, message: pages.error, totalPages: total };
+      }
+
+      try {
+        const { plan, step } = await guidedTour.start({ pages });
+        return {
+          success: true,
+          plan: plan.map(({ page, title, notes }) => ({ pageNumber: page, title, notes })),
+          current: step,
+          message: `Tour started with ${plan.length} slides. Now showing slide ${step.pageNumber}. ` +
+            'Narrate it using its notes and text, then call advanceTour. ' +
+            'If the audience interrupts, the tour pauses - answer them, then call resumeTour.'
+        };
+      } catch (error) {
+        console.error('[ClientTools] Failed to start tour:', error);
+        return { success: false, message: 'Failed to start the tour', error: error.message };
+      }
+    },
+
+    // Mark the current tour slide as covered and show the next one
+    advanceTour: async () => {
+      console.log('[ClientTools] advanceTour called by ElevenLabs');
+
+      if (!guidedTour) {
+        return { success: false, message: 'Guided tours are not available' };
+      }
+
+      if (guidedTour.state === 'paused') {
+        return {
+          success: false,
+          progress: guidedTour.getProgress(),
+          message: 'The tour is paused because the audience interrupted. Answer them, then call resumeTour.'
+        };
+      }
+
+      if (guidedTour.state !== 'running') {
+        return { success: false, message: 'No tour is running. Call startTour first.' };
+      }
+
+      const step = await guidedTour.advance();
+      if (!step) {
+        return {
+          success: true,
+          finished: true,
+          progress: guidedTour.getProgress(),
+          message: 'That was the last slide of the tour. Wrap up and invite questions.'
+        };
+      }
+
+      return {
+        success: true,
+        finished: false,
+        current: step,
+        message: `Now showing slide ${step.pageNumber} (step ${step.step} of ${step.totalSteps}). ` +
+          'Narrate it, then call advanceTour.'
+      };
+    },
+
+    // Continue a paused tour, skipping slides already covered
+    resumeTour: async (params) => {
+      console.log('[ClientTools] resumeTour called by ElevenLabs with params:', params);
+      const total = navigationController.getTotalPages();
+
+      if (!guidedTour) {
+        return { success: false, message: 'Guided tours are not available' };
+      }
+
+      if (guidedTour.state !== 'paused') {
+        return {
+          success: false,
+          progress: guidedTour.getProgress(),
+          message: guidedTour.state === 'running'
+            ? 'The tour is already running. Call advanceTour when you finish the current slide.'
+            : 'No tour is paused. Call startTour to begin one.'
+        };
+      }
+
+      const coveredSpec = typeof params === 'object' && params !== null ? params.coveredPages : undefined;
+      const coveredPages = parsePageList(coveredSpec, total);
+
+      if (coveredPages.error) {
+        return { success: false, message: coveredPages.error, totalPages: total };
+      }
+
+      const step = await guidedTour.resume({ coveredPages: coveredPages || [] });
+      if (!step) {
+        return {
+          success: true,
+          finished: true,
+          progress: guidedTour.getProgress(),
+          message: 'Every slide of the tour has been covered. Wrap up and invite questions.'
+        };
+      }
+
+      return {
+        success: true,
+        finished: false,
+        current: step,
+        message: `Resumed the tour on slide ${step.pageNumber} (step ${step.step} of ${step.totalSteps}). ` +
+          'Narrate it, then call advanceTour.'
+      };
+    },
+
+    // Stop the tour and hand control back to the presenter
+    endTour: async () => {
+      console.log('[ClientTools] endTour called by ElevenLabs');
+
+      if (!guidedTour) {
+        return { success: false, message: 'Guided tours are not available' };
+      }
+
+      const progress = guidedTour.getProgress();
+      const wasActive = progress.state !== 'idle';
+      guidedTour.end();
+
+      return {
+        success: true,
+        coveredSteps: progress.coveredSteps,
+        totalSteps: progress.totalSteps,
+        currentPage: navigationController.getCurrentPage(),
+        message: wasActive
+          ? `Ended the tour after ${progress.coveredSteps} of ${progress.totalSteps} slides`
+          : 'No tour was running'
+      };
     }
   };
 
+  /**
+   * Get the title of a page ('' if unknown)
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @returns {string} Title
+   */
+  function getTitle(pageNumber) {
+    if (deckManifest) {
+      return deckManifest.getTitle(pageNumber);
+    }
+    return searchIndex ? searchIndex.getTitle(pageNumber) : '';
+  }
+
+  /**
+   * Build the title and opening lines of a page
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @returns {Promise<Object>} { pageNumber, title, section, hidden, firstLines, characterCount }
+   */
+  async function summarizePage(pageNumber) {
+    const title = getTitle(pageNumber);
+    const lines = await navigationController.getPageLines(pageNumber);
+    const normalizedTitle = title.replace(/\s+/g, ' ').trim().toLowerCase();
+
+    return {
+      pageNumber,
+      title,
+      section: deckManifest ? deckManifest.getSection(pageNumber) : '',
+      hidden: navigationController.isPageHidden(pageNumber),
+      // Skip the line that just repeats the title
+      firstLines: lines
+        .filter(line => line.toLowerCase() !== normalizedTitle)
+        .slice(0, SUMMARY_LINES),
+      characterCount: lines.reduce((sum, line) => sum + line.length, 0)
+    };
+  }
+
   console.log('[ClientTools] ✅ Tools registered:', Object.keys(window.clientTools));
   console.log('[ClientTools] ElevenLabs widget can now discover and use these tools');
 }
 
+/**
+ * Parse a page or page range from tool parameters
+ * Accepts nothing (current page), 5, '5', '3-5', {pageNumber: 5},
+ * {startPage: 3, endPage: 5} or {pages: '3-5'}.
+ * @param {*} params - Tool parameters
+ * @param {number} currentPage - Current page (default)
+ * @param {number} totalPages - Total pages
+ * @returns {{start: number, end: number}|{error: string}} Inclusive range or error
+ */
+function parsePageRange(params, currentPage, totalPages) {
+  let start = currentPage;
+  let end = currentPage;
+
+  let spec = params;
+  if (typeof params === 'object' && params !== null) {
+    if (params.startPage !== undefined || params.endPage !== undefined) {
+      start = parseInt(params.startPage !== undefined ? params.startPage : params.endPage);
+      end = parseInt(params.endPage !== undefined ? params.endPage : params.startPage);
+      spec = undefined;
+    } else {
+      spec = params.pages !== undefined ? params.pages : params.pageNumber;
+    }
+  }
+
+  if (spec !== undefined && spec !== null && spec !== '') {
+    const match = String(spec).trim().match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+    if (!match) {
+      return { error: `Invalid page or range "${spec}". Use a page number like 5 or a range like 3-5` };
+    }
+    start = parseInt(match[1]);
+    end = match[2] ? parseInt(match[2]) : start;
+  }
+
+  if (isNaN(start) || isNaN(end) || start < 1 || end > totalPages || start > end) {
+    return { error: `Invalid page range. Pages must be between 1 and ${totalPages}` };
+  }
+
+  if (end - start + 1 > MAX_PAGE_RANGE) {
+    return { error: `Page range too large. Request at most ${MAX_PAGE_RANGE} pages at a time` };
+  }
+
+  return { start, end };
+}
+
+/**
+ * Parse a list of pages from tool parameters
+ * Accepts nothing, [3, 5, 7], '3, 5-7' or a single page number.
+ * @param {*} spec - Pages
+ * @param {number} totalPages - Total pages
+ * @returns {Array<number>|null|{error: string}} Pages in order, null if none given, or error
+ */
+function parsePageList(spec, totalPages) {
+  if (spec === undefined || spec === null || spec === '') {
+    return null;
+  }
+
+  const parts = Array.isArray(spec) ? spec.map(String) : String(spec).split(',');
+  const pages = [];
+
+  for (const part of parts) {
+    const match = part.trim().match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+    if (!match) {
+      return { error: `Invalid page list "${spec}". Use pages like [3, 5, 7] or "3, 5-7"` };
+    }
+
+    const start = parseInt(match[1]);
+    const end = match[2] ? parseInt(match[2]) : start;
+    if (start < 1 || end > totalPages || start > end) {
+      return { error: `Invalid page list. Pages must be between 1 and ${totalPages}` };
+    }
+
+    for (let page = start; page <= end; page++) {
+      pages.push(page);
+    }
+  }
+
+  return pages;
+}
+
+/**
+ * Shape a search result for the agent
+ * @param {Object} result - SearchIndex result
+ * @returns {Object} Agent-facing result
+ */
+function formatSearchResult(result) {
+  return {
+    pageNumber: result.page,
+    title: result.title,
+    snippet: result.snippet,
+    matchCount: result.matchCount,
+    score: result.score
+  };
+}
+
+/**
+ * Estimate how sure we are that the top result is the slide the user meant (0-1)
+ * @param {string} query - Original query
+ * @param {Array<Object>} results - Ranked SearchIndex results
+ * @returns {number} Confidence
+ */
+function scoreConfidence(query, results) {
+  const [best, runnerUp] = results;
+  const normalizedQuery = query.replace(/\s+/g, ' ').trim().toLowerCase();
+  const exactTitleMatches = results.filter(result =>
+    result.title.replace(/\s+/g, ' ').trim().toLowerCase() === normalizedQuery
+  );
+
+  // Exact title match: certain, unless several slides share the title
+  if (exactTitleMatches.length > 0 && exactTitleMatches[0] === best) {
+    return 1 / exactTitleMatches.length;
+  }
+
+  // How far the best result stands out from the next one. Compare hit scores:
+  // the all-terms and phrase bonuses are shared by every complete match and
+  // would make any two of them look equally likely. A runner-up that misses
+  // terms the best result has is no competition.
+  let confidence = 1;
+  if (runnerUp && !(best.allTermsMatched && !runnerUp.allTermsMatched)) {
+    confidence = best.hitScore / (best.hitScore + runnerUp.hitScore);
+  }
+
+  if (!best.allTermsMatched) {
+    confidence *= 0.5;
+  }
+
+  return confidence;
+}
+
 /**
  * Cleanup client tools
  */
@@ -0,0 +1,264 @@
+/**
+ * CONVERSATION ADAPTER MODULE
+ *
+ * Purpose: One interface for every conversation backend (ElevenLabs, mock agent)
+ * Contract: Subclasses open and close a session and send text, contextual
+ *           updates and activity signals; the base class stores the session
+ *           callbacks, routes tool calls to the client tools and reports
+ *           connection state
+ * Dependencies: None
+ *
+ * Session options (passed to start):
+ *   clientTools   { [name]: async (params) => result }
+ *   textOnly      true for a typed-chat session without microphone or audio playback
+ *   onConnect     ()
+ *   onDisconnect  ({ reason: 'user' | 'agent' | 'error', message })
+ *                 'error' is an unexpected drop; 'user' and 'agent' are hang-ups
+ *   onError       (error)
+ *   onMessage     ({ source: 'user' | 'ai', message })
+ *   onModeChange  ({ mode: 'speaking' | 'listening' })
+ *   onToolCall    ({ name, params, result })
+ *
+ * Subclasses implement _connect, _disconnect, sendText and sendContextualUpdate,
+ * call _handleConnect / _handleDisconnect when the session opens or closes,
+ * and _emit for messages, mode changes and errors.
+ *
+ * Only one backend session exists at a time: start() waits for a session
+ * that is still opening or closing, and end() during a connect waits for the
+ * session to open and then closes it, so none is left running unseen.
+ *
+ * Audio settings (input device, mic mute, output volume) are stored on the
+ * adapter so they survive reconnects; backends with audio override the
+ * setters (calling super) to apply them and getInputVolume to report the level.
+ */
+
+export class ConversationAdapter {
+  /**
+   * Initialize adapter
+   * @param {string} name - Backend name (used in logs)
+   */
+  constructor(name) {
+    this.name = name;
+    this.isConnected = false;
+    this.textOnly = false;
+    this.audioSettings = { inputDeviceId: null, micMuted: false, volume: 1 };
+
+    this._clientTools = {};
+    this._callbacks = {};
+    this._connecting = null;
+    this._disconnecting = null;
+  }
+
+  /**
+   * Open a session
+   * @param {Object} [options] - Client tools and session callbacks (see module header)
+   * @returns {Promise<void>}
+   */
+  async start(options = {}) {
+    // Let a previous session finish opening or closing before replacing its callbacks
+    while (this._connecting || this._disconnecting) {
+      await (this._connecting || this._disconnecting).catch(() => {});
+    }
+
+    if (this.isConnected) {
+      console.warn(`[${this.name}] Session already running`);
+      return;
+    }
+
+    const { clientTools = {}, textOnly = false, ...callbacks } = options;
+    this._clientTools = clientTools;
+    this._callbacks = callbacks;
+    this.textOnly = !!textOnly;
+
+    console.log(`[${this.name}] Starting ${this.textOnly ? 'text-only ' : ''}session`);
+    this._connecting = this._connect();
+    try {
+      await this._connecting;
+    } finally {
+      this._connecting = null;
+    }
+  }
+
+  /**
+   * Close the session (one still opening is closed once it opens)
+   * @returns {Promise<void>}
+   */
+  async end() {
+    if (this._connecting) {
+      await this._connecting.catch(() => {});
+    }
+
+    if (this._disconnecting) {
+      return this._disconnecting;
+    }
+
+    if (!this.isConnected) {
+      return;
+    }
+
+    console.log(`[${this.name}] Ending session`);
+    this._disconnecting = this._disconnect();
+    try {
+      await this._disconnecting;
+    } finally {
+      this._disconnecting = null;
+    }
+  }
+
+  /**
+   * Send a typed user message to the agent
+   * @param {string} text - Message
+   * @returns {Promise<void>}
+   */
+  async sendText(text) {
+    throw new Error(`${this.name} does not implement sendText`);
+  }
+
+  /**
+   * Send background context (not shown in the chat, does not prompt a reply)
+   * @param {string} text - Context for the agent
+   * @returns {boolean} True if the update was sent
+   */
+  sendContextualUpdate(text) {
+    throw new Error(`${this.name} does not implement sendContextualUpdate`);
+  }
+
+  /**
+   * Tell the agent the user is active (e.g. typing) so it does not time out
+   * Optional: backends without an activity signal ignore it.
+   */
+  sendUserActivity() {}
+
+  /**
+   * Choose the microphone (applies to the running session where supported)
+   * @param {string|null} deviceId - MediaDeviceInfo.deviceId, or null for the system default
+   * @returns {Promise<void>}
+   */
+  async setInputDevice(deviceId) {
+    this.audioSettings.inputDeviceId = deviceId || null;
+  }
+
+  /**
+   * Mute or unmute the microphone
+   * @param {boolean} muted - True to mute
+   */
+  setMicMuted(muted) {
+    this.audioSettings.micMuted = !!muted;
+  }
+
+  /**
+   * Set the agent's output volume
+   * @param {number} volume - 0 to 1
+   */
+  setVolume(volume) {
+    this.audioSettings.volume = Math.min(1, Math.max(0, Number(volume) || 0));
+  }
+
+  /**
+   * Current microphone input level
+   * Optional: backends without microphone access report 0.
+   * @returns {number} 0 to 1
+   */
+  getInputVolume() {
+    return 0;
+  }
+
+  /**
+   * Run a client tool for the agent
+   * @param {string} name - Tool name
+   * @param {Object} [params] - Tool parameters
+   * @returns {Promise<Object>} Tool result ({ success: false, message } on failure)
+   */
+  async invokeTool(name, params = {}) {
+    const tool = this._clientTools[name];
+    let result;
+
+    if (typeof tool !== 'function') {
+      result = { success: false, message: `Unknown tool: ${name}` };
+    } else {
+      try {
+        result = await tool(params);
+      } catch (error) {
+        console.error(`[${this.name}] Tool ${name} failed:`, error);
+        result = { success: false, message: `Tool ${name} failed`, error: error.message };
+      }
+    }
+
+    this._emit('onToolCall', { name, params, result });
+    return result;
+  }
+
+  /**
+   * Open the backend session
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _connect() {
+    throw new Error(`${this.name} does not implement _connect`);
+  }
+
+  /**
+   * Close the backend session
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _disconnect() {
+    throw new Error(`${this.name} does not implement _disconnect`);
+  }
+
+  /**
+   * Client tools wrapped so every call goes through invokeTool
+   * @protected
+   * @returns {Object} { [name]: async (params) => result }
+   */
+  _getToolHandlers() {
+    const handlers = {};
+    Object.keys(this._clientTools).forEach((name) => {
+      handlers[name] = (params) => this.invokeTool(name, params);
+    });
+    return handlers;
+  }
+
+  /**
+   * Mark the session open and notify
+   * @protected
+   */
+  _handleConnect() {
+    this.isConnected = true;
+    console.log(`[${this.name}] ✅ Session connected`);
+    this._emit('onConnect');
+  }
+
+  /**
+   * Mark the session closed and notify (once)
+   * @protected
+   * @param {Object} [details] - { reason, message }; a close without a known cause counts as an error
+   */
+  _handleDisconnect(details = { reason: 'error' }) {
+    if (!this.isConnected) {
+      return;
+    }
+    this.isConnected = false;
+    console.log(`[${this.name}] Session disconnected (${details.reason})`);
+    this._emit('onDisconnect', details);
+  }
+
+  /**
+   * Call a session callback, if set
+   * @protected
+   * @param {string} callbackName - e.g. 'onMessage'
+   * @param {*} [data] - Callback argument
+   */
+  _emit(callbackName, data) {
+    const callback = this._callbacks[callbackName];
+    if (typeof callback !== 'function') {
+      return;
+    }
+
+    try {
+      callback(data);
+    } catch (error) {
+      console.error(`[${this.name}] Error in ${callbackName} callback:`, error);
+    }
+  }
+}
@@ -0,0 +1,300 @@
+/**
+ * DECK MANIFEST MODULE
+ *
+ * Purpose: Per-deck slide metadata loaded at runtime alongside the PDF
+ * Contract: Provides titles, sections, speaker notes, hidden flags and timings for each
+ *           page, falling back to titles worked out from the PDF itself when no
+ *           manifest exists or a slide has no title
+ * Dependencies: None (generated titles come from a title source such as
+ *               title-provider.js, supplied by the caller)
+ *
+ * Manifest format (e.g. presentation.deck.json next to presentation.pdf):
+ *   {
+ *     "title": "Geothermal Energy",
+ *     "pageCount": 41,
+ *     "sections": [{ "title": "Appendix", "startPage": 12 }],
+ *     "slides": [
+ *       { "page": 1, "title": "Geothermal Energy", "notes": "Open with...", "duration": 45 },
+ *       { "page": 13, "hidden": true }
+ *     ]
+ *   }
+ *
+ * "duration" is the time to spend on the slide in seconds (auto-advance and
+ * rehearsal targets). Every field is optional. A missing or invalid manifest is not an error:
+ * the viewer works from generated titles instead.
+ */
+
+export class DeckManifest {
+  /**
+   * Initialize deck manifest
+   * @param {Object|null} data - Parsed manifest JSON (null when none was found)
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.source] - Where the manifest was loaded from (for logs)
+   */
+  constructor(data = null, { source = null } = {}) {
+    this.source = source;
+    this.isLoaded = !!data;
+    this.deckTitle = '';
+    this.declaredPageCount = null;
+
+    this._totalPages = 0;
+    this._slides = new Map();
+    this._sections = [];
+    this._generatedTitles = new Map();
+
+    if (data) {
+      this._parse(data);
+    }
+
+    console.log(this.isLoaded
+      ? `[DeckManifest] Initialized from ${source || 'data'} (${this._slides.size} slides, ${this._sections.length} sections)`
+      : '[DeckManifest] Initialized without a manifest (titles will be generated from the PDF)');
+  }
+
+  /**
+   * Fetch and parse a manifest. Never rejects: a missing or malformed
+   * manifest yields an empty one.
+   * @param {string} url - Manifest URL
+   * @returns {Promise<DeckManifest>} Manifest
+   */
+  static async load(url) {
+    if (!url) {
+      return new DeckManifest();
+    }
+
+    try {
+      const response = await fetch(url, { cache: 'no-cache' });
+      if (!response.ok) {
+        console.log(`[DeckManifest] No manifest at ${url} (HTTP ${response.status})`);
+        return new DeckManifest();
+      }
+
+      return new DeckManifest(await response.json(), { source: url });
+    } catch (error) {
+      console.warn(`[DeckManifest] Could not load manifest from ${url}:`, error);
+      return new DeckManifest();
+    }
+  }
+
+  /**
+   * Default manifest location for a PDF: same path with a .deck.json extension
+   * @param {string} pdfPath - PDF path or URL
+   * @returns {string} Manifest path
+   */
+  static getManifestURL(pdfPath) {
+    const [path, query] = pdfPath.split('?');
+    const manifestPath = /\.pdf$/i.test(path) ? path.replace(/\.pdf$/i, '.deck.json') : `${path}.deck.json`;
+    return query ? `${manifestPath}?${query}` : manifestPath;
+  }
+
+  /**
+   * Attach the manifest to the loaded PDF and warn about mismatches
+   * @param {number} totalPages - pdfDocument.numPages
+   * @returns {boolean} True if the manifest matches the PDF
+   */
+  setTotalPages(totalPages) {
+    this._totalPages = totalPages;
+
+    if (!this.isLoaded) {
+      return true;
+    }
+
+    let matches = true;
+
+    if (this.declaredPageCount !== null && this.declaredPageCount !== totalPages) {
+      console.warn(`[DeckManifest] ⚠️ Manifest declares ${this.declaredPageCount} pages but the PDF has ${totalPages} - titles may not match the slides. Regenerate the manifest with extract_pdf.py.`);
+      matches = false;
+    }
+
+    const outOfRange = [...this._slides.keys()].filter(page => page > totalPages);
+    if (outOfRange.length > 0) {
+      console.warn(`[DeckManifest] ⚠️ Manifest describes pages beyond the end of the PDF (${totalPages} pages): ${outOfRange.join(', ')}`);
+      matches = false;
+    }
+
+    return matches;
+  }
+
+  /**
+   * Generate titles for pages the manifest does not name
+   * @param {Function} getTitle - async (pageNum) => string ('' if unknown)
+   * @returns {Promise<number>} Number of titles generated
+   */
+  async generateMissingTitles(getTitle) {
+    let generated = 0;
+
+    for (let page = 1; page <= this._totalPages; page++) {
+      if (this._getManifestTitle(page) || this._generatedTitles.has(page)) {
+        continue;
+      }
+
+      try {
+        const title = await getTitle(page);
+        if (title) {
+          this._generatedTitles.set(page, title);
+          generated++;
+        }
+      } catch (error) {
+        console.warn(`[DeckManifest] Could not generate a title for page ${page}:`, error);
+      }
+    }
+
+    if (generated > 0) {
+      console.log(`[DeckManifest] ✅ Generated ${generated} slide titles from the PDF`);
+    }
+
+    return generated;
+  }
+
+  /**
+   * Get the title of a page
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {string} Manifest title, generated title, or "Slide N"
+   */
+  getTitle(pageNum) {
+    return this._getManifestTitle(pageNum) || this._generatedTitles.get(pageNum) || `Slide ${pageNum}`;
+  }
+
+  /**
+   * Get the speaker notes of a page
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {string} Notes ('' if none)
+   */
+  getNotes(pageNum) {
+    const slide = this._slides.get(pageNum);
+    return slide && slide.notes ? slide.notes : '';
+  }
+
+  /**
+   * Get the time to spend on a page
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {number|null} Seconds, or null if the manifest gives none
+   */
+  getDuration(pageNum) {
+    const slide = this._slides.get(pageNum);
+    return slide && slide.duration ? slide.duration : null;
+  }
+
+  /**
+   * Check whether a page is hidden (skipped by next/previous and the sidebar)
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {boolean} True if hidden
+   */
+  isHidden(pageNum) {
+    const slide = this._slides.get(pageNum);
+    return !!(slide && slide.hidden);
+  }
+
+  /**
+   * Get all hidden pages
+   * @returns {Array<number>} Hidden page numbers, ascending
+   */
+  getHiddenPages() {
+    return [...this._slides.values()]
+      .filter(slide => slide.hidden && (!this._totalPages || slide.page <= this._totalPages))
+      .map(slide => slide.page)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Get the section a page belongs to
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {string} Section title ('' if the page precedes every section)
+   */
+  getSection(pageNum) {
+    let current = '';
+    for (const section of this._sections) {
+      if (section.startPage > pageNum) {
+        break;
+      }
+      current = section.title;
+    }
+    return current;
+  }
+
+  /**
+   * Get all sections
+   * @returns {Array<Object>} Sections: { title, startPage }, ascending
+   */
+  getSections() {
+    return this._sections.map(section => ({ ...section }));
+  }
+
+  /**
+   * Get the metadata of every page in the PDF
+   * @returns {Array<Object>} Slides: { page, title, section, notes, hidden, duration }
+   */
+  getSlides() {
+    const slides = [];
+    for (let page = 1; page <= this._totalPages; page++) {
+      slides.push({
+        page,
+        title: this.getTitle(page),
+        section: this.getSection(page),
+        notes: this.getNotes(page),
+        hidden: this.isHidden(page),
+        duration: this.getDuration(page)
+      });
+    }
+    return slides;
+  }
+
+  /**
+   * Read the manifest JSON, ignoring malformed entries
+   * @private
+   * @param {Object} data - Parsed manifest JSON
+   */
+  _parse(data) {
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      console.warn('[DeckManifest] Manifest must be a JSON object - ignoring it');
+      this.isLoaded = false;
+      return;
+    }
+
+    if (typeof data.title === 'string') {
+      this.deckTitle = data.title.trim();
+    }
+
+    if (Number.isInteger(data.pageCount) && data.pageCount > 0) {
+      this.declaredPageCount = data.pageCount;
+    }
+
+    (Array.isArray(data.slides) ? data.slides : []).forEach((slide, index) => {
+      if (!slide || !Number.isInteger(slide.page) || slide.page < 1) {
+        console.warn(`[DeckManifest] Ignoring slides[${index}]: "page" must be a positive integer`);
+        return;
+      }
+
+      this._slides.set(slide.page, {
+        page: slide.page,
+        title: typeof slide.title === 'string' ? slide.title.trim() : '',
+        notes: typeof slide.notes === 'string' ? slide.notes.trim() : '',
+        hidden: slide.hidden === true,
+        duration: typeof slide.duration === 'number' && slide.duration > 0 ? slide.duration : null
+      });
+    });
+
+    this._sections = (Array.isArray(data.sections) ? data.sections : [])
+      .filter((section, index) => {
+        const valid = section && typeof section.title === 'string' &&
+          Number.isInteger(section.startPage) && section.startPage >= 1;
+        if (!valid) {
+          console.warn(`[DeckManifest] Ignoring sections[${index}]: needs "title" and a positive integer "startPage"`);
+        }
+        return valid;
+      })
+      .map(section => ({ title: section.title.trim(), startPage: section.startPage }))
+      .sort((a, b) => a.startPage - b.startPage);
+  }
+
+  /**
+   * Get the title given in the manifest
+   * @private
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {string} Title ('' if none)
+   */
+  _getManifestTitle(pageNum) {
+    const slide = this._slides.get(pageNum);
+    return slide ? slide.title : '';
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * ELEVENLABS ADAPTER MODULE
+ *
+ * Purpose: ElevenLabs Conversational AI as a conversation backend
+ * Contract: Implements ConversationAdapter on top of the ElevenLabs
+ *           `Conversation` client, which handles the microphone and audio
+ *           (or neither, for text-only sessions); tool calls from the agent
+ *           are routed through invokeTool
+ * Dependencies: conversation-adapter.js, @elevenlabs/client (loaded from esm.sh
+ *               when the first session starts)
+ */
+
+import { ConversationAdapter } from './conversation-adapter.js';
+
+const ELEVENLABS_CLIENT_URL = 'https://esm.sh/@elevenlabs/client@0.11.0';
+
+export class ElevenLabsAdapter extends ConversationAdapter {
+  /**
+   * Initialize ElevenLabs adapter
+   * @param {Object} options - Configuration options
+   * @param {string} options.agentId - ElevenLabs agent ID
+   */
+  constructor({ agentId }) {
+    super('ElevenLabs');
+
+    this.agentId = agentId;
+    this._session = null;
+
+    console.log('[ElevenLabs] Adapter initialized');
+  }
+
+  /**
+   * Send a typed user message to the agent
+   * @param {string} text - Message
+   * @returns {Promise<void>}
+   */
+  async sendText(text) {
+    if (!this._session) {
+      throw new Error('ElevenLabs session not connected');
+    }
+    await this._session.sendUserMessage(text);
+  }
+
+  /**
+   * Send background context to the agent
+   * @param {string} text - Context for the agent
+   * @returns {boolean} True if the update was sent
+   */
+  sendContextualUpdate(text) {
+    if (!this._session || !text) {
+      return false;
+    }
+    this._session.sendContextualUpdate(text);
+    return true;
+  }
+
+  /**
+   * Keep the session from timing out while the user types
+   */
+  sendUserActivity() {
+    if (this._session) {
+      this._session.sendUserActivity();
+    }
+  }
+
+  /**
+   * Choose the microphone; switches the running session if the client supports it
+   * @param {string|null} deviceId - Device ID, or null for the system default
+   * @returns {Promise<void>}
+   */
+  async setInputDevice(deviceId) {
+    await super.setInputDevice(deviceId);
+
+    if (!this._session || this.textOnly) {
+      return;
+    }
+
+    if (typeof this._session.changeInputDevice === 'function') {
+      await this._session.changeInputDevice({ inputDeviceId: this.audioSettings.inputDeviceId || undefined });
+      // The client may rebuild its input for the new device, which starts unmuted
+      if (this._session) {
+        this._session.setMicMuted(this.audioSettings.micMuted);
+      }
+    } else {
+      console.warn('[ElevenLabs] Client cannot switch microphones mid-session; the new device is used next session');
+    }
+  }
+
+  /**
+   * Mute or unmute the microphone
+   * @param {boolean} muted - True to mute
+   */
+  setMicMuted(muted) {
+    super.setMicMuted(muted);
+    if (this._session && !this.textOnly) {
+      this._session.setMicMuted(this.audioSettings.micMuted);
+    }
+  }
+
+  /**
+   * Set the agent's output volume
+   * @param {number} volume - 0 to 1
+   */
+  setVolume(volume) {
+    super.setVolume(volume);
+    if (this._session && !this.textOnly) {
+      this._session.setVolume({ volume: this.audioSettings.volume });
+    }
+  }
+
+  /**
+   * Current microphone input level
+   * @returns {number} 0 to 1
+   */
+  getInputVolume() {
+    return this._session && !this.textOnly ? this._session.getInputVolume() : 0;
+  }
+
+  /**
+   * Load the client library and start a session
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _connect() {
+    const { Conversation } = await import(ELEVENLABS_CLIENT_URL);
+
+    const session = await Conversation.startSession({
+      agentId: this.agentId,
+      // Text-only sessions skip the microphone and audio playback; the override
+      // tells the agent to reply in text (it must allow the text-only override
+      // in its security settings)
+      textOnly: this.textOnly,
+      overrides: this.textOnly ? { conversation: { textOnly: true } } : undefined,
+      inputDeviceId: this.audioSettings.inputDeviceId || undefined,
+      clientTools: this._getToolHandlers(),
+      // details.reason: 'user', 'agent' (end_call or a clean close) or 'error'
+      onDisconnect: (details) => {
+        this._session = null;
+        this._handleDisconnect(details && details.reason ? details : { reason: 'error' });
+      },
+      onError: (error) => this._emit('onError', error),
+      onMessage: (message) => this._emit('onMessage', message),
+      onModeChange: (mode) => this._emit('onModeChange', mode)
+    });
+
+    // The client's onConnect fires before startSession hands the session back
+    // and it cannot start muted, so mute and volume are applied here, before
+    // the session is reported open (push-to-talk must not stream the mic)
+    this._session = session;
+    if (!this.textOnly) {
+      session.setMicMuted(this.audioSettings.micMuted);
+      session.setVolume({ volume: this.audioSettings.volume });
+    }
+
+    this._handleConnect();
+  }
+
+  /**
+   * End the session (onDisconnect follows from the client)
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _disconnect() {
+    if (this._session) {
+      await this._session.endSession();
+    }
+    this._session = null;
+    this._handleDisconnect({ reason: 'user' });
+  }
+}
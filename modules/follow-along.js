@@ -0,0 +1,240 @@
+/**
+ * FOLLOW-ALONG MODULE
+ *
+ * Purpose: Keep remote attendees on the presenter's slide
+ * Contract: As presenter, publishes every page change to the sync room.
+ *           As follower, applies the presenter's page through
+ *           NavigationController.goToPage while following; navigating
+ *           yourself (or the "Break away" button) stops following until
+ *           "Re-sync" jumps back to the presenter's slide.
+ * Dependencies: sync-client.js, state-manager.js, navigation.js
+ */
+
+export class FollowAlong {
+  /**
+   * Initialize follow-along
+   * @param {Object} options - Configuration options
+   * @param {StateManager} options.stateManager - State manager
+   * @param {NavigationController} options.navigationController - Navigation controller
+   * @param {SyncClient} options.syncClient - Connected (or connecting) relay client
+   */
+  constructor({ stateManager, navigationController, syncClient }) {
+    if (!stateManager || !navigationController || !syncClient) {
+      throw new Error('StateManager, NavigationController and SyncClient are required');
+    }
+
+    this.stateManager = stateManager;
+    this.navigationController = navigationController;
+    this.syncClient = syncClient;
+    this.role = syncClient.role;
+    this.isFollowing = true;
+
+    this._presenterPage = null;
+    this._isApplyingRemotePage = false;
+    this._peers = { presenter: 0, follower: 0, remote: 0 };
+
+    this.elements = {
+      bar: null,
+      status: null,
+      toggleButton: null
+    };
+
+    this._handlePageChanged = this._handlePageChanged.bind(this);
+
+    console.log(`[FollowAlong] Initialized as ${this.role}`);
+  }
+
+  /**
+   * Read the sync role requested by the URL (?sync=presenter or ?sync=follower)
+   * @param {Location} [location] - Location to read (defaults to window.location)
+   * @returns {string|null} Role, or null if none requested
+   */
+  static getRoleFromURL(location = window.location) {
+    const role = new URLSearchParams(location.search).get('sync');
+    return role === 'presenter' || role === 'follower' ? role : null;
+  }
+
+  /**
+   * Render the status bar and start syncing
+   */
+  render() {
+    const bar = document.createElement('div');
+    bar.className = `follow-along-bar ${this.role}`;
+    bar.setAttribute('role', 'status');
+    bar.innerHTML = `
+      <span class="follow-along-status"></span>
+      <button class="follow-along-toggle" type="button"></button>
+    `;
+    document.body.appendChild(bar);
+
+    this.elements.bar = bar;
+    this.elements.status = bar.querySelector('.follow-along-status');
+    this.elements.toggleButton = bar.querySelector('.follow-along-toggle');
+    this.elements.toggleButton.hidden = this.role !== 'follower';
+
+    this.elements.toggleButton.addEventListener('click', () => {
+      if (this.isFollowing) {
+        this.breakAway();
+      } else {
+        this.resync();
+      }
+    });
+
+    this.syncClient.setStatusCallback((isConnected) => {
+      if (isConnected && this.role === 'presenter') {
+        this._publishPage();
+      }
+      this._updateBar();
+    });
+
+    this.syncClient.addEventListener('peers', (peers) => {
+      this._peers = { ...this._peers, ...peers };
+      this._updateBar();
+    });
+
+    if (this.role === 'follower') {
+      this.syncClient.addEventListener('state', ({ currentPage }, sender) => {
+        if (sender === 'presenter') {
+          this._handlePresenterPage(currentPage);
+        }
+      });
+    }
+
+    this.stateManager.addEventListener('pageChanged', this._handlePageChanged);
+    this.syncClient.connect();
+    this._updateBar();
+
+    console.log('[FollowAlong] Rendered');
+  }
+
+  /**
+   * Stop following the presenter (followers only)
+   */
+  breakAway() {
+    if (this.role !== 'follower' || !this.isFollowing) {
+      return;
+    }
+
+    this.isFollowing = false;
+    this._updateBar();
+    console.log('[FollowAlong] Broke away from the presenter');
+  }
+
+  /**
+   * Follow the presenter again and jump to their slide (followers only)
+   */
+  resync() {
+    if (this.role !== 'follower') {
+      return;
+    }
+
+    this.isFollowing = true;
+    if (this._presenterPage !== null) {
+      this._goToPresenterPage();
+    }
+    this._updateBar();
+    console.log('[FollowAlong] Re-synced with the presenter');
+  }
+
+  /**
+   * Stop syncing and remove the status bar
+   */
+  destroy() {
+    this.stateManager.removeEventListener('pageChanged', this._handlePageChanged);
+    this.syncClient.close();
+
+    if (this.elements.bar) {
+      this.elements.bar.remove();
+    }
+
+    Object.keys(this.elements).forEach(key => {
+      this.elements[key] = null;
+    });
+
+    console.log('[FollowAlong] Destroyed');
+  }
+
+  /**
+   * Publish (presenter) or detect manual navigation (follower)
+   * @private
+   */
+  _handlePageChanged() {
+    if (this.role === 'presenter') {
+      this._publishPage();
+      return;
+    }
+
+    if (this.role === 'follower' && !this._isApplyingRemotePage && this.isFollowing) {
+      // The follower navigated on their own
+      this.breakAway();
+    } else {
+      this._updateBar();
+    }
+  }
+
+  /**
+   * Apply a page announced by the presenter
+   * @private
+   * @param {number} pageNum - Presenter's page
+   */
+  _handlePresenterPage(pageNum) {
+    this._presenterPage = pageNum;
+
+    if (this.isFollowing) {
+      this._goToPresenterPage();
+    }
+    this._updateBar();
+  }
+
+  /**
+   * Navigate to the presenter's page without counting it as breaking away
+   * @private
+   */
+  _goToPresenterPage() {
+    this._isApplyingRemotePage = true;
+    try {
+      this.navigationController.goToPage(this._presenterPage, { history: false });
+    } finally {
+      this._isApplyingRemotePage = false;
+    }
+  }
+
+  /**
+   * Send the current page to the room
+   * @private
+   */
+  _publishPage() {
+    this.syncClient.send('state', {
+      currentPage: this.stateManager.getCurrentPage(),
+      totalPages: this.stateManager.getTotalPages()
+    });
+  }
+
+  /**
+   * Refresh the status text and toggle button
+   * @private
+   */
+  _updateBar() {
+    if (!this.elements.bar) {
+      return;
+    }
+
+    let status;
+    if (!this.syncClient.isConnected) {
+      status = 'Sync relay offline - reconnecting…';
+    } else if (this.role === 'presenter') {
+      status = `📡 ${this._peers.follower} following`;
+    } else if (this._presenterPage === null) {
+      status = 'Waiting for the presenter…';
+    } else if (this.isFollowing) {
+      status = '● Following the presenter';
+    } else {
+      status = `Browsing on your own - presenter is on slide ${this._presenterPage}`;
+    }
+
+    this.elements.status.textContent = status;
+    this.elements.toggleButton.textContent = this.isFollowing ? 'Break away' : 'Re-sync';
+    this.elements.bar.classList.toggle('offline', !this.syncClient.isConnected);
+    this.elements.bar.classList.toggle('detached', !this.isFollowing);
+  }
+}
@@ -0,0 +1,348 @@
+/**
+ * GUIDED TOUR MODULE
+ *
+ * Purpose: Let the voice agent present the deck end-to-end
+ * Contract: Builds a plan of slides (visible slides by default) with their
+ *           titles and speaker notes, moves through it one step at a time when
+ *           the agent asks to advance, pauses when the audience interrupts
+ *           (or someone navigates by hand) and, on resume, continues with the
+ *           first step not yet covered
+ * Dependencies: state-manager.js, navigation.js, speaker-notes.js (optional)
+ *
+ * States: idle → running ⇄ paused → finished (end() returns to idle)
+ */
+
+// Slide text included with each step, so the agent can narrate without another tool call
+const MAX_TEXT_LENGTH = 1500;
+
+export class GuidedTour {
+  /**
+   * Initialize guided tour
+   * @param {Object} options - Configuration options
+   * @param {StateManager} options.stateManager - State manager
+   * @param {NavigationController} options.navigationController - Navigation controller
+   * @param {SpeakerNotes} [options.speakerNotes] - Talking points per slide
+   * @param {Function} [options.getTitle] - (pageNum) => slide title
+   * @param {Function} [options.sendContext] - (text) => void; background updates for the agent
+   */
+  constructor({
+    stateManager,
+    navigationController,
+    speakerNotes = null,
+    getTitle = () => '',
+    sendContext = () => {}
+  }) {
+    if (!stateManager || !navigationController) {
+      throw new Error('StateManager and NavigationController are required');
+    }
+
+    this.stateManager = stateManager;
+    this.navigationController = navigationController;
+    this.speakerNotes = speakerNotes;
+    this.getTitle = getTitle;
+    this.sendContext = sendContext;
+
+    this.state = 'idle';
+    this.plan = [];
+    this.stepIndex = -1;
+    this.pauseReason = null;
+    this.stateCallback = null;
+
+    this._covered = new Set();
+    this._isNavigating = false;
+
+    this._handlePageChanged = this._handlePageChanged.bind(this);
+    this.stateManager.addEventListener('pageChanged', this._handlePageChanged);
+
+    console.log('[GuidedTour] Initialized');
+  }
+
+  /**
+   * Set callback fired whenever the tour state or step changes
+   * @param {Function} callback - Receives the result of getProgress()
+   */
+  setStateCallback(callback) {
+    this.stateCallback = callback;
+  }
+
+  /**
+   * Whether a tour is running or paused
+   * @returns {boolean} True until the tour finishes or is ended
+   */
+  isActive() {
+    return this.state === 'running' || this.state === 'paused';
+  }
+
+  /**
+   * Start a tour and show its first slide
+   * @param {Object} [options] - Tour options
+   * @param {Array<number>} [options.pages] - Pages to present, in order (default: every visible slide)
+   * @returns {Promise<Object>} { plan, step } where step is the first slide to narrate
+   */
+  async start({ pages = null } = {}) {
+    const planPages = (pages && pages.length > 0 ? pages : this._getVisiblePages())
+      .filter((page, index, all) => all.indexOf(page) === index);
+
+    if (planPages.length === 0) {
+      throw new Error('The tour has no slides to present');
+    }
+
+    this.plan = await Promise.all(planPages.map(async (page) => ({
+      page,
+      title: this.getTitle(page),
+      notes: await this._getNotes(page)
+    })));
+    this._covered.clear();
+    this.stepIndex = 0;
+    this.pauseReason = null;
+    this.state = 'running';
+
+    console.log(`[GuidedTour] ▶ Started (${this.plan.length} slides)`);
+
+    this._showStep();
+    return { plan: this.plan, step: await this._describeStep() };
+  }
+
+  /**
+   * Mark the current slide as covered and move to the next uncovered one
+   * @returns {Promise<Object|null>} Next step, or null when the tour is finished (or not running)
+   */
+  async advance() {
+    if (this.state !== 'running') {
+      return null;
+    }
+
+    this._covered.add(this.stepIndex);
+    return this._goToNextUncovered(`Covered slide ${this.plan[this.stepIndex].page}`);
+  }
+
+  /**
+   * Pause the tour (audience question, manual navigation, lost session)
+   * @param {string} [reason] - Why the tour paused
+   */
+  pause(reason = 'paused') {
+    if (this.state !== 'running') {
+      return;
+    }
+
+    this.state = 'paused';
+    this.pauseReason = reason;
+    this._notify();
+
+    this.sendContext(
+      `The guided tour is paused (${reason}) on step ${this.stepIndex + 1} of ${this.plan.length}. ` +
+      'Answer the audience. When they are ready to continue, call resumeTour.'
+    );
+
+    console.log(`[GuidedTour] ⏸ Paused (${reason})`);
+  }
+
+  /**
+   * Continue a paused tour from the first step not yet covered
+   * @param {Object} [options] - Resume options
+   * @param {Array<number>} [options.coveredPages] - Pages already explained while paused
+   * @returns {Promise<Object|null>} Step to narrate, or null when everything is covered
+   */
+  async resume({ coveredPages = [] } = {}) {
+    if (this.state !== 'paused') {
+      return null;
+    }
+
+    coveredPages.forEach((page) => {
+      const index = this.plan.findIndex(step => step.page === page);
+      if (index !== -1) {
+        this._covered.add(index);
+      }
+    });
+
+    this.state = 'running';
+    this.pauseReason = null;
+
+    // Start the search at the interrupted step, which is usually not covered yet
+    this.stepIndex--;
+    const step = await this._goToNextUncovered('Resumed');
+
+    if (step) {
+      this.sendContext(
+        `The guided tour has resumed on slide ${step.pageNumber} (step ${step.step} of ${step.totalSteps}). ` +
+        'Narrate it, then call advanceTour.'
+      );
+    }
+
+    return step;
+  }
+
+  /**
+   * Stop the tour
+   */
+  end() {
+    if (this.state === 'idle') {
+      return;
+    }
+
+    this.state = 'idle';
+    this.plan = [];
+    this.stepIndex = -1;
+    this.pauseReason = null;
+    this._covered.clear();
+    this._notify();
+
+    console.log('[GuidedTour] ⏹ Ended');
+  }
+
+  /**
+   * Get the tour position
+   * @returns {Object} { state, pauseReason, step, totalSteps, coveredSteps, page, title }
+   */
+  getProgress() {
+    const current = this.plan[this.stepIndex];
+
+    return {
+      state: this.state,
+      pauseReason: this.pauseReason,
+      step: this.stepIndex + 1,
+      totalSteps: this.plan.length,
+      coveredSteps: this._covered.size,
+      page: current ? current.page : null,
+      title: current ? current.title : ''
+    };
+  }
+
+  /**
+   * Stop listening for page changes
+   */
+  destroy() {
+    this.stateManager.removeEventListener('pageChanged', this._handlePageChanged);
+    this.stateCallback = null;
+  }
+
+  /**
+   * Move to the first uncovered step after the current one
+   * @private
+   * @param {string} logPrefix - Log message prefix
+   * @returns {Promise<Object|null>} Step, or null when finished
+   */
+  async _goToNextUncovered(logPrefix) {
+    let next = this.stepIndex + 1;
+    while (next < this.plan.length && this._covered.has(next)) {
+      next++;
+    }
+
+    if (next >= this.plan.length) {
+      this.state = 'finished';
+      this.stepIndex = this.plan.length - 1;
+      this._notify();
+      console.log(`[GuidedTour] ${logPrefix} - tour finished`);
+      return null;
+    }
+
+    this.stepIndex = next;
+    this._showStep();
+    console.log(`[GuidedTour] ${logPrefix} - step ${next + 1}/${this.plan.length} (page ${this.plan[next].page})`);
+
+    return this._describeStep();
+  }
+
+  /**
+   * Navigate to the current step's slide without counting it as an interruption
+   * @private
+   */
+  _showStep() {
+    this._isNavigating = true;
+    try {
+      this.navigationController.goToPage(this.plan[this.stepIndex].page, { history: false });
+    } finally {
+      this._isNavigating = false;
+    }
+    this._notify();
+  }
+
+  /**
+   * Describe the current step for the agent
+   * @private
+   * @returns {Promise<Object>} { step, totalSteps, remainingSteps, pageNumber, title, notes, text }
+   */
+  async _describeStep() {
+    const { page, title, notes } = this.plan[this.stepIndex];
+
+    let text = '';
+    try {
+      text = (await this.navigationController.getPageText(page)).replace(/\s+/g, ' ').trim();
+    } catch (error) {
+      console.warn(`[GuidedTour] Could not read text of page ${page}:`, error);
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      text = `${text.slice(0, MAX_TEXT_LENGTH)}…`;
+    }
+
+    const remainingSteps = this.plan.filter((step, index) => index > this.stepIndex && !this._covered.has(index)).length;
+
+    return {
+      step: this.stepIndex + 1,
+      totalSteps: this.plan.length,
+      remainingSteps,
+      pageNumber: page,
+      title,
+      notes,
+      text
+    };
+  }
+
+  /**
+   * Pause when someone else moves the slides
+   * @private
+   * @param {Object} data - { currentPage }
+   */
+  _handlePageChanged({ currentPage }) {
+    if (this._isNavigating || this.state !== 'running') {
+      return;
+    }
+
+    if (currentPage !== this.plan[this.stepIndex].page) {
+      this.pause('the slides were moved outside the tour');
+    }
+  }
+
+  /**
+   * Get a page's speaker notes ('' if none)
+   * @private
+   * @param {number} pageNum - Page number
+   * @returns {Promise<string>} Notes
+   */
+  async _getNotes(pageNum) {
+    if (!this.speakerNotes) {
+      return '';
+    }
+    try {
+      return (await this.speakerNotes.getNotes(pageNum)).notes;
+    } catch (error) {
+      console.warn(`[GuidedTour] Could not read notes of page ${pageNum}:`, error);
+      return '';
+    }
+  }
+
+  /**
+   * List every slide that is not hidden
+   * @private
+   * @returns {Array<number>} Page numbers
+   */
+  _getVisiblePages() {
+    const pages = [];
+    for (let page = 1; page <= this.stateManager.getTotalPages(); page++) {
+      if (!this.navigationController.isPageHidden(page)) {
+        pages.push(page);
+      }
+    }
+    return pages;
+  }
+
+  /**
+   * Report the current progress
+   * @private
+   */
+  _notify() {
+    if (this.stateCallback) {
+      this.stateCallback(this.getProgress());
+    }
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * HISTORY MANAGER MODULE
+ *
+ * Purpose: Keep the browser URL and history in sync with the current page
+ * Contract: Reflects the page in the URL hash (#page=N), restores it on load,
+ *           and lets Back/Forward step through visited slides. Programmatic
+ *           changes (pageChanged with history: false, e.g. auto-advance or
+ *           follower sync) update the URL without adding a history entry.
+ * Dependencies: state-manager.js, navigation.js
+ *
+ * URL format:
+ *   index.html?deck=./other.pdf#page=14
+ *   - page: 1-indexed page number (also accepts the short form #14)
+ *   - deck: optional PDF path, overrides CONFIG.PDF_PATH
+ */
+
+export class HistoryManager {
+  /**
+   * Initialize history manager
+   * @param {StateManager} stateManager - State manager
+   * @param {NavigationController} navigationController - Navigation controller
+   */
+  constructor(stateManager, navigationController) {
+    if (!stateManager || !navigationController) {
+      throw new Error('StateManager and NavigationController are required');
+    }
+
+    this.stateManager = stateManager;
+    this.navigationController = navigationController;
+    this.isStarted = false;
+    this._isRestoring = false;
+
+    this._handlePageChanged = this._handlePageChanged.bind(this);
+    this._handlePopState = this._handlePopState.bind(this);
+
+    console.log('[HistoryManager] Initialized');
+  }
+
+  /**
+   * Read the requested page number from the current URL
+   * @param {Location} [location] - Location to read (defaults to window.location)
+   * @returns {number|null} Page number, or null if none requested
+   */
+  static getPageFromURL(location = window.location) {
+    const hash = location.hash.replace(/^#/, '');
+    let rawPage = null;
+
+    if (/^\d+$/.test(hash)) {
+      rawPage = hash;
+    } else if (hash) {
+      rawPage = new URLSearchParams(hash).get('page');
+    }
+
+    if (rawPage === null) {
+      rawPage = new URLSearchParams(location.search).get('page');
+    }
+
+    const pageNum = parseInt(rawPage, 10);
+    return Number.isInteger(pageNum) && pageNum > 0 ? pageNum : null;
+  }
+
+  /**
+   * Read the requested deck (PDF path) from the current URL
+   * @param {Location} [location] - Location to read (defaults to window.location)
+   * @returns {string|null} PDF path, or null if none requested
+   */
+  static getDeckFromURL(location = window.location) {
+    const deck = new URLSearchParams(location.search).get('deck');
+    return deck ? deck : null;
+  }
+
+  /**
+   * Start syncing: normalize the current URL and listen for page/history changes
+   */
+  start() {
+    if (this.isStarted) {
+      console.warn('[HistoryManager] Already started');
+      return;
+    }
+
+    const currentPage = this.stateManager.getCurrentPage();
+    window.history.replaceState({ page: currentPage }, '', this._buildURL(currentPage));
+
+    this.stateManager.addEventListener('pageChanged', this._handlePageChanged);
+    window.addEventListener('popstate', this._handlePopState);
+
+    this.isStarted = true;
+    console.log(`[HistoryManager] Started on page ${currentPage}`);
+  }
+
+  /**
+   * Stop syncing and remove listeners
+   */
+  destroy() {
+    this.stateManager.removeEventListener('pageChanged', this._handlePageChanged);
+    window.removeEventListener('popstate', this._handlePopState);
+    this.isStarted = false;
+    console.log('[HistoryManager] Destroyed');
+  }
+
+  /**
+   * Push a history entry for each user page change (unless we are restoring
+   * one); programmatic changes replace the current entry instead
+   * @private
+   * @param {Object} data - pageChanged event data
+   */
+  _handlePageChanged(data) {
+    if (this._isRestoring) {
+      return;
+    }
+
+    const url = this._buildURL(data.currentPage);
+    if (data.history === false) {
+      window.history.replaceState({ page: data.currentPage }, '', url);
+    } else {
+      window.history.pushState({ page: data.currentPage }, '', url);
+    }
+  }
+
+  /**
+   * Navigate to the page stored in the history entry (Back/Forward or manual hash edit)
+   * @private
+   * @param {PopStateEvent} event - popstate event
+   */
+  _handlePopState(event) {
+    const statePage = event.state && event.state.page;
+    const pageNum = Number.isInteger(statePage) ? statePage : HistoryManager.getPageFromURL();
+
+    if (!pageNum) {
+      return;
+    }
+
+    console.log(`[HistoryManager] History navigation to page ${pageNum}`);
+
+    this._isRestoring = true;
+    try {
+      this.navigationController.goToPage(pageNum);
+    } finally {
+      this._isRestoring = false;
+    }
+
+    // Out-of-range hashes (e.g. #page=999) get rewritten to the real page
+    const currentPage = this.stateManager.getCurrentPage();
+    if (currentPage !== pageNum) {
+      window.history.replaceState({ page: currentPage }, '', this._buildURL(currentPage));
+    }
+  }
+
+  /**
+   * Build URL for a page, preserving the query string (deck etc.)
+   * @private
+   * @param {number} pageNum - Page number
+   * @returns {string} URL
+   */
+  _buildURL(pageNum) {
+    const url = new URL(window.location.href);
+    url.hash = `page=${pageNum}`;
+    return url.toString();
+  }
+}
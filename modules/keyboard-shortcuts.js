@@ -0,0 +1,552 @@
+/**
+ * KEYBOARD SHORTCUTS MODULE
+ *
+ * Purpose: Focus-aware keyboard shortcuts for presenters and clicker remotes
+ * Contract: Maps keys to named actions, ignores keystrokes aimed at editable
+ *           elements (chat input, ElevenLabs widget) and the arrow, Home, End
+ *           and Page keys of a focused slider, renders a '?' help overlay
+ * Dependencies: None (actions are registered by main.js)
+ *
+ * Keymap format (CONFIG.KEYBOARD_SHORTCUTS overrides per action):
+ *   { nextPage: ['ArrowRight', 'PageDown'], previousPage: ['ArrowLeft'] }
+ *   Keys are KeyboardEvent.key values. An empty array disables the action.
+ *   Actions only one page has (the presenter window's toggleTimer) are not in
+ *   DEFAULT_KEYMAP; that page passes their default keys in the keymap option.
+ *
+ * Hold actions (registered with onRelease, e.g. push-to-talk) run once when
+ * the key goes down, ignore key repeat, and release on keyup or window blur.
+ */
+
+export const DEFAULT_KEYMAP = {
+  nextPage: ['ArrowRight', 'ArrowDown', 'PageDown'],
+  previousPage: ['ArrowLeft', 'ArrowUp', 'PageUp'],
+  firstPage: ['Home'],
+  lastPage: ['End'],
+  search: ['/'],
+  toggleOverview: ['o'],
+  openPresenterView: ['p'],
+  pairRemote: ['r'],
+  toggleAutoAdvance: ['a'],
+  pushToTalk: ['v'],
+  closeOverlays: ['Escape'],
+  toggleHelp: ['?']
+};
+
+// Custom elements whose keystrokes belong to the element, not to us
+const IGNORED_ELEMENTS = ['ELEVENLABS-CONVAI'];
+
+// Keys a focused slider (e.g. the voice volume) uses to change its value
+const SLIDER_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown'];
+
+// How long typed digits wait for Enter before being discarded
+const JUMP_BUFFER_TIMEOUT = 2000;
+
+const KEY_LABELS = {
+  ArrowRight: '→',
+  ArrowLeft: '←',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ' ': 'Space',
+  Escape: 'Esc'
+};
+
+export class KeyboardShortcuts {
+  /**
+   * Initialize keyboard shortcuts
+   * @param {Object} [options] - Configuration options
+   * @param {Object} [options.keymap] - Per-action key overrides (merged over DEFAULT_KEYMAP)
+   */
+  constructor({ keymap = {} } = {}) {
+    this._keymap = { ...DEFAULT_KEYMAP, ...keymap };
+    this._actions = new Map();
+    this._scopes = [];
+    this._jumpBuffer = '';
+    this._jumpTimeout = null;
+    this._isStarted = false;
+    this._helpClose = null;
+    this._heldKeys = new Map();
+
+    this.elements = {
+      helpOverlay: null,
+      jumpIndicator: null
+    };
+
+    this._handleKeyDown = this._handleKeyDown.bind(this);
+    this._handleKeyUp = this._handleKeyUp.bind(this);
+    this._releaseHeldKeys = this._releaseHeldKeys.bind(this);
+
+    console.log('[KeyboardShortcuts] Initialized');
+  }
+
+  /**
+   * Register a named action
+   * @param {string} name - Action name (key of the keymap)
+   * @param {Object} action - Action definition
+   * @param {string} action.description - Shown in the help overlay
+   * @param {Function} action.handler - Called with the KeyboardEvent
+   * @param {Function} [action.onRelease] - Makes it a hold action; called when the key is released
+   */
+  registerAction(name, { description, handler, onRelease }) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for action '${name}' must be a function`);
+    }
+
+    this._actions.set(name, {
+      description: description || name,
+      handler,
+      onRelease: typeof onRelease === 'function' ? onRelease : null
+    });
+  }
+
+  /**
+   * Register the number-jump action (digits followed by Enter)
+   * @param {Function} handler - Called with the typed page number
+   */
+  registerPageJump(handler) {
+    this.registerAction('goToPage', {
+      description: 'Jump to slide number',
+      handler
+    });
+  }
+
+  /**
+   * Get the keys bound to an action
+   * @param {string} name - Action name
+   * @returns {Array<string>} Key values
+   */
+  getKeys(name) {
+    return [...(this._keymap[name] || [])];
+  }
+
+  /**
+   * Push a modal key scope (e.g. an open overlay) that sees keys first
+   * @param {Function} handler - Called with the KeyboardEvent, return true to consume it
+   * @returns {Function} Call to remove the scope
+   */
+  pushScope(handler) {
+    this._scopes.push(handler);
+
+    return () => {
+      const index = this._scopes.indexOf(handler);
+      if (index !== -1) {
+        this._scopes.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Start listening for keystrokes
+   */
+  start() {
+    if (this._isStarted) {
+      return;
+    }
+
+    this._createElements();
+    document.addEventListener('keydown', this._handleKeyDown);
+    document.addEventListener('keyup', this._handleKeyUp);
+    window.addEventListener('blur', this._releaseHeldKeys);
+    this._isStarted = true;
+
+    console.log('[KeyboardShortcuts] Listening. Actions:', [...this._actions.keys()]);
+  }
+
+  /**
+   * Show the help overlay
+   */
+  showHelp() {
+    if (this._helpClose) {
+      return;
+    }
+
+    this.elements.helpOverlay.querySelector('.shortcut-help-list').innerHTML = this._generateHelpList();
+    this.elements.helpOverlay.classList.add('visible');
+
+    const popScope = this.pushScope((event) => {
+      if (event.key === 'Escape' || this.getKeys('toggleHelp').includes(event.key)) {
+        this.hideHelp();
+        return true;
+      }
+      return false;
+    });
+
+    this._helpClose = () => {
+      popScope();
+      this.elements.helpOverlay.classList.remove('visible');
+    };
+  }
+
+  /**
+   * Hide the help overlay
+   */
+  hideHelp() {
+    if (this._helpClose) {
+      this._helpClose();
+      this._helpClose = null;
+    }
+  }
+
+  /**
+   * Toggle the help overlay
+   */
+  toggleHelp() {
+    if (this._helpClose) {
+      this.hideHelp();
+    } else {
+      this.showHelp();
+    }
+  }
+
+  /**
+   * Stop listening and remove overlay elements
+   */
+  destroy() {
+    document.removeEventListener('keydown', this._handleKeyDown);
+    document.removeEventListener('keyup', this._handleKeyUp);
+    window.removeEventListener('blur', this._releaseHeldKeys);
+    this._releaseHeldKeys();
+    this._clearJumpBuffer();
+    this.hideHelp();
+
+    if (this.elements.helpOverlay) {
+      this.elements.helpOverlay.remove();
+    }
+    if (this.elements.jumpIndicator) {
+      this.elements.jumpIndicator.remove();
+    }
+
+    this._isStarted = false;
+    console.log('[KeyboardShortcuts] Destroyed');
+  }
+
+  /**
+   * Handle a keydown anywhere in the document
+   * @private
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  _handleKeyDown(event) {
+    if (event.defaultPrevented || event.isComposing) {
+      return;
+    }
+
+    // A held key repeats keydown; its action already ran
+    if (this._heldKeys.has(event.key)) {
+      event.preventDefault();
+      return;
+    }
+
+    if (this._isEditableTarget(event)) {
+      return;
+    }
+
+    // Leave browser and OS shortcuts (Ctrl+R, Cmd+L, ...) alone
+    if (event.ctrlKey || event.metaKey || event.altKey) {
+      return;
+    }
+
+    for (let i = this._scopes.length - 1; i >= 0; i--) {
+      if (this._scopes[i](event)) {
+        event.preventDefault();
+        return;
+      }
+    }
+
+    if (this._handlePageJumpKey(event)) {
+      event.preventDefault();
+      return;
+    }
+
+    const actionName = this._findAction(event.key);
+    if (!actionName) {
+      return;
+    }
+
+    event.preventDefault();
+
+    if (actionName === 'toggleHelp') {
+      this.toggleHelp();
+      return;
+    }
+
+    console.log(`[KeyboardShortcuts] ${event.key} → ${actionName}`);
+
+    const action = this._actions.get(actionName);
+    if (action.onRelease) {
+      this._heldKeys.set(event.key, actionName);
+    }
+
+    try {
+      action.handler(event);
+    } catch (error) {
+      console.error(`[KeyboardShortcuts] Error in action '${actionName}':`, error);
+    }
+  }
+
+  /**
+   * Release a hold action when its key goes up
+   * @private
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  _handleKeyUp(event) {
+    // Match case-insensitively: Shift pressed mid-hold turns 'v' into 'V'
+    const key = [...this._heldKeys.keys()].find(held => held.toLowerCase() === event.key.toLowerCase());
+    if (key === undefined) {
+      return;
+    }
+
+    event.preventDefault();
+    this._releaseKey(key, event);
+  }
+
+  /**
+   * Release every held key (the window lost focus, so keyup may never arrive)
+   * @private
+   */
+  _releaseHeldKeys() {
+    [...this._heldKeys.keys()].forEach(key => this._releaseKey(key, null));
+  }
+
+  /**
+   * Run the release handler of a held key's action
+   * @private
+   * @param {string} key - KeyboardEvent.key
+   * @param {KeyboardEvent|null} event - Keyup event (null when released on blur)
+   */
+  _releaseKey(key, event) {
+    const actionName = this._heldKeys.get(key);
+    this._heldKeys.delete(key);
+
+    console.log(`[KeyboardShortcuts] ${key} released → ${actionName}`);
+
+    try {
+      this._actions.get(actionName).onRelease(event);
+    } catch (error) {
+      console.error(`[KeyboardShortcuts] Error releasing action '${actionName}':`, error);
+    }
+  }
+
+  /**
+   * Buffer digits and commit them on Enter
+   * @private
+   * @param {KeyboardEvent} event - Keyboard event
+   * @returns {boolean} True if the key was consumed
+   */
+  _handlePageJumpKey(event) {
+    if (!this._actions.has('goToPage')) {
+      return false;
+    }
+
+    if (/^[0-9]$/.test(event.key)) {
+      this._jumpBuffer += event.key;
+      this._showJumpIndicator();
+
+      clearTimeout(this._jumpTimeout);
+      this._jumpTimeout = setTimeout(() => this._clearJumpBuffer(), JUMP_BUFFER_TIMEOUT);
+      return true;
+    }
+
+    if (!this._jumpBuffer) {
+      return false;
+    }
+
+    if (event.key === 'Enter') {
+      const pageNum = parseInt(this._jumpBuffer, 10);
+      this._clearJumpBuffer();
+
+      console.log(`[KeyboardShortcuts] Jump to page ${pageNum}`);
+      this._actions.get('goToPage').handler(pageNum);
+      return true;
+    }
+
+    if (event.key === 'Backspace') {
+      this._jumpBuffer = this._jumpBuffer.slice(0, -1);
+      if (this._jumpBuffer) {
+        this._showJumpIndicator();
+      } else {
+        this._clearJumpBuffer();
+      }
+      return true;
+    }
+
+    if (event.key === 'Escape') {
+      this._clearJumpBuffer();
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Find the registered action bound to a key
+   * @private
+   * @param {string} key - KeyboardEvent.key
+   * @returns {string|null} Action name
+   */
+  _findAction(key) {
+    for (const [name, keys] of Object.entries(this._keymap)) {
+      if (!keys || !keys.includes(key)) {
+        continue;
+      }
+      if (name === 'toggleHelp' || this._actions.has(name)) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether the keystroke is aimed at something the user is typing into
+   * @private
+   * @param {KeyboardEvent} event - Keyboard event
+   * @returns {boolean} True if the event should be ignored
+   */
+  _isEditableTarget(event) {
+    // composedPath() reaches inside shadow roots (e.g. the ElevenLabs widget)
+    const path = typeof event.composedPath === 'function' ? event.composedPath() : [event.target];
+
+    return path.some(node => {
+      if (!node || !node.tagName) {
+        return false;
+      }
+
+      if (IGNORED_ELEMENTS.includes(node.tagName)) {
+        return true;
+      }
+
+      if (node.isContentEditable) {
+        return true;
+      }
+
+      if (node.tagName === 'TEXTAREA' || node.tagName === 'SELECT') {
+        return true;
+      }
+
+      if (node.tagName === 'INPUT') {
+        const type = (node.type || '').toLowerCase();
+        if (type === 'range') {
+          return SLIDER_KEYS.includes(event.key);
+        }
+
+        const nonTextInputs = ['button', 'checkbox', 'radio', 'submit', 'reset'];
+        return !nonTextInputs.includes(type);
+      }
+
+      return false;
+    });
+  }
+
+  /**
+   * Show the "Go to slide" indicator with the buffered digits
+   * @private
+   */
+  _showJumpIndicator() {
+    this.elements.jumpIndicator.textContent = `Go to slide ${this._jumpBuffer} ↵`;
+    this.elements.jumpIndicator.classList.add('visible');
+  }
+
+  /**
+   * Discard buffered digits
+   * @private
+   */
+  _clearJumpBuffer() {
+    clearTimeout(this._jumpTimeout);
+    this._jumpTimeout = null;
+    this._jumpBuffer = '';
+
+    if (this.elements.jumpIndicator) {
+      this.elements.jumpIndicator.classList.remove('visible');
+    }
+  }
+
+  /**
+   * Generate help overlay rows for all bound, registered actions
+   * @private
+   * @returns {string} HTML
+   */
+  _generateHelpList() {
+    const rows = [];
+
+    for (const [name, action] of this._actions) {
+      if (name === 'goToPage') {
+        rows.push(this._generateHelpRow(['1', '2', '…', 'Enter'], action.description, ' '));
+        continue;
+      }
+
+      const keys = this.getKeys(name);
+      if (keys.length > 0) {
+        rows.push(this._generateHelpRow(keys, action.description));
+      }
+    }
+
+    rows.push(this._generateHelpRow(this.getKeys('toggleHelp'), 'Show/hide this help'));
+
+    return rows.join('');
+  }
+
+  /**
+   * Generate a single help overlay row
+   * @private
+   * @param {Array<string>} keys - Key values
+   * @param {string} description - Action description
+   * @param {string} [separator] - Separator between keys
+   * @returns {string} HTML
+   */
+  _generateHelpRow(keys, description, separator = ' / ') {
+    const keyHTML = keys
+      .map(key => `<kbd>${this._escapeHtml(KEY_LABELS[key] || key)}</kbd>`)
+      .join(separator);
+
+    return `
+      <li class="shortcut-help-row">
+        <span class="shortcut-keys">${keyHTML}</span>
+        <span class="shortcut-description">${this._escapeHtml(description)}</span>
+      </li>
+    `;
+  }
+
+  /**
+   * Create help overlay and jump indicator
+   * @private
+   */
+  _createElements() {
+    const helpOverlay = document.createElement('div');
+    helpOverlay.className = 'shortcut-help-overlay';
+    helpOverlay.innerHTML = `
+      <div class="shortcut-help" role="dialog" aria-label="Keyboard shortcuts">
+        <div class="shortcut-help-header">
+          <h3>Keyboard Shortcuts</h3>
+          <button class="shortcut-help-close" aria-label="Close shortcuts help">×</button>
+        </div>
+        <ul class="shortcut-help-list"></ul>
+      </div>
+    `;
+
+    helpOverlay.addEventListener('click', (e) => {
+      if (e.target === helpOverlay || e.target.closest('.shortcut-help-close')) {
+        this.hideHelp();
+      }
+    });
+
+    const jumpIndicator = document.createElement('div');
+    jumpIndicator.className = 'shortcut-jump-indicator';
+    jumpIndicator.setAttribute('aria-live', 'polite');
+
+    document.body.appendChild(helpOverlay);
+    document.body.appendChild(jumpIndicator);
+
+    this.elements.helpOverlay = helpOverlay;
+    this.elements.jumpIndicator = jumpIndicator;
+  }
+
+  /**
+   * Escape HTML
+   * @private
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  _escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * LAZY THUMBNAILS MODULE
+ *
+ * Purpose: Render slide thumbnails only once their placeholders scroll into view
+ * Contract: Watches `.slide-thumbnail` placeholders (with a data-page attribute)
+ *           inside a container and fills each with
+ *           NavigationController.renderThumbnail the first time it comes near
+ *           the scroll root; loaded placeholders get the `loaded` class.
+ *           Without IntersectionObserver no thumbnails are rendered.
+ * Dependencies: navigation.js
+ */
+
+export class LazyThumbnails {
+  /**
+   * Initialize lazy thumbnails
+   * @param {NavigationController} navigationController - Renders the thumbnails
+   * @param {Object} options - Configuration options
+   * @param {HTMLElement} options.root - Scrolling element the placeholders live in
+   * @param {number} options.width - Thumbnail render width in CSS pixels
+   * @param {string} [options.rootMargin='200px 0px'] - How far ahead of the view to render
+   */
+  constructor(navigationController, { root, width, rootMargin = '200px 0px' }) {
+    if (!navigationController) {
+      throw new Error('NavigationController is required');
+    }
+
+    this.navigationController = navigationController;
+    this.width = width;
+
+    this._root = root;
+    this._rootMargin = rootMargin;
+    this._observer = null;
+  }
+
+  /**
+   * Start watching the placeholders in a container that are not loaded yet
+   * (call again after re-rendering the container)
+   * @param {HTMLElement} container - Element holding .slide-thumbnail placeholders
+   */
+  observe(container) {
+    if (typeof IntersectionObserver === 'undefined') {
+      return;
+    }
+
+    if (!this._observer) {
+      this._observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            this._observer.unobserve(entry.target);
+            this._load(entry.target);
+          }
+        });
+      }, {
+        root: this._root,
+        rootMargin: this._rootMargin
+      });
+    }
+
+    container.querySelectorAll('.slide-thumbnail:not(.loaded)').forEach(placeholder => {
+      this._observer.observe(placeholder);
+    });
+  }
+
+  /**
+   * Stop rendering thumbnails (e.g. the panel was closed)
+   */
+  disconnect() {
+    if (this._observer) {
+      this._observer.disconnect();
+    }
+  }
+
+  /**
+   * Render one thumbnail into its placeholder
+   * @private
+   * @param {HTMLElement} placeholder - .slide-thumbnail element
+   */
+  async _load(placeholder) {
+    const pageNum = parseInt(placeholder.dataset.page);
+
+    try {
+      const thumbnail = await this.navigationController.renderThumbnail(pageNum, this.width);
+
+      // The container may have been re-rendered while the thumbnail was drawing
+      if (placeholder.isConnected) {
+        placeholder.replaceChildren(thumbnail);
+        placeholder.classList.add('loaded');
+      }
+    } catch (error) {
+      console.warn(`[LazyThumbnails] Could not render thumbnail for slide ${pageNum}:`, error);
+    }
+  }
+}
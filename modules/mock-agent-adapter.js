@@ -0,0 +1,303 @@
+/**
+ * MOCK AGENT ADAPTER MODULE
+ *
+ * Purpose: Offline conversation backend for development and testing
+ * Contract: Implements ConversationAdapter without network or API key. Typed
+ *           messages (and simulated speech) are matched against a script of
+ *           rules whose actions call client tools, speak templated replies
+ *           and wait; a new message interrupts the running reply.
+ * Dependencies: conversation-adapter.js
+ *
+ * Script format:
+ *   {
+ *     greeting: 'Hi!',                 // Spoken when the session connects
+ *     fallback: 'Sorry?',              // Spoken when no rule matches
+ *     rules: [{ match: /go to slide (\d+)/i, actions: [...] }]   // First match wins
+ *   }
+ *
+ * Actions:
+ *   { tool: 'goToPage', params: { pageNumber: '$1' } }   // $1… = regex captures
+ *   { say: 'Now on page {currentPage}' }                 // {path} = field of the last tool result
+ *   { wait: 2000 }                                       // Milliseconds
+ *   { loop: [...actions], while: 'current' }             // Repeat while the last result has `current`
+ */
+
+import { ConversationAdapter } from './conversation-adapter.js';
+
+// Pause between speaking and listening, so mode changes are visible in the UI
+const SPEAKING_MS_PER_CHAR = 15;
+const MIN_SPEAKING_MS = 300;
+const MAX_SPEAKING_MS = 3000;
+
+// Guard against scripts that never stop looping
+const MAX_LOOP_ITERATIONS = 500;
+
+const NARRATE_TOUR_STEP = [
+  { say: 'Slide {current.pageNumber}: {current.title}. {current.notes}' },
+  { wait: 4000 },
+  { tool: 'advanceTour' }
+];
+
+export const DEFAULT_MOCK_SCRIPT = {
+  greeting: 'Hi, I am the offline mock agent. Try "next slide", "go to slide 3", ' +
+    '"what is on this slide", "find revenue" or "give us a tour".',
+  fallback: 'I do not have a scripted answer for that yet.',
+  rules: [
+    { match: /\b(?:end|stop)\b.*\btour\b/i, actions: [{ tool: 'endTour' }, { say: '{message}' }] },
+    {
+      match: /\b(?:tour|present the deck)\b/i,
+      actions: [
+        { tool: 'startTour' },
+        { loop: NARRATE_TOUR_STEP, while: 'current' },
+        { say: '{message}' }
+      ]
+    },
+    {
+      match: /\b(?:continue|resume)\b/i,
+      actions: [
+        { tool: 'resumeTour' },
+        { loop: NARRATE_TOUR_STEP, while: 'current' },
+        { say: '{message}' }
+      ]
+    },
+    {
+      match: /\b(?:go|jump|skip) to (?:slide|page) (\d+)/i,
+      actions: [{ tool: 'goToPage', params: { pageNumber: '$1' } }, { say: '{message}' }]
+    },
+    { match: /\bnext\b/i, actions: [{ tool: 'nextPage' }, { say: '{message}' }] },
+    { match: /\b(?:previous|back)\b/i, actions: [{ tool: 'previousPage' }, { say: '{message}' }] },
+    {
+      match: /\b(?:find|search for|search) (.+)/i,
+      actions: [{ tool: 'searchSlides', params: { query: '$1' } }, { say: '{message}' }]
+    },
+    {
+      match: /\bwhat(?:'s| is) on (?:this|the) (?:slide|page)\b/i,
+      actions: [{ tool: 'getPageText' }, { say: 'Page {pageNumber} says: {text}' }]
+    },
+    { match: /\bnotes\b/i, actions: [{ tool: 'getSpeakerNotes' }, { say: '{message}. {notes}' }] },
+    { match: /\ball (?:the )?slides\b|\boverview\b/i, actions: [{ tool: 'showSlideOverview' }, { say: '{message}' }] },
+    { match: /\b(?:which|what) (?:slide|page)\b|\bwhere are we\b/i, actions: [{ tool: 'getCurrentPage' }, { say: '{message}' }] }
+  ]
+};
+
+export class MockAgentAdapter extends ConversationAdapter {
+  /**
+   * Initialize mock agent
+   * @param {Object} [options] - Configuration options
+   * @param {Object} [options.script] - Rules and replies (default: DEFAULT_MOCK_SCRIPT)
+   */
+  constructor({ script = DEFAULT_MOCK_SCRIPT } = {}) {
+    super('MockAgent');
+
+    this.script = script;
+    this.contextualUpdates = [];
+
+    this._turn = 0;
+
+    console.log(`[MockAgent] Adapter initialized (${(script.rules || []).length} rules)`);
+  }
+
+  /**
+   * Answer a typed message
+   * @param {string} text - Message
+   * @returns {Promise<void>}
+   */
+  async sendText(text) {
+    if (!this.isConnected) {
+      throw new Error('Mock agent session not connected');
+    }
+    this._respond(text);
+  }
+
+  /**
+   * Pretend the user said something out loud (shows as a user transcript message)
+   * @param {string} text - What the user "said"
+   */
+  simulateUserSpeech(text) {
+    if (!this.isConnected) {
+      console.warn('[MockAgent] Start a session before simulating speech');
+      return;
+    }
+    if (this.audioSettings.micMuted) {
+      console.log('[MockAgent] Microphone muted, ignoring simulated speech');
+      return;
+    }
+    this._emit('onMessage', { source: 'user', message: text });
+    this._respond(text);
+  }
+
+  /**
+   * Record a contextual update (inspect with mockAgent.contextualUpdates)
+   * @param {string} text - Context for the agent
+   * @returns {boolean} True if recorded
+   */
+  sendContextualUpdate(text) {
+    if (!this.isConnected || !text) {
+      return false;
+    }
+    this.contextualUpdates.push({ text, timestamp: new Date() });
+    console.log('[MockAgent] Contextual update:', text);
+    return true;
+  }
+
+  /**
+   * Open a session and greet
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _connect() {
+    this.contextualUpdates = [];
+    this._handleConnect();
+    this._emit('onModeChange', { mode: 'listening' });
+
+    if (this.script.greeting) {
+      this._runActions([{ say: this.script.greeting }], ++this._turn, []);
+    }
+  }
+
+  /**
+   * Close the session and stop any reply in progress
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _disconnect() {
+    this._turn++;
+    this._handleDisconnect({ reason: 'user' });
+  }
+
+  /**
+   * Interrupt the current reply and run the first matching rule
+   * @private
+   * @param {string} text - User message
+   */
+  _respond(text) {
+    const turn = ++this._turn;
+    const rules = this.script.rules || [];
+
+    for (const rule of rules) {
+      const pattern = rule.match instanceof RegExp ? rule.match : new RegExp(rule.match, 'i');
+      const match = text.match(pattern);
+      if (match) {
+        console.log(`[MockAgent] "${text}" matched ${pattern}`);
+        this._runActions(rule.actions || [], turn, match);
+        return;
+      }
+    }
+
+    console.log(`[MockAgent] No rule matched "${text}"`);
+    this._runActions([{ say: this.script.fallback || 'Sorry, I did not understand.' }], turn, []);
+  }
+
+  /**
+   * Run actions in order until done or interrupted by a newer turn
+   * @private
+   * @param {Array<Object>} actions - Script actions
+   * @param {number} turn - Turn the actions belong to
+   * @param {Array<string>} match - Regex captures of the user message
+   * @param {Object} [state] - Holds the last tool result across nested loops
+   * @returns {Promise<boolean>} False if interrupted
+   */
+  async _runActions(actions, turn, match, state = { result: {} }) {
+    for (const action of actions) {
+      if (turn !== this._turn || !this.isConnected) {
+        return false;
+      }
+
+      if (action.tool) {
+        state.result = await this.invokeTool(action.tool, this._fillParams(action.params || {}, match)) || {};
+      } else if (action.say) {
+        await this._say(this._fillTemplate(action.say, match, state.result), turn);
+      } else if (action.wait) {
+        await new Promise(resolve => setTimeout(resolve, action.wait));
+      } else if (action.loop) {
+        for (let i = 0; i < MAX_LOOP_ITERATIONS && this._lookup(state.result, action.while); i++) {
+          if (!await this._runActions(action.loop, turn, match, state)) {
+            return false;
+          }
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Emit an agent message with speaking/listening mode changes around it
+   * @private
+   * @param {string} text - Reply
+   * @param {number} turn - Turn the reply belongs to
+   * @returns {Promise<void>}
+   */
+  async _say(text, turn) {
+    const reply = text.replace(/\s+/g, ' ').trim();
+    if (!reply) {
+      return;
+    }
+
+    this._emit('onModeChange', { mode: 'speaking' });
+    this._emit('onMessage', { source: 'ai', message: reply });
+
+    const speakingMs = Math.min(MAX_SPEAKING_MS, Math.max(MIN_SPEAKING_MS, reply.length * SPEAKING_MS_PER_CHAR));
+    await new Promise(resolve => setTimeout(resolve, speakingMs));
+
+    // An interrupting turn starts speaking on its own
+    if (turn === this._turn && this.isConnected) {
+      this._emit('onModeChange', { mode: 'listening' });
+    }
+  }
+
+  /**
+   * Substitute regex captures ($1…) into string parameters
+   * @private
+   * @param {Object} params - Action parameters
+   * @param {Array<string>} match - Regex captures
+   * @returns {Object} Parameters
+   */
+  _fillParams(params, match) {
+    const filled = {};
+    Object.entries(params).forEach(([key, value]) => {
+      filled[key] = typeof value === 'string' ? this._fillCaptures(value, match) : value;
+    });
+    return filled;
+  }
+
+  /**
+   * Substitute regex captures and {path} fields of the last tool result
+   * @private
+   * @param {string} template - Reply template
+   * @param {Array<string>} match - Regex captures
+   * @param {Object} result - Last tool result
+   * @returns {string} Reply
+   */
+  _fillTemplate(template, match, result) {
+    return this._fillCaptures(template, match).replace(/\{([\w.]+)\}/g, (placeholder, path) => {
+      const value = this._lookup(result, path);
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  /**
+   * Replace $1…$9 with regex captures
+   * @private
+   * @param {string} text - Text
+   * @param {Array<string>} match - Regex captures
+   * @returns {string} Text
+   */
+  _fillCaptures(text, match) {
+    return text.replace(/\$(\d)/g, (placeholder, index) => (match[index] || '').trim());
+  }
+
+  /**
+   * Read a dotted path from an object
+   * @private
+   * @param {Object} object - Source
+   * @param {string} path - e.g. 'current.pageNumber'
+   * @returns {*} Value, or undefined
+   */
+  _lookup(object, path) {
+    return String(path || '').split('.').reduce(
+      (value, key) => (value === undefined || value === null ? undefined : value[key]),
+      object
+    );
+  }
+}
@@ -19,49 +19,110 @@ export class NavigationController {
 
     this.stateManager = stateManager;
     this.pdfRenderer = pdfRenderer;
+    this._hiddenPages = new Set();
 
     this._setupStateListener();
+    this._setupViewportListener();
 
     console.log('[NavigationController] Initialized');
   }
 
   /**
    * Navigate to next page
+   * @param {Object} [options] - Navigation options (see goToPage)
    * @returns {boolean} True if navigation successful
    */
-  nextPage() {
-    if (!this.stateManager.canGoNext()) {
+  nextPage(options = {}) {
+    const nextPageNum = this.findVisiblePage(this.stateManager.getCurrentPage(), 1);
+    if (nextPageNum === null) {
       console.log('[NavigationController] Cannot go to next page');
       return false;
     }
 
-    const nextPageNum = this.stateManager.getCurrentPage() + 1;
-    return this.goToPage(nextPageNum);
+    return this.goToPage(nextPageNum, options);
   }
 
   /**
    * Navigate to previous page
+   * @param {Object} [options] - Navigation options (see goToPage)
    * @returns {boolean} True if navigation successful
    */
-  previousPage() {
-    if (!this.stateManager.canGoPrevious()) {
+  previousPage(options = {}) {
+    const prevPageNum = this.findVisiblePage(this.stateManager.getCurrentPage(), -1);
+    if (prevPageNum === null) {
       console.log('[NavigationController] Cannot go to previous page');
       return false;
     }
 
-    const prevPageNum = this.stateManager.getCurrentPage() - 1;
-    return this.goToPage(prevPageNum);
+    return this.goToPage(prevPageNum, options);
+  }
+
+  /**
+   * Check whether next would move (a visible page lies ahead)
+   * @returns {boolean} True if there is a next page
+   */
+  canGoNext() {
+    return this.findVisiblePage(this.stateManager.getCurrentPage(), 1) !== null;
+  }
+
+  /**
+   * Check whether previous would move (a visible page lies behind)
+   * @returns {boolean} True if there is a previous page
+   */
+  canGoPrevious() {
+    return this.findVisiblePage(this.stateManager.getCurrentPage(), -1) !== null;
+  }
+
+  /**
+   * Find the nearest page in a direction that is not hidden
+   * @param {number} fromPage - Starting page (excluded)
+   * @param {number} direction - 1 for forward, -1 for backward
+   * @returns {number|null} Page number, or null at the end of the deck
+   */
+  findVisiblePage(fromPage, direction) {
+    const totalPages = this.stateManager.getTotalPages();
+
+    for (let page = fromPage + direction; page >= 1 && page <= totalPages; page += direction) {
+      if (!this._hiddenPages.has(page)) {
+        return page;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Set pages that next/previous skip over (they stay reachable by number)
+   * @param {Array<number>} pageNumbers - Hidden page numbers
+   */
+  setHiddenPages(pageNumbers) {
+    this._hiddenPages = new Set(pageNumbers);
+    if (this._hiddenPages.size > 0) {
+      console.log(`[NavigationController] Hidden pages: ${[...this._hiddenPages].join(', ')}`);
+    }
+  }
+
+  /**
+   * Check whether a page is hidden
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {boolean} True if next/previous skip this page
+   */
+  isPageHidden(pageNum) {
+    return this._hiddenPages.has(pageNum);
   }
 
   /**
    * Jump to specific page
    * @param {number} pageNum - Page number (1-indexed)
+   * @param {Object} [options] - Navigation options
+   * @param {boolean} [options.history=true] - false for programmatic changes
+   *   (auto-advance, sync, tour) that should not add a Back step
    * @returns {boolean} True if navigation successful
    */
-  goToPage(pageNum) {
+  goToPage(pageNum, { history = true } = {}) {
     console.log(`[NavigationController] Navigating to page ${pageNum}`);
 
-    const changed = this.stateManager.setCurrentPage(pageNum);
+    const changed = this.stateManager.setCurrentPage(pageNum, { history });
 
     if (!changed) {
       return false;
@@ -87,12 +148,69 @@ export class NavigationController {
   }
 
   /**
-   * Get text content of current page
+   * Get text content of a page without navigating to it
+   * @param {number} [pageNum] - Page number (1-indexed), defaults to the current page
    * @returns {Promise<string>} Page text
    */
-  async getPageText() {
+  async getPageText(pageNum) {
+    const pageNumber = pageNum === undefined ? this.stateManager.getCurrentPage() : pageNum;
+    return await this.pdfRenderer.getPageText(pageNumber);
+  }
+
+  /**
+   * Get the text lines of a page without navigating to it
+   * @param {number} [pageNum] - Page number (1-indexed), defaults to the current page
+   * @returns {Promise<Array<string>>} Page lines
+   */
+  async getPageLines(pageNum) {
+    const pageNumber = pageNum === undefined ? this.stateManager.getCurrentPage() : pageNum;
+    return await this.pdfRenderer.getPageLines(pageNumber);
+  }
+
+  /**
+   * Warm the render cache for pages we expect to visit soon
+   * (e.g. search results the agent may jump to)
+   * @param {Array<number>} pageNumbers - Pages to pre-render, most likely first
+   */
+  prefetchPages(pageNumbers) {
+    this.pdfRenderer.prerenderPages(pageNumbers);
+  }
+
+  /**
+   * Render a small preview of a page (for the sidebar), off the main canvas
+   * @param {number} pageNum - Page number (1-indexed)
+   * @param {number} width - Thumbnail width in CSS pixels
+   * @returns {Promise<HTMLCanvasElement>} Thumbnail canvas
+   */
+  renderThumbnail(pageNum, width) {
+    return this.pdfRenderer.renderThumbnail(pageNum, width);
+  }
+
+  /**
+   * Highlight matching text on the slide (kept across page changes until cleared)
+   * @param {string|Array<string>} terms - Term(s) to highlight; empty clears highlights
+   * @returns {number} Number of matches highlighted on the current page
+   */
+  highlightText(terms) {
+    return this.pdfRenderer.highlightText(terms);
+  }
+
+  /**
+   * Render the current page and warm the cache for likely next pages
+   * Emits 'pageRendered' on the state manager once the canvas shows the page.
+   * @returns {Promise<boolean>} True if the page was drawn, false if superseded
+   */
+  async renderCurrentPage() {
     const currentPage = this.stateManager.getCurrentPage();
-    return await this.pdfRenderer.getPageText(currentPage);
+
+    const rendered = await this.pdfRenderer.renderPage(currentPage);
+    if (!rendered) {
+      return false;
+    }
+
+    this.stateManager.notifyPageRendered(currentPage);
+    this._prerenderAround(currentPage);
+    return true;
   }
 
   /**
@@ -104,10 +222,50 @@ export class NavigationController {
       console.log('[NavigationController] State changed, rendering page:', data.currentPage);
 
       try {
-        await this.pdfRenderer.renderPage(data.currentPage);
+        await this.renderCurrentPage();
       } catch (error) {
         console.error('[NavigationController] Failed to render page:', error);
       }
     });
   }
+
+  /**
+   * Re-render the current page when the window is resized, a tablet is
+   * rotated or the browser moves to a display with a different pixel ratio
+   * @private
+   */
+  _setupViewportListener() {
+    this.pdfRenderer.setViewportChangeCallback(async () => {
+      console.log('[NavigationController] Viewport changed, re-rendering page:', this.getCurrentPage());
+
+      try {
+        await this.renderCurrentPage();
+      } catch (error) {
+        console.error('[NavigationController] Failed to re-render page:', error);
+      }
+    });
+  }
+
+  /**
+   * Queue background renders of the pages most likely to be shown next:
+   * the neighbours first, then pages the current slide links to
+   * @private
+   * @param {number} pageNum - Page that was just rendered
+   */
+  async _prerenderAround(pageNum) {
+    const candidates = [this.findVisiblePage(pageNum, 1), this.findVisiblePage(pageNum, -1)]
+      .filter(page => page !== null);
+    this.pdfRenderer.prerenderPages(candidates);
+
+    try {
+      const linkTargets = await this.pdfRenderer.getLinkTargets(pageNum);
+
+      // Only extend the queue if the user is still on the same page
+      if (linkTargets.length > 0 && this.stateManager.getCurrentPage() === pageNum) {
+        this.pdfRenderer.prerenderPages([...candidates, ...linkTargets]);
+      }
+    } catch (error) {
+      console.warn('[NavigationController] Could not resolve link targets for pre-rendering:', error);
+    }
+  }
 }
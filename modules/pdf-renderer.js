@@ -3,15 +3,22 @@
  *
  * Purpose: Load PDF and render specific pages using PDF.js
  * Contract: Handles all PDF.js interactions and canvas rendering
- * Dependencies: PDF.js (loaded from CDN)
+ * Dependencies: PDF.js (loaded from CDN), render-cache.js
  */
 
+import { RenderCache } from './render-cache.js';
+
+// Thumbnails kept in memory (enough for the sidebar and the overview of a long deck)
+const THUMBNAIL_CACHE_SIZE = 80;
+
 export class PDFRenderer {
   /**
    * Initialize PDF renderer with canvas container
    * @param {HTMLElement} containerElement - Element to contain the canvas
+   * @param {Object} [options] - Renderer options
+   * @param {number} [options.cacheSize=8] - Number of rendered pages to keep in memory
    */
-  constructor(containerElement) {
+  constructor(containerElement, { cacheSize = 8 } = {}) {
     if (!containerElement) {
       throw new Error('Container element is required');
     }
@@ -21,8 +28,37 @@ export class PDFRenderer {
     this.canvas = null;
     this.context = null;
     this.linkLayer = null;
+    this.textLayer = null;
     this.navigationCallback = null;
 
+    this._textLayerTask = null;
+    this._textDivs = [];
+    this._textDivStrings = [];
+    this._highlightTerms = [];
+    this.viewportChangeCallback = null;
+
+    this._resizeObserver = null;
+    this._pixelRatioQuery = null;
+    this._viewportChangeTimeout = null;
+    this._handlePixelRatioChange = this._handlePixelRatioChange.bind(this);
+    this._scheduleViewportChange = this._scheduleViewportChange.bind(this);
+
+    this._renderCache = new RenderCache(cacheSize);
+    this._viewportSignature = null;
+    this._prerenderQueue = [];
+    this._prerenderScheduled = false;
+    this._isRendering = false;
+
+    // Render pipeline: renders run one at a time and only the latest request wins
+    this._renderSequence = 0;
+    this._renderChain = Promise.resolve();
+    this._activeRenderTask = null;
+
+    // Thumbnails render one at a time on their own chain, off the main canvas.
+    // Cached canvases may be on screen, so evicting one must not free it.
+    this._thumbnails = new RenderCache(THUMBNAIL_CACHE_SIZE, { releaseOnEvict: false });
+    this._thumbnailChain = Promise.resolve();
+
     console.log('[PDFRenderer] Initialized');
   }
 
@@ -35,6 +71,16 @@ export class PDFRenderer {
     console.log('[PDFRenderer] Navigation callback set');
   }
 
+  /**
+   * Set callback for container size or device pixel ratio changes
+   * Called (debounced) when the current render no longer fits the viewport.
+   * @param {Function} callback - Function to call when the page should be re-rendered
+   */
+  setViewportChangeCallback(callback) {
+    this.viewportChangeCallback = callback;
+    console.log('[PDFRenderer] Viewport change callback set');
+  }
+
   /**
    * Load PDF from path
    * @param {string} pdfPath - Path to PDF file
@@ -65,9 +111,11 @@ export class PDFRenderer {
   }
 
   /**
-   * Render specific page to canvas
+   * Render specific page to canvas (served from the render cache when possible)
+   * Renders are serialized: a new request cancels the in-flight render and any
+   * request superseded before it finishes resolves to false without drawing.
    * @param {number} pageNumber - Page number to render (1-indexed)
-   * @returns {Promise<void>}
+   * @returns {Promise<boolean>} True if the page was drawn, false if superseded
    */
   async renderPage(pageNumber) {
     if (!this.pdfDocument) {
@@ -78,44 +126,451 @@ export class PDFRenderer {
       throw new Error(`Invalid page number: ${pageNumber}`);
     }
 
+    const renderId = ++this._renderSequence;
+
+    if (this._activeRenderTask) {
+      console.log(`[PDFRenderer] Cancelling in-flight render for page ${pageNumber}`);
+      this._activeRenderTask.cancel();
+    }
+
+    const run = this._renderChain.then(() => this._runRender(pageNumber, renderId));
+    this._renderChain = run.catch(() => {});
+
+    return run;
+  }
+
+  /**
+   * Render a page as one step of the serialized pipeline
+   * @private
+   * @param {number} pageNumber - Page number to render (1-indexed)
+   * @param {number} renderId - Sequence number of this request
+   * @returns {Promise<boolean>} True if the page was drawn, false if superseded
+   */
+  async _runRender(pageNumber, renderId) {
+    const isSuperseded = () => renderId !== this._renderSequence;
+
+    if (isSuperseded()) {
+      console.log(`[PDFRenderer] Skipping superseded render of page ${pageNumber}`);
+      return false;
+    }
+
     console.log(`[PDFRenderer] Rendering page ${pageNumber}`);
 
+    this._isRendering = true;
+
     try {
       const page = await this.pdfDocument.getPage(pageNumber);
+      const { viewport, pixelRatio, cacheKey } = this._getRenderMetrics(page, pageNumber);
 
-      // Get device pixel ratio for high-DPI displays (Retina, etc.)
-      const pixelRatio = window.devicePixelRatio || 1;
+      let bitmap = this._renderCache.get(cacheKey);
+      if (bitmap) {
+        console.log(`[PDFRenderer] Page ${pageNumber} served from cache`);
+      } else {
+        bitmap = await this._renderToBitmap(page, viewport, true);
+        if (!bitmap) {
+          console.log(`[PDFRenderer] Render of page ${pageNumber} cancelled`);
+          return false;
+        }
+        this._renderCache.set(cacheKey, bitmap);
+      }
 
-      // Calculate base scale and multiply by pixel ratio for sharp rendering
-      const baseScale = this._calculateScale(page);
-      const viewport = page.getViewport({ scale: baseScale * pixelRatio });
+      if (isSuperseded()) {
+        console.log(`[PDFRenderer] Page ${pageNumber} superseded before drawing`);
+        return false;
+      }
 
       // Set canvas intrinsic size (actual pixel dimensions)
       // This ensures high-res rendering on Retina displays
-      this.canvas.width = viewport.width;
-      this.canvas.height = viewport.height;
+      this.canvas.width = bitmap.width;
+      this.canvas.height = bitmap.height;
 
       // Set canvas display width, let height auto-scale to maintain aspect ratio
-      this.canvas.style.width = `${viewport.width / pixelRatio}px`;
+      this.canvas.style.width = `${bitmap.width / pixelRatio}px`;
       // Don't set height - CSS 'height: auto' will maintain aspect ratio
 
-      const renderContext = {
-        canvasContext: this.context,
-        viewport: viewport
-      };
+      this.context.drawImage(bitmap, 0, 0);
 
-      await page.render(renderContext).promise;
+      // Render selectable text (in CSS pixels, so without the pixel ratio)
+      const textViewport = page.getViewport({ scale: viewport.scale / pixelRatio });
+      await this._renderTextLayer(page, textViewport);
 
       // Render clickable links
       await this._renderLinks(page, viewport, pixelRatio);
 
       console.log(`[PDFRenderer] Page ${pageNumber} rendered at ${pixelRatio}x resolution`);
+      return true;
     } catch (error) {
       console.error(`[PDFRenderer] Failed to render page ${pageNumber}:`, error);
       throw new Error(`Failed to render page: ${error.message}`);
+    } finally {
+      this._isRendering = false;
+      this._schedulePrerender();
+    }
+  }
+
+  /**
+   * Pre-render pages into the cache in the background
+   * Replaces any pages still waiting from a previous call.
+   * @param {Array<number>} pageNumbers - Pages to pre-render, most likely first
+   */
+  prerenderPages(pageNumbers) {
+    if (!this.pdfDocument) {
+      return;
+    }
+
+    const totalPages = this.pdfDocument.numPages;
+    this._prerenderQueue = [...new Set(pageNumbers)]
+      .filter(pageNum => Number.isInteger(pageNum) && pageNum >= 1 && pageNum <= totalPages);
+
+    this._schedulePrerender();
+  }
+
+  /**
+   * Render a low-resolution thumbnail of a page into its own canvas
+   * Thumbnails are cached per page and width (least recently used dropped
+   * first, all dropped when the pixel ratio changes); repeated calls share
+   * one render.
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @param {number} width - Thumbnail width in CSS pixels
+   * @returns {Promise<HTMLCanvasElement>} Thumbnail canvas
+   */
+  renderThumbnail(pageNumber, width) {
+    if (!this.pdfDocument) {
+      return Promise.reject(new Error('PDF not loaded'));
+    }
+
+    if (pageNumber < 1 || pageNumber > this.pdfDocument.numPages) {
+      return Promise.reject(new Error(`Invalid page number: ${pageNumber}`));
+    }
+
+    const key = `${pageNumber}@${width}`;
+    if (!this._thumbnails.has(key)) {
+      const run = this._thumbnailChain.then(() => this._renderThumbnail(pageNumber, width));
+      this._thumbnailChain = run.catch(() => {});
+      this._thumbnails.set(key, run);
+
+      // Let a failed thumbnail be retried later
+      run.catch(() => this._thumbnails.delete(key));
+    }
+
+    return this._thumbnails.get(key);
+  }
+
+  /**
+   * Render a thumbnail as one step of the thumbnail chain
+   * @private
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @param {number} width - Thumbnail width in CSS pixels
+   * @returns {Promise<HTMLCanvasElement>} Thumbnail canvas
+   */
+  async _renderThumbnail(pageNumber, width) {
+    const page = await this.pdfDocument.getPage(pageNumber);
+    const pixelRatio = window.devicePixelRatio || 1;
+    const scale = (width / page.getViewport({ scale: 1 }).width) * pixelRatio;
+
+    const thumbnail = await this._renderToBitmap(page, page.getViewport({ scale }));
+    thumbnail.className = 'slide-thumbnail-canvas';
+
+    console.log(`[PDFRenderer] Thumbnail of page ${pageNumber} rendered`);
+    return thumbnail;
+  }
+
+  /**
+   * Get the pages that internal links on a page point to
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @returns {Promise<Array<number>>} Target page numbers
+   */
+  async getLinkTargets(pageNumber) {
+    if (!this.pdfDocument) {
+      return [];
+    }
+
+    const page = await this.pdfDocument.getPage(pageNumber);
+    const annotations = await page.getAnnotations();
+    const links = annotations.filter(ann => ann.subtype === 'Link' && ann.dest);
+
+    const targets = await Promise.all(links.map(link => this._resolveDestinationPage(link.dest)));
+    return [...new Set(targets.filter(Boolean))];
+  }
+
+  /**
+   * Compute viewport and cache key for the current container size and pixel ratio
+   * Drops the render cache if either changed since the last render.
+   * @private
+   * @param {*} page - PDF.js page object
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @returns {{viewport: Object, pixelRatio: number, cacheKey: string}} Render metrics
+   */
+  _getRenderMetrics(page, pageNumber) {
+    // Get device pixel ratio for high-DPI displays (Retina, etc.)
+    const pixelRatio = window.devicePixelRatio || 1;
+
+    const signature = this._getViewportSignature();
+    if (signature !== this._viewportSignature) {
+      if (this._viewportSignature) {
+        console.log(`[PDFRenderer] Viewport changed (${this._viewportSignature} → ${signature}), invalidating cache`);
+      }
+      this._renderCache.clear();
+      this._viewportSignature = signature;
+    }
+
+    // Calculate base scale and multiply by pixel ratio for sharp rendering
+    const scale = this._calculateScale(page) * pixelRatio;
+    const viewport = page.getViewport({ scale });
+
+    return {
+      viewport,
+      pixelRatio,
+      cacheKey: RenderCache.key(pageNumber, scale)
+    };
+  }
+
+  /**
+   * Describe the current container size and pixel ratio
+   * @private
+   * @returns {string} Signature such as '1280x720@2'
+   */
+  _getViewportSignature() {
+    const pixelRatio = window.devicePixelRatio || 1;
+    return `${this.container.clientWidth}x${this.container.clientHeight}@${pixelRatio}`;
+  }
+
+  /**
+   * Render a page into a new offscreen canvas
+   * @private
+   * @param {*} page - PDF.js page object
+   * @param {Object} viewport - PDF.js viewport
+   * @param {boolean} [cancellable=false] - Track as the active task so newer renders can cancel it
+   * @returns {Promise<HTMLCanvasElement|null>} Rendered bitmap, or null if cancelled
+   */
+  async _renderToBitmap(page, viewport, cancellable = false) {
+    const bitmap = document.createElement('canvas');
+    bitmap.width = viewport.width;
+    bitmap.height = viewport.height;
+
+    const renderContext = {
+      canvasContext: bitmap.getContext('2d'),
+      viewport: viewport
+    };
+
+    const renderTask = page.render(renderContext);
+    if (cancellable) {
+      this._activeRenderTask = renderTask;
+    }
+
+    try {
+      await renderTask.promise;
+      return bitmap;
+    } catch (error) {
+      if (error && error.name === 'RenderingCancelledException') {
+        return null;
+      }
+      throw error;
+    } finally {
+      if (this._activeRenderTask === renderTask) {
+        this._activeRenderTask = null;
+      }
+    }
+  }
+
+  /**
+   * Schedule the next pre-render when the browser is idle
+   * @private
+   */
+  _schedulePrerender() {
+    if (this._prerenderScheduled || this._prerenderQueue.length === 0) {
+      return;
+    }
+
+    this._prerenderScheduled = true;
+
+    const run = () => {
+      this._prerenderScheduled = false;
+      this._prerenderNext();
+    };
+
+    if (typeof window.requestIdleCallback === 'function') {
+      window.requestIdleCallback(run, { timeout: 1000 });
+    } else {
+      setTimeout(run, 50);
     }
   }
 
+  /**
+   * Pre-render the next queued page (one at a time, yielding to visible renders)
+   * @private
+   */
+  async _prerenderNext() {
+    // A visible render is in progress - it reschedules us when it finishes
+    if (this._isRendering || !this.pdfDocument) {
+      return;
+    }
+
+    const pageNumber = this._prerenderQueue.shift();
+    if (pageNumber === undefined) {
+      return;
+    }
+
+    try {
+      const page = await this.pdfDocument.getPage(pageNumber);
+      const { viewport, cacheKey } = this._getRenderMetrics(page, pageNumber);
+
+      if (!this._renderCache.has(cacheKey)) {
+        const bitmap = await this._renderToBitmap(page, viewport);
+        this._renderCache.set(cacheKey, bitmap);
+        console.log(`[PDFRenderer] Pre-rendered page ${pageNumber}`);
+      }
+    } catch (error) {
+      console.warn(`[PDFRenderer] Pre-render of page ${pageNumber} failed:`, error);
+    }
+
+    this._schedulePrerender();
+  }
+
+  /**
+   * Highlight matching text on the current page (and on pages rendered later)
+   * Matching is case-insensitive and works within a single text run.
+   * @param {string|Array<string>} terms - Term(s) to highlight; empty clears highlights
+   * @returns {number} Number of highlighted matches on the current page
+   */
+  highlightText(terms) {
+    const termList = Array.isArray(terms) ? terms : [terms];
+    this._highlightTerms = termList
+      .filter(term => typeof term === 'string')
+      .map(term => term.trim())
+      .filter(Boolean);
+
+    return this._applyHighlights();
+  }
+
+  /**
+   * Remove all text highlights
+   */
+  clearHighlights() {
+    this.highlightText([]);
+  }
+
+  /**
+   * Render the selectable text layer for a page
+   * @private
+   * @param {*} page - PDF.js page object
+   * @param {Object} viewport - PDF.js viewport in CSS pixels
+   */
+  async _renderTextLayer(page, viewport) {
+    if (!this.textLayer) {
+      return;
+    }
+
+    if (this._textLayerTask) {
+      this._textLayerTask.cancel();
+      this._textLayerTask = null;
+    }
+
+    this.textLayer.innerHTML = '';
+    this._textDivs = [];
+    this._textDivStrings = [];
+
+    // PDF.js sizes the layer and its glyph runs relative to --scale-factor
+    this.textLayer.style.setProperty('--scale-factor', viewport.scale);
+
+    try {
+      const textContent = await page.getTextContent();
+
+      this._textLayerTask = window.pdfjsLib.renderTextLayer({
+        textContentSource: textContent,
+        container: this.textLayer,
+        viewport: viewport,
+        textDivs: this._textDivs,
+        textContentItemsStr: this._textDivStrings
+      });
+
+      await this._textLayerTask.promise;
+      this._textLayerTask = null;
+
+      this._applyHighlights();
+    } catch (error) {
+      if (error && error.name === 'AbortException') {
+        return;
+      }
+      console.error('[PDFRenderer] Error rendering text layer:', error);
+    }
+  }
+
+  /**
+   * Wrap highlight term matches inside the text layer's runs
+   * @private
+   * @returns {number} Number of highlighted matches
+   */
+  _applyHighlights() {
+    const pattern = this._buildHighlightPattern();
+    let matchCount = 0;
+
+    this._textDivs.forEach((div, index) => {
+      const text = this._textDivStrings[index] || '';
+
+      // Reset to plain text before (re)highlighting
+      div.textContent = text;
+
+      if (!pattern || !text) {
+        return;
+      }
+
+      const fragment = document.createDocumentFragment();
+      let lastIndex = 0;
+      let match;
+
+      pattern.lastIndex = 0;
+      while ((match = pattern.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+          fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        }
+
+        const highlight = document.createElement('span');
+        highlight.className = 'highlight';
+        highlight.textContent = match[0];
+        fragment.appendChild(highlight);
+
+        lastIndex = match.index + match[0].length;
+        matchCount++;
+      }
+
+      if (lastIndex === 0) {
+        return;
+      }
+
+      if (lastIndex < text.length) {
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+      }
+
+      div.textContent = '';
+      div.appendChild(fragment);
+    });
+
+    if (this._highlightTerms.length > 0) {
+      console.log(`[PDFRenderer] Highlighted ${matchCount} matches for: ${this._highlightTerms.join(', ')}`);
+    }
+
+    return matchCount;
+  }
+
+  /**
+   * Build a case-insensitive regex matching any highlight term
+   * @private
+   * @returns {RegExp|null} Pattern, or null if there are no terms
+   */
+  _buildHighlightPattern() {
+    if (this._highlightTerms.length === 0) {
+      return null;
+    }
+
+    const escaped = [...this._highlightTerms]
+      // Longest first so "capex 2025" wins over "capex"
+      .sort((a, b) => b.length - a.length)
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    return new RegExp(escaped.join('|'), 'gi');
+  }
+
   /**
    * Render clickable link overlays for a page
    * @private
@@ -201,22 +656,13 @@ export class PDFRenderer {
     }
 
     try {
-      // Get destination page from link
-      let dest = link.dest;
-      if (typeof dest === 'string') {
-        dest = await this.pdfDocument.getDestination(dest);
-      }
+      const targetPage = await this._resolveDestinationPage(link.dest);
 
-      if (!dest) {
+      if (!targetPage) {
         console.warn('[PDFRenderer] Could not resolve link destination');
         return;
       }
 
-      // Get page reference from destination
-      const pageRef = dest[0];
-      const pageIndex = await this.pdfDocument.getPageIndex(pageRef);
-      const targetPage = pageIndex + 1; // Convert to 1-indexed
-
       console.log(`[PDFRenderer] Link clicked: navigating to page ${targetPage}`);
       this.navigationCallback(targetPage);
     } catch (error) {
@@ -224,6 +670,28 @@ export class PDFRenderer {
     }
   }
 
+  /**
+   * Resolve a link destination to a page number
+   * @private
+   * @param {string|Array} dest - Named or explicit PDF destination
+   * @returns {Promise<number|null>} Target page (1-indexed), or null if unresolvable
+   */
+  async _resolveDestinationPage(dest) {
+    // Get destination page from link
+    if (typeof dest === 'string') {
+      dest = await this.pdfDocument.getDestination(dest);
+    }
+
+    if (!dest) {
+      return null;
+    }
+
+    // Get page reference from destination
+    const pageRef = dest[0];
+    const pageIndex = await this.pdfDocument.getPageIndex(pageRef);
+    return pageIndex + 1; // Convert to 1-indexed
+  }
+
   /**
    * Extract text content from specific page
    * @param {number} pageNumber - Page number (1-indexed)
@@ -256,17 +724,173 @@ export class PDFRenderer {
     }
   }
 
+  /**
+   * Extract text content from specific page, split into visual lines
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @returns {Promise<Array<string>>} Non-empty lines in reading order
+   */
+  async getPageLines(pageNumber) {
+    if (!this.pdfDocument) {
+      throw new Error('PDF not loaded');
+    }
+
+    if (pageNumber < 1 || pageNumber > this.pdfDocument.numPages) {
+      throw new Error(`Invalid page number: ${pageNumber}`);
+    }
+
+    try {
+      const page = await this.pdfDocument.getPage(pageNumber);
+      const textContent = await page.getTextContent();
+
+      const lines = [];
+      let currentLine = '';
+
+      textContent.items.forEach(item => {
+        // Marked-content entries carry no text
+        if (typeof item.str !== 'string') {
+          return;
+        }
+
+        currentLine += item.str;
+
+        if (item.hasEOL) {
+          lines.push(currentLine);
+          currentLine = '';
+        } else if (item.str) {
+          currentLine += ' ';
+        }
+      });
+      lines.push(currentLine);
+
+      return lines
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+    } catch (error) {
+      console.error(`[PDFRenderer] Failed to extract lines from page ${pageNumber}:`, error);
+      throw new Error(`Failed to extract text: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract positioned text runs from a page (for layout heuristics such as
+   * finding the title). Coordinates are in unscaled page units, top-left origin.
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @returns {Promise<Object>} { width, height, runs: [{ text, fontSize, top, left }] }
+   */
+  async getTextRuns(pageNumber) {
+    if (!this.pdfDocument) {
+      throw new Error('PDF not loaded');
+    }
+
+    if (pageNumber < 1 || pageNumber > this.pdfDocument.numPages) {
+      throw new Error(`Invalid page number: ${pageNumber}`);
+    }
+
+    try {
+      const page = await this.pdfDocument.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: 1 });
+      const textContent = await page.getTextContent();
+
+      const runs = textContent.items
+        .filter(item => typeof item.str === 'string' && item.str.trim())
+        .map(item => {
+          // Same transform the text layer uses: handles page rotation
+          const tx = window.pdfjsLib.Util.transform(viewport.transform, item.transform);
+          const fontSize = Math.hypot(tx[2], tx[3]);
+          return {
+            text: item.str,
+            fontSize,
+            top: tx[5] - fontSize,
+            left: tx[4]
+          };
+        });
+
+      return { width: viewport.width, height: viewport.height, runs };
+    } catch (error) {
+      console.error(`[PDFRenderer] Failed to extract text runs from page ${pageNumber}:`, error);
+      throw new Error(`Failed to extract text: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the comments attached to a page (sticky notes and free-text annotations)
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @returns {Promise<Array<string>>} Comment texts in page order
+   */
+  async getAnnotationNotes(pageNumber) {
+    if (!this.pdfDocument) {
+      throw new Error('PDF not loaded');
+    }
+
+    if (pageNumber < 1 || pageNumber > this.pdfDocument.numPages) {
+      throw new Error(`Invalid page number: ${pageNumber}`);
+    }
+
+    const page = await this.pdfDocument.getPage(pageNumber);
+    const annotations = await page.getAnnotations();
+
+    // Popup annotations repeat their parent's contents, so only the parents are read
+    return annotations
+      .filter(ann => ann.subtype === 'Text' || ann.subtype === 'FreeText')
+      .map(ann => ((ann.contentsObj && ann.contentsObj.str) || ann.contents || '').trim())
+      .filter(text => text);
+  }
+
+  /**
+   * Get the document outline (bookmarks), flattened in document order
+   * @returns {Promise<Array<Object>>} Entries: { title, page, depth }
+   *   (entries whose destination cannot be resolved are left out)
+   */
+  async getOutline() {
+    if (!this.pdfDocument) {
+      throw new Error('PDF not loaded');
+    }
+
+    const outline = await this.pdfDocument.getOutline();
+    const entries = [];
+
+    const visit = async (items, depth) => {
+      for (const item of items || []) {
+        try {
+          const page = item.dest ? await this._resolveDestinationPage(item.dest) : null;
+          if (page && item.title && item.title.trim()) {
+            entries.push({ title: item.title.trim(), page, depth });
+          }
+        } catch (error) {
+          console.warn(`[PDFRenderer] Could not resolve outline entry "${item.title}":`, error);
+        }
+
+        await visit(item.items, depth + 1);
+      }
+    };
+
+    await visit(outline, 0);
+
+    console.log(`[PDFRenderer] Outline has ${entries.length} resolvable entries`);
+    return entries;
+  }
+
   /**
    * Clean up resources
    */
   cleanup() {
     console.log('[PDFRenderer] Cleaning up');
 
+    this._unwatchViewport();
+    this._prerenderQueue = [];
+    this._renderCache.clear();
+    this._thumbnails.clear();
+
     if (this.pdfDocument) {
       this.pdfDocument.destroy();
       this.pdfDocument = null;
     }
 
+    if (this._textLayerTask) {
+      this._textLayerTask.cancel();
+      this._textLayerTask = null;
+    }
+
     if (this.canvas) {
       this.canvas.remove();
       this.canvas = null;
@@ -302,14 +926,113 @@ export class PDFRenderer {
     this.linkLayer.style.height = '100%';
     this.linkLayer.style.pointerEvents = 'none';
 
-    // Append to wrapper
+    // Create text layer overlay (selection, copy, screen readers, highlights)
+    this.textLayer = document.createElement('div');
+    this.textLayer.id = 'pdf-text-layer';
+    this.textLayer.className = 'textLayer';
+
+    // Append to wrapper (links above text so they stay clickable)
     wrapper.appendChild(this.canvas);
+    wrapper.appendChild(this.textLayer);
     wrapper.appendChild(this.linkLayer);
 
     // Append wrapper to container
     this.container.appendChild(wrapper);
 
-    console.log('[PDFRenderer] Canvas and link layer created and mounted');
+    console.log('[PDFRenderer] Canvas, text layer and link layer created and mounted');
+
+    this._watchViewport();
+  }
+
+  /**
+   * Watch the container size (window resize, orientation change, sidebar
+   * layout) and the device pixel ratio (browser zoom, moving to another monitor)
+   * @private
+   */
+  _watchViewport() {
+    this._unwatchViewport();
+
+    if (typeof window.ResizeObserver === 'function') {
+      this._resizeObserver = new ResizeObserver(this._scheduleViewportChange);
+      this._resizeObserver.observe(this.container);
+    } else {
+      window.addEventListener('resize', this._scheduleViewportChange);
+    }
+
+    this._watchPixelRatio();
+  }
+
+  /**
+   * Listen for the next device pixel ratio change
+   * The media query only matches the current ratio, so it is re-armed after each change.
+   * @private
+   */
+  _watchPixelRatio() {
+    if (this._pixelRatioQuery) {
+      this._pixelRatioQuery.removeEventListener('change', this._handlePixelRatioChange);
+    }
+
+    const pixelRatio = window.devicePixelRatio || 1;
+    this._pixelRatioQuery = window.matchMedia(`(resolution: ${pixelRatio}dppx)`);
+    this._pixelRatioQuery.addEventListener('change', this._handlePixelRatioChange);
+  }
+
+  /**
+   * Handle device pixel ratio change
+   * @private
+   */
+  _handlePixelRatioChange() {
+    console.log(`[PDFRenderer] Device pixel ratio is now ${window.devicePixelRatio}`);
+    // Thumbnails are not re-rendered with the page; render new ones at the new ratio
+    this._thumbnails.clear();
+    this._watchPixelRatio();
+    this._scheduleViewportChange();
+  }
+
+  /**
+   * Debounce viewport changes and notify once things settle
+   * @private
+   */
+  _scheduleViewportChange() {
+    clearTimeout(this._viewportChangeTimeout);
+
+    this._viewportChangeTimeout = setTimeout(() => {
+      this._viewportChangeTimeout = null;
+
+      const signature = this._getViewportSignature();
+
+      // Nothing rendered yet, or the render already matches the viewport
+      if (!this._viewportSignature || signature === this._viewportSignature) {
+        return;
+      }
+
+      console.log(`[PDFRenderer] Viewport changed to ${signature}, re-rendering`);
+
+      if (this.viewportChangeCallback) {
+        this.viewportChangeCallback();
+      }
+    }, 200);
+  }
+
+  /**
+   * Stop watching container size and pixel ratio
+   * @private
+   */
+  _unwatchViewport() {
+    clearTimeout(this._viewportChangeTimeout);
+    this._viewportChangeTimeout = null;
+
+    if (this._resizeObserver) {
+      this._resizeObserver.disconnect();
+      this._resizeObserver = null;
+    }
+
+    window.removeEventListener('resize', this._scheduleViewportChange);
+
+    if (this._pixelRatioQuery) {
+      this._pixelRatioQuery.removeEventListener('change', this._handlePixelRatioChange);
+      this._pixelRatioQuery = null;
+    }
   }
 
   /**
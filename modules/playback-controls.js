@@ -0,0 +1,264 @@
+/**
+ * PLAYBACK CONTROLS MODULE
+ *
+ * Purpose: Buttons for auto-advance and rehearsal mode, plus the rehearsal report
+ * Contract: Renders play/pause (with the countdown), loop and rehearse buttons
+ *           into the controls bar and shows a per-slide target vs. actual table
+ *           when a rehearsal is stopped
+ * Dependencies: auto-advance.js, rehearsal-recorder.js, presentation-timer.js
+ */
+
+import { PresentationTimer } from './presentation-timer.js';
+
+const TICK_INTERVAL = 1000;
+
+export class PlaybackControls {
+  /**
+   * Initialize playback controls
+   * @param {HTMLElement} container - Controls bar slot to render the buttons into
+   * @param {Object} options - Configuration options
+   * @param {AutoAdvancePlayer} options.player - Auto-advance player
+   * @param {RehearsalRecorder} options.recorder - Rehearsal recorder
+   */
+  constructor(container, { player, recorder }) {
+    if (!container || !player || !recorder) {
+      throw new Error('Container, AutoAdvancePlayer and RehearsalRecorder are required');
+    }
+
+    this.container = container;
+    this.player = player;
+    this.recorder = recorder;
+    this.isReportOpen = false;
+
+    this._rehearsalInterval = null;
+
+    this.elements = {
+      wrapper: null,
+      playButton: null,
+      loopButton: null,
+      rehearseButton: null,
+      reportOverlay: null,
+      reportBody: null,
+      reportSummary: null
+    };
+
+    console.log('[PlaybackControls] Initialized');
+  }
+
+  /**
+   * Render the buttons and the (hidden) report dialog
+   */
+  render() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'playback-controls';
+    wrapper.innerHTML = `
+      <button class="playback-btn playback-play" type="button" aria-label="Auto-advance slides"></button>
+      <button class="playback-btn playback-loop" type="button" aria-label="Loop" title="Start over after the last slide">🔁</button>
+      <button class="playback-btn playback-rehearse" type="button" aria-label="Rehearse"></button>
+    `;
+    this.container.appendChild(wrapper);
+
+    const reportOverlay = document.createElement('div');
+    reportOverlay.className = 'rehearsal-report-overlay';
+    reportOverlay.innerHTML = `
+      <div class="rehearsal-report" role="dialog" aria-label="Rehearsal report">
+        <div class="rehearsal-report-header">
+          <h3>Rehearsal Report</h3>
+          <button class="rehearsal-report-close" type="button" aria-label="Close">×</button>
+        </div>
+        <p class="rehearsal-report-summary"></p>
+        <table class="rehearsal-report-table">
+          <thead>
+            <tr><th>Slide</th><th>Target</th><th>Actual</th><th>±</th></tr>
+          </thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `;
+    reportOverlay.addEventListener('click', (e) => {
+      if (e.target === reportOverlay || e.target.closest('.rehearsal-report-close')) {
+        this.closeReport();
+      }
+    });
+    document.body.appendChild(reportOverlay);
+
+    this.elements.wrapper = wrapper;
+    this.elements.playButton = wrapper.querySelector('.playback-play');
+    this.elements.loopButton = wrapper.querySelector('.playback-loop');
+    this.elements.rehearseButton = wrapper.querySelector('.playback-rehearse');
+    this.elements.reportOverlay = reportOverlay;
+    this.elements.reportBody = reportOverlay.querySelector('tbody');
+    this.elements.reportSummary = reportOverlay.querySelector('.rehearsal-report-summary');
+
+    this.elements.playButton.addEventListener('click', () => this.player.toggle());
+    this.elements.loopButton.addEventListener('click', () => this.player.setLoop(!this.player.loop));
+    this.elements.rehearseButton.addEventListener('click', () => this.toggleRehearsal());
+
+    this.player.setStateCallback((state) => this._updatePlayer(state));
+    this._updatePlayer({ state: this.player.state, loop: this.player.loop, remainingMs: 0 });
+    this._updateRehearsal();
+
+    console.log('[PlaybackControls] Rendered');
+  }
+
+  /**
+   * Start a rehearsal, or stop the running one and show its report
+   */
+  toggleRehearsal() {
+    if (this.recorder.isRecording) {
+      this.showReport(this.recorder.stop());
+      clearInterval(this._rehearsalInterval);
+      this._rehearsalInterval = null;
+    } else {
+      // Rehearsal measures the presenter's pace, so slides must not move on their own
+      this.player.stop();
+      this.recorder.start();
+      this._rehearsalInterval = setInterval(() => this._updateRehearsal(), TICK_INTERVAL);
+    }
+
+    this._updateRehearsal();
+  }
+
+  /**
+   * Show a rehearsal report
+   * @param {Object} report - Report from RehearsalRecorder.getReport()
+   */
+  showReport(report) {
+    const { slides, totalTargetMs, totalActualMs, totalDeltaMs } = report;
+
+    this.elements.reportSummary.textContent =
+      `Total ${PresentationTimer.format(totalActualMs)} of ${PresentationTimer.format(totalTargetMs)} planned ` +
+      `(${this._formatDelta(totalDeltaMs)})`;
+
+    this.elements.reportBody.innerHTML = slides.map((slide) => `
+      <tr class="${this._getRowClass(slide)}">
+        <td>${slide.page}. ${this._escapeHtml(slide.title)}</td>
+        <td>${slide.targetMs === null ? '–' : PresentationTimer.format(slide.targetMs)}</td>
+        <td>${slide.skipped ? 'skipped' : PresentationTimer.format(slide.actualMs)}</td>
+        <td>${slide.deltaMs === null ? '–' : this._formatDelta(slide.deltaMs)}</td>
+      </tr>
+    `).join('');
+
+    this.elements.reportOverlay.classList.add('visible');
+    this.isReportOpen = true;
+  }
+
+  /**
+   * Hide the rehearsal report
+   */
+  closeReport() {
+    if (!this.elements.reportOverlay) {
+      return;
+    }
+    this.elements.reportOverlay.classList.remove('visible');
+    this.isReportOpen = false;
+  }
+
+  /**
+   * Remove the buttons and the report dialog
+   */
+  destroy() {
+    clearInterval(this._rehearsalInterval);
+    this._rehearsalInterval = null;
+    this.player.setStateCallback(null);
+
+    if (this.elements.wrapper) {
+      this.elements.wrapper.remove();
+    }
+    if (this.elements.reportOverlay) {
+      this.elements.reportOverlay.remove();
+    }
+
+    Object.keys(this.elements).forEach((key) => {
+      this.elements[key] = null;
+    });
+  }
+
+  /**
+   * Reflect the auto-advance state on the play and loop buttons
+   * @private
+   * @param {Object} state - { state, loop, remainingMs }
+   */
+  _updatePlayer({ state, loop, remainingMs }) {
+    const { playButton, loopButton } = this.elements;
+    if (!playButton) {
+      return;
+    }
+
+    const countdown = PresentationTimer.format(Math.ceil(remainingMs / 1000) * 1000);
+
+    if (state === 'playing') {
+      playButton.textContent = `⏸ ${countdown}`;
+      playButton.title = 'Pause auto-advance';
+    } else if (state === 'paused') {
+      playButton.textContent = `▶ ${countdown}`;
+      playButton.title = 'Resume auto-advance';
+    } else {
+      playButton.textContent = '▶ Auto';
+      playButton.title = 'Advance slides automatically';
+    }
+
+    playButton.classList.toggle('active', state !== 'stopped');
+    loopButton.classList.toggle('active', loop);
+    loopButton.setAttribute('aria-pressed', String(loop));
+  }
+
+  /**
+   * Reflect the rehearsal state on the rehearse button
+   * @private
+   */
+  _updateRehearsal() {
+    const { rehearseButton } = this.elements;
+    if (!rehearseButton) {
+      return;
+    }
+
+    if (this.recorder.isRecording) {
+      rehearseButton.textContent = `⏹ ${PresentationTimer.format(this.recorder.getElapsed())}`;
+      rehearseButton.title = 'Stop rehearsal and show the report';
+    } else {
+      rehearseButton.textContent = '⏺ Rehearse';
+      rehearseButton.title = 'Time a practice run against the slide targets';
+    }
+
+    rehearseButton.classList.toggle('recording', this.recorder.isRecording);
+  }
+
+  /**
+   * Format an over/under time with an explicit sign
+   * @private
+   * @param {number} ms - Milliseconds (positive = over)
+   * @returns {string} e.g. "+0:12" or "-1:05"
+   */
+  _formatDelta(ms) {
+    return ms > 0 ? `+${PresentationTimer.format(ms)}` : PresentationTimer.format(ms);
+  }
+
+  /**
+   * Pick the row highlight for a slide
+   * @private
+   * @param {Object} slide - Report entry
+   * @returns {string} CSS class
+   */
+  _getRowClass(slide) {
+    if (slide.skipped) {
+      return 'skipped';
+    }
+    if (slide.deltaMs === null) {
+      return '';
+    }
+    return slide.deltaMs > 0 ? 'over' : 'under';
+  }
+
+  /**
+   * Escape text for HTML insertion
+   * @private
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  _escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
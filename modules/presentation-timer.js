@@ -0,0 +1,150 @@
+/**
+ * PRESENTATION TIMER MODULE
+ *
+ * Purpose: Elapsed / remaining time for a talk
+ * Contract: Start, pause and reset a stopwatch; reports elapsed time and, when
+ *           a duration is set, the time remaining (negative once over time)
+ * Dependencies: None
+ */
+
+const TICK_INTERVAL = 1000;
+
+export class PresentationTimer {
+  /**
+   * Initialize presentation timer
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.durationMinutes] - Planned length of the talk (omit for no countdown)
+   */
+  constructor({ durationMinutes = null } = {}) {
+    this.durationMs = durationMinutes > 0 ? durationMinutes * 60 * 1000 : null;
+    this.isRunning = false;
+
+    this._accumulatedMs = 0;
+    this._startedAt = null;
+    this._tickInterval = null;
+    this.tickCallback = null;
+
+    console.log(`[PresentationTimer] Initialized${this.durationMs ? ` (${durationMinutes} min talk)` : ''}`);
+  }
+
+  /**
+   * Set callback fired every second while running and on every state change
+   * @param {Function} callback - Receives { elapsedMs, remainingMs, isRunning }
+   */
+  setTickCallback(callback) {
+    this.tickCallback = callback;
+  }
+
+  /**
+   * Start or resume the timer
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    this._startedAt = Date.now();
+    this._tickInterval = setInterval(() => this._tick(), TICK_INTERVAL);
+    this._tick();
+
+    console.log('[PresentationTimer] Started');
+  }
+
+  /**
+   * Pause the timer (elapsed time is kept)
+   */
+  pause() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this._accumulatedMs += Date.now() - this._startedAt;
+    this._startedAt = null;
+    this.isRunning = false;
+    clearInterval(this._tickInterval);
+    this._tickInterval = null;
+    this._tick();
+
+    console.log('[PresentationTimer] Paused');
+  }
+
+  /**
+   * Start if paused, pause if running
+   */
+  toggle() {
+    if (this.isRunning) {
+      this.pause();
+    } else {
+      this.start();
+    }
+  }
+
+  /**
+   * Stop and clear the elapsed time
+   */
+  reset() {
+    this.pause();
+    this._accumulatedMs = 0;
+    this._tick();
+
+    console.log('[PresentationTimer] Reset');
+  }
+
+  /**
+   * Get the elapsed time
+   * @returns {number} Milliseconds
+   */
+  getElapsed() {
+    const running = this.isRunning ? Date.now() - this._startedAt : 0;
+    return this._accumulatedMs + running;
+  }
+
+  /**
+   * Get the time left
+   * @returns {number|null} Milliseconds (negative when over time), or null without a duration
+   */
+  getRemaining() {
+    return this.durationMs === null ? null : this.durationMs - this.getElapsed();
+  }
+
+  /**
+   * Format a duration as m:ss or h:mm:ss (with a leading '-' when negative)
+   * @param {number} ms - Milliseconds
+   * @returns {string} Formatted time
+   */
+  static format(ms) {
+    const sign = ms < 0 ? '-' : '';
+    const totalSeconds = Math.floor(Math.abs(ms) / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+    return hours > 0
+      ? `${sign}${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+      : `${sign}${minutes}:${seconds}`;
+  }
+
+  /**
+   * Stop ticking
+   */
+  destroy() {
+    clearInterval(this._tickInterval);
+    this._tickInterval = null;
+    this.tickCallback = null;
+  }
+
+  /**
+   * Report the current time to the tick callback
+   * @private
+   */
+  _tick() {
+    if (this.tickCallback) {
+      this.tickCallback({
+        elapsedMs: this.getElapsed(),
+        remainingMs: this.getRemaining(),
+        isRunning: this.isRunning
+      });
+    }
+  }
+}
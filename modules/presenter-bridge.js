@@ -0,0 +1,173 @@
+/**
+ * PRESENTER BRIDGE MODULE
+ *
+ * Purpose: Audience-window side of the presenter view
+ * Contract: Opens the presenter window and keeps it in sync: broadcasts page
+ *           changes and transcript messages, and applies navigation coming
+ *           from the presenter to the shared StateManager
+ * Dependencies: presenter-channel.js, state-manager.js, navigation.js,
+ *               transcript-manager.js
+ */
+
+import { PresenterChannel } from './presenter-channel.js';
+
+const PRESENTER_WINDOW_NAME = 'presentation-presenter-view';
+const PRESENTER_WINDOW_FEATURES = 'popup,width=1280,height=800';
+
+export class PresenterBridge {
+  /**
+   * Initialize presenter bridge
+   * @param {Object} options - Configuration options
+   * @param {StateManager} options.stateManager - State manager (the source of truth)
+   * @param {NavigationController} options.navigationController - Navigation controller
+   * @param {TranscriptManager} [options.transcriptManager] - Transcript to mirror
+   * @param {string} options.deckPath - PDF path (scopes the channel, passed to the presenter)
+   * @param {string} [options.presenterURL] - Presenter page
+   */
+  constructor({
+    stateManager,
+    navigationController,
+    transcriptManager = null,
+    deckPath,
+    presenterURL = './presenter.html'
+  }) {
+    if (!stateManager || !navigationController || !deckPath) {
+      throw new Error('StateManager, NavigationController and deckPath are required');
+    }
+
+    this.stateManager = stateManager;
+    this.navigationController = navigationController;
+    this.transcriptManager = transcriptManager;
+    this.deckPath = deckPath;
+    this.presenterURL = presenterURL;
+    this.isStarted = false;
+
+    this._channel = null;
+    this._presenterWindow = null;
+
+    this._handlePageChanged = this._handlePageChanged.bind(this);
+    this._handleUnload = this._handleUnload.bind(this);
+
+    console.log('[PresenterBridge] Initialized');
+  }
+
+  /**
+   * Start listening for the presenter window
+   */
+  start() {
+    if (this.isStarted) {
+      return;
+    }
+
+    this._channel = new PresenterChannel(this.deckPath, 'audience');
+
+    this._channel.addEventListener('hello', () => {
+      console.log('[PresenterBridge] Presenter window connected');
+      this._sendState();
+      if (this.transcriptManager) {
+        this._channel.send('transcriptHistory', {
+          messages: this.transcriptManager.getConversationHistory()
+        });
+      }
+    });
+
+    this._channel.addEventListener('navigate', ({ page }) => {
+      console.log(`[PresenterBridge] Presenter navigated to page ${page}`);
+      if (!this.navigationController.goToPage(page)) {
+        // Already there or invalid: make sure the presenter shows our page
+        this._sendState();
+      }
+    });
+
+    this._channel.addEventListener('goodbye', () => {
+      console.log('[PresenterBridge] Presenter window closed');
+    });
+
+    this.stateManager.addEventListener('pageChanged', this._handlePageChanged);
+
+    if (this.transcriptManager) {
+      this.transcriptManager.setMessageCallback((message) => {
+        this._channel.send('transcript', message);
+      });
+    }
+
+    window.addEventListener('pagehide', this._handleUnload);
+
+    // A presenter window left open from before a reload is waiting for us
+    this._sendState();
+
+    this.isStarted = true;
+    console.log('[PresenterBridge] Started');
+  }
+
+  /**
+   * Open (or focus) the presenter window
+   * @returns {boolean} True if the window is open
+   */
+  openPresenterWindow() {
+    if (this._presenterWindow && !this._presenterWindow.closed) {
+      this._presenterWindow.focus();
+      return true;
+    }
+
+    const params = new URLSearchParams({ deck: this.deckPath });
+    const url = `${this.presenterURL}?${params}#page=${this.stateManager.getCurrentPage()}`;
+
+    this._presenterWindow = window.open(url, PRESENTER_WINDOW_NAME, PRESENTER_WINDOW_FEATURES);
+
+    if (!this._presenterWindow) {
+      console.warn('[PresenterBridge] ⚠️ Presenter window was blocked - allow pop-ups for this site');
+      return false;
+    }
+
+    console.log('[PresenterBridge] Presenter window opened');
+    return true;
+  }
+
+  /**
+   * Stop syncing
+   */
+  destroy() {
+    this.stateManager.removeEventListener('pageChanged', this._handlePageChanged);
+    window.removeEventListener('pagehide', this._handleUnload);
+
+    if (this.transcriptManager) {
+      this.transcriptManager.setMessageCallback(null);
+    }
+
+    if (this._channel) {
+      this._channel.close();
+      this._channel = null;
+    }
+
+    this.isStarted = false;
+    console.log('[PresenterBridge] Destroyed');
+  }
+
+  /**
+   * Broadcast the current page
+   * @private
+   */
+  _sendState() {
+    this._channel.send('state', {
+      currentPage: this.stateManager.getCurrentPage(),
+      totalPages: this.stateManager.getTotalPages()
+    });
+  }
+
+  /**
+   * Tell the presenter about every page change, whoever caused it
+   * @private
+   */
+  _handlePageChanged() {
+    this._sendState();
+  }
+
+  /**
+   * Let the presenter know the audience window is going away
+   * @private
+   */
+  _handleUnload() {
+    this._channel.send('goodbye');
+  }
+}
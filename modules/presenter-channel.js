@@ -0,0 +1,122 @@
+/**
+ * PRESENTER CHANNEL MODULE
+ *
+ * Purpose: Message bus between the audience window and the presenter window
+ * Contract: Typed messages over a BroadcastChannel scoped to one deck, so two
+ *           decks open in the same browser do not drive each other
+ * Dependencies: None (BroadcastChannel, same origin)
+ *
+ * Messages (type → data):
+ *   presenter → audience:
+ *     hello      {}                       presenter opened, asks for a full sync
+ *     navigate   { page }                 presenter changed slide
+ *     goodbye    {}                       presenter window closing
+ *   audience → presenter:
+ *     state      { currentPage, totalPages }
+ *     transcript { role, content, timestamp }
+ *     transcriptHistory { messages }
+ *     goodbye    {}                       audience window closing
+ */
+
+const CHANNEL_PREFIX = 'presentation-viewer:';
+
+export class PresenterChannel {
+  /**
+   * Initialize presenter channel
+   * @param {string} deckPath - PDF path (the channel is per deck)
+   * @param {string} role - 'audience' or 'presenter' (messages from the same role are ignored)
+   */
+  constructor(deckPath, role) {
+    this.role = role;
+    this.isSupported = typeof BroadcastChannel !== 'undefined';
+
+    this._channel = null;
+    this._listeners = new Map();
+
+    if (this.isSupported) {
+      this._channel = new BroadcastChannel(CHANNEL_PREFIX + deckPath);
+      this._channel.onmessage = (event) => this._handleMessage(event.data);
+      console.log(`[PresenterChannel] Initialized as ${role} for ${deckPath}`);
+    } else {
+      console.warn('[PresenterChannel] BroadcastChannel not supported - presenter view cannot sync');
+    }
+  }
+
+  /**
+   * Send a message to the other window(s)
+   * @param {string} type - Message type
+   * @param {Object} [data] - Message data
+   */
+  send(type, data = {}) {
+    if (!this._channel) {
+      return;
+    }
+
+    this._channel.postMessage({ type, sender: this.role, data });
+  }
+
+  /**
+   * Listen for a message type
+   * @param {string} type - Message type
+   * @param {Function} callback - Called with the message data
+   */
+  addEventListener(type, callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('Callback must be a function');
+    }
+
+    if (!this._listeners.has(type)) {
+      this._listeners.set(type, new Set());
+    }
+
+    this._listeners.get(type).add(callback);
+  }
+
+  /**
+   * Stop listening for a message type
+   * @param {string} type - Message type
+   * @param {Function} callback - Callback to remove
+   */
+  removeEventListener(type, callback) {
+    const listeners = this._listeners.get(type);
+    if (listeners) {
+      listeners.delete(callback);
+    }
+  }
+
+  /**
+   * Close the channel
+   */
+  close() {
+    if (this._channel) {
+      this._channel.close();
+      this._channel = null;
+    }
+    this._listeners.clear();
+    console.log('[PresenterChannel] Closed');
+  }
+
+  /**
+   * Dispatch an incoming message
+   * @private
+   * @param {Object} message - { type, sender, data }
+   */
+  _handleMessage(message) {
+    if (!message || typeof message.type !== 'string' || message.sender === this.role) {
+      return;
+    }
+
+    const listeners = this._listeners.get(message.type);
+    if (!listeners) {
+      return;
+    }
+
+    listeners.forEach(callback => {
+      try {
+        callback(message.data || {});
+      } catch (error) {
+        console.error(`[PresenterChannel] Error in '${message.type}' listener:`, error);
+      }
+    });
+  }
+}
@@ -0,0 +1,472 @@
+/**
+ * PRESENTER VIEW MODULE
+ *
+ * Purpose: Speaker panel of the presenter window
+ * Contract: Shows the slide counter and title, a preview of the next visible
+ *           slide, speaker notes for the current page (editable), the talk timer
+ *           and the live transcript. Navigation buttons go through
+ *           NavigationController (presenter.js syncs the resulting page changes
+ *           to the audience).
+ * Dependencies: navigation.js, state-manager.js, presentation-timer.js,
+ *               deck-manifest.js (optional), speaker-notes.js (optional)
+ */
+
+import { PresentationTimer } from './presentation-timer.js';
+
+const NEXT_PREVIEW_WIDTH = 320;
+
+const NOTES_SOURCE_LABELS = {
+  edited: '(edited)',
+  manifest: '',
+  pdf: '(from PDF comments)',
+  none: ''
+};
+
+export class PresenterView {
+  /**
+   * Initialize presenter view
+   * @param {HTMLElement} container - Panel container
+   * @param {NavigationController} navigationController - Navigation controller
+   * @param {StateManager} stateManager - State manager
+   * @param {Object} [options] - Optional features
+   * @param {DeckManifest} [options.deckManifest] - Slide titles
+   * @param {SpeakerNotes} [options.speakerNotes] - Notes shown (and edited) per slide
+   * @param {PresentationTimer} [options.timer] - Talk timer
+   */
+  constructor(container, navigationController, stateManager, { deckManifest = null, speakerNotes = null, timer = null } = {}) {
+    if (!container || !navigationController || !stateManager) {
+      throw new Error('Container, NavigationController and StateManager are required');
+    }
+
+    this.container = container;
+    this.navigationController = navigationController;
+    this.stateManager = stateManager;
+    this.deckManifest = deckManifest;
+    this.speakerNotes = speakerNotes;
+    this.timer = timer;
+    this.isEditingNotes = false;
+
+    this._editingPage = null;
+    this._previewRequest = 0;
+    this._notesRequest = 0;
+
+    this.elements = {
+      counter: null,
+      title: null,
+      status: null,
+      previousButton: null,
+      nextButton: null,
+      nextPreview: null,
+      nextTitle: null,
+      notes: null,
+      notesSource: null,
+      notesEditor: null,
+      notesEditButton: null,
+      notesSaveButton: null,
+      notesCancelButton: null,
+      notesResetButton: null,
+      elapsed: null,
+      remaining: null,
+      timerToggle: null,
+      timerReset: null,
+      transcript: null
+    };
+
+    this._handlePageChanged = this._handlePageChanged.bind(this);
+
+    console.log('[PresenterView] Initialized');
+  }
+
+  /**
+   * Render the panel
+   */
+  render() {
+    console.log('[PresenterView] Rendering presenter panel');
+
+    this.container.innerHTML = `
+      <div class="presenter-header">
+        <div class="presenter-slide-info">
+          <span class="presenter-counter"></span>
+          <span class="presenter-title"></span>
+        </div>
+        <span class="presenter-status" role="status">Waiting for audience window…</span>
+      </div>
+      <div class="presenter-nav">
+        <button class="presenter-prev" type="button" aria-label="Previous slide">← Previous</button>
+        <button class="presenter-next" type="button" aria-label="Next slide">Next →</button>
+      </div>
+      <section class="presenter-section presenter-next-slide">
+        <h4>Next</h4>
+        <div class="presenter-next-preview"></div>
+        <div class="presenter-next-title"></div>
+      </section>
+      <section class="presenter-section presenter-timer">
+        <div class="presenter-timer-values">
+          <div>
+            <span class="presenter-timer-label">Elapsed</span>
+            <span class="presenter-elapsed">0:00</span>
+          </div>
+          <div>
+            <span class="presenter-timer-label">Remaining</span>
+            <span class="presenter-remaining">–</span>
+          </div>
+        </div>
+        <div class="presenter-timer-actions">
+          <button class="presenter-timer-toggle" type="button">Start</button>
+          <button class="presenter-timer-reset" type="button">Reset</button>
+        </div>
+      </section>
+      <section class="presenter-section presenter-notes-section">
+        <div class="presenter-notes-header">
+          <h4>Notes <span class="presenter-notes-source"></span></h4>
+          <div class="presenter-notes-actions">
+            <button class="presenter-notes-edit" type="button">Edit</button>
+            <button class="presenter-notes-reset" type="button" title="Discard your edits and use the deck's notes">Reset</button>
+            <button class="presenter-notes-cancel" type="button">Cancel</button>
+            <button class="presenter-notes-save" type="button" title="Save (Ctrl+Enter)">Save</button>
+          </div>
+        </div>
+        <div class="presenter-notes"></div>
+        <textarea class="presenter-notes-editor" aria-label="Speaker notes" hidden></textarea>
+      </section>
+      <section class="presenter-section presenter-transcript-section">
+        <h4>Transcript</h4>
+        <ul class="presenter-transcript" aria-live="polite"></ul>
+      </section>
+    `;
+
+    this.elements.counter = this.container.querySelector('.presenter-counter');
+    this.elements.title = this.container.querySelector('.presenter-title');
+    this.elements.status = this.container.querySelector('.presenter-status');
+    this.elements.previousButton = this.container.querySelector('.presenter-prev');
+    this.elements.nextButton = this.container.querySelector('.presenter-next');
+    this.elements.nextPreview = this.container.querySelector('.presenter-next-preview');
+    this.elements.nextTitle = this.container.querySelector('.presenter-next-title');
+    this.elements.notes = this.container.querySelector('.presenter-notes');
+    this.elements.notesSource = this.container.querySelector('.presenter-notes-source');
+    this.elements.notesEditor = this.container.querySelector('.presenter-notes-editor');
+    this.elements.notesEditButton = this.container.querySelector('.presenter-notes-edit');
+    this.elements.notesSaveButton = this.container.querySelector('.presenter-notes-save');
+    this.elements.notesCancelButton = this.container.querySelector('.presenter-notes-cancel');
+    this.elements.notesResetButton = this.container.querySelector('.presenter-notes-reset');
+    this.elements.elapsed = this.container.querySelector('.presenter-elapsed');
+    this.elements.remaining = this.container.querySelector('.presenter-remaining');
+    this.elements.timerToggle = this.container.querySelector('.presenter-timer-toggle');
+    this.elements.timerReset = this.container.querySelector('.presenter-timer-reset');
+    this.elements.transcript = this.container.querySelector('.presenter-transcript');
+
+    this._attachEventListeners();
+    this._updateSlide();
+
+    if (this.timer) {
+      this.timer.setTickCallback((time) => this._updateTimer(time));
+      this._updateTimer({
+        elapsedMs: this.timer.getElapsed(),
+        remainingMs: this.timer.getRemaining(),
+        isRunning: this.timer.isRunning
+      });
+    } else {
+      this.container.querySelector('.presenter-timer').hidden = true;
+    }
+
+    if (this.speakerNotes) {
+      // Edits made in another window (or saved here) refresh the notes on screen
+      this.speakerNotes.setChangeCallback(({ page }) => {
+        if (page === this.stateManager.getCurrentPage() && !this.isEditingNotes) {
+          this._updateNotes(page);
+        }
+      });
+    }
+
+    this.stateManager.addEventListener('pageChanged', this._handlePageChanged);
+
+    console.log('[PresenterView] Panel rendered');
+  }
+
+  /**
+   * Re-read titles and notes (e.g. after titles were generated)
+   */
+  refresh() {
+    if (this.elements.counter) {
+      this._updateSlide();
+    }
+  }
+
+  /**
+   * Append a transcript message
+   * @param {Object} message - { role, content, timestamp }
+   */
+  addTranscriptMessage({ role, content, timestamp }) {
+    if (!this.elements.transcript) {
+      return;
+    }
+
+    const time = timestamp ? new Date(timestamp) : new Date();
+    const item = document.createElement('li');
+    item.className = `presenter-transcript-message ${role}`;
+    item.innerHTML = `
+      <span class="presenter-transcript-meta">${this._escapeHtml(role)} · ${time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+      <span class="presenter-transcript-text">${this._escapeHtml(content)}</span>
+    `;
+
+    this.elements.transcript.appendChild(item);
+    this.elements.transcript.scrollTop = this.elements.transcript.scrollHeight;
+  }
+
+  /**
+   * Replace the transcript (full sync from the audience window)
+   * @param {Array} messages - Array of { role, content, timestamp }
+   */
+  setTranscript(messages) {
+    if (!this.elements.transcript) {
+      return;
+    }
+
+    this.elements.transcript.innerHTML = '';
+    messages.forEach(message => this.addTranscriptMessage(message));
+  }
+
+  /**
+   * Show whether the audience window is connected
+   * @param {boolean} isConnected - Connection state
+   */
+  setConnectionStatus(isConnected) {
+    if (!this.elements.status) {
+      return;
+    }
+
+    this.elements.status.textContent = isConnected ? 'Audience window connected' : 'Waiting for audience window…';
+    this.elements.status.classList.toggle('connected', isConnected);
+  }
+
+  /**
+   * Remove the panel
+   */
+  destroy() {
+    this.stateManager.removeEventListener('pageChanged', this._handlePageChanged);
+
+    if (this.timer) {
+      this.timer.setTickCallback(null);
+    }
+
+    if (this.speakerNotes) {
+      this.speakerNotes.setChangeCallback(null);
+    }
+
+    this.container.innerHTML = '';
+    Object.keys(this.elements).forEach(key => {
+      this.elements[key] = null;
+    });
+
+    console.log('[PresenterView] Destroyed');
+  }
+
+  /**
+   * Attach button listeners
+   * @private
+   */
+  _attachEventListeners() {
+    this.elements.previousButton.addEventListener('click', () => {
+      this.navigationController.previousPage();
+    });
+
+    this.elements.nextButton.addEventListener('click', () => {
+      this.navigationController.nextPage();
+    });
+
+    if (this.timer) {
+      this.elements.timerToggle.addEventListener('click', () => this.timer.toggle());
+      this.elements.timerReset.addEventListener('click', () => this.timer.reset());
+    }
+
+    this.elements.notesEditButton.addEventListener('click', () => this._startEditingNotes());
+    this.elements.notesSaveButton.addEventListener('click', () => this._saveNotes());
+    this.elements.notesCancelButton.addEventListener('click', () => this._stopEditingNotes());
+    this.elements.notesResetButton.addEventListener('click', () => {
+      this.speakerNotes.resetNotes(this.stateManager.getCurrentPage());
+      this._stopEditingNotes();
+    });
+
+    this.elements.notesEditor.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        this._saveNotes();
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        this._stopEditingNotes();
+      }
+    });
+  }
+
+  /**
+   * Handle page change
+   * @private
+   */
+  _handlePageChanged() {
+    // Moving on keeps what was typed for the slide it was typed on
+    if (this.isEditingNotes) {
+      this._saveNotes(this._editingPage);
+    }
+    this._updateSlide();
+  }
+
+  /**
+   * Update counter, title, notes, navigation buttons and next-slide preview
+   * @private
+   */
+  _updateSlide() {
+    const currentPage = this.stateManager.getCurrentPage();
+    const totalPages = this.stateManager.getTotalPages();
+    this.elements.counter.textContent = `${currentPage} / ${totalPages}`;
+    this.elements.title.textContent = this._getTitle(currentPage);
+    this.elements.previousButton.disabled = !this.navigationController.canGoPrevious();
+    this.elements.nextButton.disabled = !this.navigationController.canGoNext();
+
+    this._updateNotes(currentPage);
+    this._updateNextPreview(currentPage);
+  }
+
+  /**
+   * Show the notes of a page
+   * @private
+   * @param {number} pageNum - Page number
+   */
+  async _updateNotes(pageNum) {
+    const request = ++this._notesRequest;
+    const hasNotes = !!this.speakerNotes;
+
+    this.elements.notesEditButton.hidden = !hasNotes;
+    this.elements.notesSaveButton.hidden = true;
+    this.elements.notesCancelButton.hidden = true;
+    this.elements.notesResetButton.hidden = !hasNotes || !this.speakerNotes.isEdited(pageNum);
+
+    let notes = '';
+    let source = 'none';
+
+    if (hasNotes) {
+      try {
+        ({ notes, source } = await this.speakerNotes.getNotes(pageNum));
+      } catch (error) {
+        console.error(`[PresenterView] Failed to load notes for page ${pageNum}:`, error);
+      }
+    }
+
+    // Ignore notes that arrived after the presenter moved on
+    if (request !== this._notesRequest) {
+      return;
+    }
+
+    this.elements.notes.textContent = notes || 'No notes for this slide.';
+    this.elements.notes.classList.toggle('empty', !notes);
+    this.elements.notesSource.textContent = NOTES_SOURCE_LABELS[source] || '';
+  }
+
+  /**
+   * Switch the notes to a textarea
+   * @private
+   */
+  async _startEditingNotes() {
+    const pageNum = this.stateManager.getCurrentPage();
+    const { notes } = await this.speakerNotes.getNotes(pageNum);
+
+    this.isEditingNotes = true;
+    this._editingPage = pageNum;
+    this.elements.notesEditor.value = notes;
+    this.elements.notesEditor.hidden = false;
+    this.elements.notes.hidden = true;
+    this.elements.notesEditButton.hidden = true;
+    this.elements.notesResetButton.hidden = true;
+    this.elements.notesSaveButton.hidden = false;
+    this.elements.notesCancelButton.hidden = false;
+    this.elements.notesEditor.focus();
+  }
+
+  /**
+   * Save the textarea contents
+   * @private
+   * @param {number} [pageNum] - Page being edited (defaults to the one editing started on)
+   */
+  _saveNotes(pageNum = this._editingPage) {
+    if (!this.isEditingNotes) {
+      return;
+    }
+
+    this.speakerNotes.setNotes(pageNum, this.elements.notesEditor.value);
+    this._stopEditingNotes();
+  }
+
+  /**
+   * Leave edit mode without saving
+   * @private
+   */
+  _stopEditingNotes() {
+    this.isEditingNotes = false;
+    this._editingPage = null;
+    this.elements.notesEditor.hidden = true;
+    this.elements.notes.hidden = false;
+    this._updateNotes(this.stateManager.getCurrentPage());
+  }
+
+  /**
+   * Show the thumbnail of the next visible slide
+   * @private
+   * @param {number} currentPage - Current page number
+   */
+  async _updateNextPreview(currentPage) {
+    const nextPage = this.navigationController.findVisiblePage(currentPage, 1);
+    const request = ++this._previewRequest;
+
+    this.elements.nextPreview.innerHTML = '';
+
+    if (nextPage === null) {
+      this.elements.nextTitle.textContent = 'End of presentation';
+      return;
+    }
+
+    this.elements.nextTitle.textContent = `${nextPage}. ${this._getTitle(nextPage)}`;
+
+    try {
+      const canvas = await this.navigationController.renderThumbnail(nextPage, NEXT_PREVIEW_WIDTH);
+      // Ignore previews that finished after the presenter moved on
+      if (request === this._previewRequest && canvas) {
+        this.elements.nextPreview.appendChild(canvas);
+      }
+    } catch (error) {
+      console.error(`[PresenterView] Failed to render preview of page ${nextPage}:`, error);
+    }
+  }
+
+  /**
+   * Update elapsed / remaining time
+   * @private
+   * @param {Object} time - { elapsedMs, remainingMs, isRunning }
+   */
+  _updateTimer({ elapsedMs, remainingMs, isRunning }) {
+    this.elements.elapsed.textContent = PresentationTimer.format(elapsedMs);
+    this.elements.remaining.textContent = remainingMs === null ? '–' : PresentationTimer.format(remainingMs);
+    this.elements.remaining.classList.toggle('overtime', remainingMs !== null && remainingMs < 0);
+    this.elements.timerToggle.textContent = isRunning ? 'Pause' : (elapsedMs > 0 ? 'Resume' : 'Start');
+  }
+
+  /**
+   * Get a slide title
+   * @private
+   * @param {number} pageNum - Page number
+   * @returns {string} Title
+   */
+  _getTitle(pageNum) {
+    return this.deckManifest ? this.deckManifest.getTitle(pageNum) : `Slide ${pageNum}`;
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @private
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  _escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * PUSH-TO-TALK MODULE
+ *
+ * Purpose: Only send the microphone to the agent while a key or the voice button is held
+ * Contract: When enabled, keeps the session's microphone muted and opens it
+ *           between press() and release(); releases when the session drops
+ *           or the window loses focus, so the mic is never left open
+ * Dependencies: voice-session.js
+ */
+
+export class PushToTalk {
+  /**
+   * Initialize push-to-talk
+   * @param {Object} options - Configuration options
+   * @param {VoiceSession} options.session - Voice session (its adapter's mic is gated)
+   * @param {boolean} [options.enabled=false] - Start in push-to-talk mode
+   */
+  constructor({ session, enabled = false }) {
+    if (!session) {
+      throw new Error('VoiceSession is required');
+    }
+
+    this.session = session;
+    this.enabled = false;
+    this.isHeld = false;
+    this.stateCallback = null;
+
+    this._boundRelease = () => this.release();
+    this._boundHandleStateChanged = () => {
+      if (!this.session.isConnected()) {
+        this.release();
+      }
+    };
+
+    this.session.addEventListener('stateChanged', this._boundHandleStateChanged);
+    window.addEventListener('blur', this._boundRelease);
+
+    this.setEnabled(enabled);
+
+    console.log(`[PushToTalk] Initialized (${this.enabled ? 'push-to-talk' : 'open mic'})`);
+  }
+
+  /**
+   * Set callback fired when the mode or hold state changes
+   * @param {Function} callback - Receives { enabled, isHeld }
+   */
+  setStateCallback(callback) {
+    this.stateCallback = callback;
+  }
+
+  /**
+   * Switch between push-to-talk and open mic
+   * @param {boolean} enabled - True for push-to-talk
+   */
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+    this.isHeld = false;
+    this.session.adapter.setMicMuted(this.enabled);
+    this._notifyState();
+  }
+
+  /**
+   * Open the microphone (key or button pressed)
+   */
+  press() {
+    // Text-only sessions have no microphone to open
+    if (!this.enabled || this.isHeld || !this.session.isConnected() || this.session.textOnly) {
+      return;
+    }
+
+    this.isHeld = true;
+    this.session.adapter.setMicMuted(false);
+    console.log('[PushToTalk] Talking');
+    this._notifyState();
+  }
+
+  /**
+   * Close the microphone (key or button released)
+   */
+  release() {
+    if (!this.isHeld) {
+      return;
+    }
+
+    this.isHeld = false;
+    this.session.adapter.setMicMuted(true);
+    console.log('[PushToTalk] Released');
+    this._notifyState();
+  }
+
+  /**
+   * Stop listening for session and window events
+   */
+  destroy() {
+    this.release();
+    this.session.removeEventListener('stateChanged', this._boundHandleStateChanged);
+    window.removeEventListener('blur', this._boundRelease);
+    this.stateCallback = null;
+  }
+
+  /**
+   * Report the current state to the state callback
+   * @private
+   */
+  _notifyState() {
+    if (this.stateCallback) {
+      this.stateCallback({ enabled: this.enabled, isHeld: this.isHeld });
+    }
+  }
+}
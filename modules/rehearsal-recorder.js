@@ -0,0 +1,177 @@
+/**
+ * REHEARSAL RECORDER MODULE
+ *
+ * Purpose: Measure a practice run against the time budget
+ * Contract: While recording, accumulates the time spent on each page (across
+ *           revisits) and produces a report comparing it with each slide's
+ *           target and the total
+ * Dependencies: state-manager.js
+ */
+
+export class RehearsalRecorder {
+  /**
+   * Initialize rehearsal recorder
+   * @param {Object} options - Configuration options
+   * @param {StateManager} options.stateManager - State manager
+   * @param {Function} options.getTargetMs - (pageNum) => target milliseconds, or null for none
+   * @param {Function} [options.getTitle] - (pageNum) => slide title
+   */
+  constructor({ stateManager, getTargetMs, getTitle = (pageNum) => `Slide ${pageNum}` }) {
+    if (!stateManager || typeof getTargetMs !== 'function') {
+      throw new Error('StateManager and getTargetMs are required');
+    }
+
+    this.stateManager = stateManager;
+    this.getTargetMs = getTargetMs;
+    this.getTitle = getTitle;
+    this.isRecording = false;
+
+    this._records = new Map();
+    this._currentPage = null;
+    this._enteredAt = null;
+    this._startedAt = null;
+    this._endedAt = null;
+
+    this._handlePageChanged = this._handlePageChanged.bind(this);
+
+    console.log('[Rehearsal] Initialized');
+  }
+
+  /**
+   * Start a new rehearsal from the current slide (discards the previous one)
+   */
+  start() {
+    if (this.isRecording) {
+      return;
+    }
+
+    this._records.clear();
+    this._startedAt = Date.now();
+    this._endedAt = null;
+    this.isRecording = true;
+    this._enterPage(this.stateManager.getCurrentPage());
+
+    this.stateManager.addEventListener('pageChanged', this._handlePageChanged);
+
+    console.log('[Rehearsal] ⏺ Recording');
+  }
+
+  /**
+   * Finish the rehearsal
+   * @returns {Object} Report (see getReport)
+   */
+  stop() {
+    if (this.isRecording) {
+      this._leavePage();
+      this._endedAt = Date.now();
+      this.isRecording = false;
+      this.stateManager.removeEventListener('pageChanged', this._handlePageChanged);
+      console.log('[Rehearsal] ⏹ Stopped');
+    }
+
+    return this.getReport();
+  }
+
+  /**
+   * Get the time elapsed since the rehearsal started
+   * @returns {number} Milliseconds (0 if none was recorded)
+   */
+  getElapsed() {
+    if (!this._startedAt) {
+      return 0;
+    }
+    return (this._endedAt || Date.now()) - this._startedAt;
+  }
+
+  /**
+   * Compare time spent with the targets
+   * @returns {Object} { slides, totalTargetMs, totalActualMs, totalDeltaMs, elapsedMs }
+   *   slides: [{ page, title, targetMs, actualMs, deltaMs, visits, skipped }] for
+   *   every page that has a target or was visited
+   */
+  getReport() {
+    const slides = [];
+    let totalTargetMs = 0;
+    let totalActualMs = 0;
+
+    for (let page = 1; page <= this.stateManager.getTotalPages(); page++) {
+      const record = this._records.get(page) || { actualMs: 0, visits: 0 };
+      const targetMs = this.getTargetMs(page);
+
+      // Include the slide still on screen during a running rehearsal
+      const actualMs = record.actualMs +
+        (this.isRecording && page === this._currentPage ? Date.now() - this._enteredAt : 0);
+
+      if (targetMs === null && record.visits === 0) {
+        continue;
+      }
+
+      totalTargetMs += targetMs || 0;
+      totalActualMs += actualMs;
+
+      slides.push({
+        page,
+        title: this.getTitle(page),
+        targetMs,
+        actualMs,
+        deltaMs: targetMs === null ? null : actualMs - targetMs,
+        visits: record.visits,
+        skipped: record.visits === 0
+      });
+    }
+
+    return {
+      slides,
+      totalTargetMs,
+      totalActualMs,
+      totalDeltaMs: totalActualMs - totalTargetMs,
+      elapsedMs: this.getElapsed()
+    };
+  }
+
+  /**
+   * Stop recording and stop listening
+   */
+  destroy() {
+    this.stateManager.removeEventListener('pageChanged', this._handlePageChanged);
+    this.isRecording = false;
+  }
+
+  /**
+   * Close the previous slide's segment and open the new one
+   * @private
+   * @param {Object} data - { currentPage }
+   */
+  _handlePageChanged({ currentPage }) {
+    this._leavePage();
+    this._enterPage(currentPage);
+  }
+
+  /**
+   * Start timing a page
+   * @private
+   * @param {number} pageNum - Page number
+   */
+  _enterPage(pageNum) {
+    const record = this._records.get(pageNum) || { actualMs: 0, visits: 0 };
+    record.visits++;
+    this._records.set(pageNum, record);
+
+    this._currentPage = pageNum;
+    this._enteredAt = Date.now();
+  }
+
+  /**
+   * Add the time since the page was entered to its total
+   * @private
+   */
+  _leavePage() {
+    if (this._currentPage === null) {
+      return;
+    }
+
+    this._records.get(this._currentPage).actualMs += Date.now() - this._enteredAt;
+    this._currentPage = null;
+    this._enteredAt = null;
+  }
+}
@@ -0,0 +1,403 @@
+/**
+ * REMOTE CONTROL MODULE
+ *
+ * Purpose: Let a phone drive the running presentation (remote.html)
+ * Contract: Joins a private relay room named after a pairing code, shows the
+ *           code, link and QR code in a pairing dialog, applies commands from
+ *           paired remotes (next, previous, jump, toggle voice) and publishes
+ *           the current slide, title, notes and voice state back to them.
+ * Dependencies: sync-client.js, state-manager.js, navigation.js,
+ *               voice-controls.js, deck-manifest.js (optional),
+ *               speaker-notes.js (optional)
+ *
+ * Messages in the pairing room (remote ↔ viewer):
+ *   remote → viewer  command { action: 'next' | 'previous' | 'goToPage' | 'toggleVoice', page }
+ *   viewer → remote  state   { currentPage, totalPages, title, notes, voice: { isActive, isSpeaking, isDisabled, status } }
+ */
+
+import { SyncClient } from './sync-client.js';
+
+const PAIRING_ROOM_PREFIX = 'remote:';
+const PAIRING_CODE_LENGTH = 6;
+const PAIRING_CODE_STORAGE_KEY = 'remoteControlCode';
+
+// No 0/O or 1/I/L, so the code is easy to read out and type on a phone
+const PAIRING_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// QR encoder, loaded only when the pairing dialog is first opened
+const QR_LIBRARY_URL = 'https://esm.sh/qrcode@1.5.4';
+const QR_SIZE = 220;
+
+export class RemoteControlHost {
+  /**
+   * Initialize remote control host
+   * @param {Object} options - Configuration options
+   * @param {StateManager} options.stateManager - State manager
+   * @param {NavigationController} options.navigationController - Navigation controller
+   * @param {VoiceControls} options.voiceControls - Voice button (toggled remotely)
+   * @param {string} options.relayURL - Relay URL reachable from the phone
+   * @param {DeckManifest} [options.deckManifest] - Slide titles
+   * @param {SpeakerNotes} [options.speakerNotes] - Notes shown on the remote
+   * @param {string} [options.remoteURL] - Remote page (resolved against this page)
+   */
+  constructor({
+    stateManager,
+    navigationController,
+    voiceControls,
+    relayURL,
+    deckManifest = null,
+    speakerNotes = null,
+    remoteURL = './remote.html'
+  }) {
+    if (!stateManager || !navigationController || !voiceControls || !relayURL) {
+      throw new Error('StateManager, NavigationController, VoiceControls and relayURL are required');
+    }
+
+    this.stateManager = stateManager;
+    this.navigationController = navigationController;
+    this.voiceControls = voiceControls;
+    this.relayURL = relayURL;
+    this.deckManifest = deckManifest;
+    this.speakerNotes = speakerNotes;
+    this.remoteURL = remoteURL;
+    this.pairingCode = this._loadPairingCode();
+    this.isOpen = false;
+
+    this._syncClient = null;
+    this._remoteCount = 0;
+    this._stateRequest = 0;
+    this._voiceState = null;
+    this._qrRendered = false;
+
+    this.elements = {
+      button: null,
+      overlay: null,
+      code: null,
+      link: null,
+      qr: null,
+      status: null
+    };
+
+    this._handlePageChanged = this._handlePageChanged.bind(this);
+
+    console.log(`[RemoteControl] Initialized (pairing code ${this.pairingCode})`);
+  }
+
+  /**
+   * Render the pairing button and dialog, and start listening for remotes
+   */
+  render() {
+    const button = document.createElement('button');
+    button.className = 'remote-pair-btn';
+    button.innerHTML = '📱';
+    button.setAttribute('aria-label', 'Pair a phone remote');
+    button.setAttribute('title', 'Pair a phone as a remote control');
+    button.addEventListener('click', () => this.toggle());
+    document.body.appendChild(button);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'remote-pair-overlay';
+    overlay.innerHTML = `
+      <div class="remote-pair" role="dialog" aria-label="Pair a phone remote">
+        <div class="remote-pair-header">
+          <h3>Phone Remote</h3>
+          <button class="remote-pair-close" type="button" aria-label="Close">×</button>
+        </div>
+        <div class="remote-pair-body">
+          <div class="remote-pair-qr"></div>
+          <p>Scan the code or open <strong>remote.html</strong> on your phone and enter:</p>
+          <div class="remote-pair-code"></div>
+          <a class="remote-pair-link" target="_blank" rel="noopener"></a>
+          <p class="remote-pair-status" role="status"></p>
+        </div>
+      </div>
+    `;
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay || e.target.closest('.remote-pair-close')) {
+        this.close();
+      }
+    });
+    document.body.appendChild(overlay);
+
+    this.elements.button = button;
+    this.elements.overlay = overlay;
+    this.elements.code = overlay.querySelector('.remote-pair-code');
+    this.elements.link = overlay.querySelector('.remote-pair-link');
+    this.elements.qr = overlay.querySelector('.remote-pair-qr');
+    this.elements.status = overlay.querySelector('.remote-pair-status');
+
+    const pairingURL = this.getPairingURL();
+    this.elements.code.textContent = this.pairingCode;
+    this.elements.link.href = pairingURL;
+    this.elements.link.textContent = pairingURL;
+
+    this._connect();
+    this._updateStatus();
+
+    console.log('[RemoteControl] Pairing dialog rendered');
+  }
+
+  /**
+   * Get the link that pairs a phone with this presentation
+   * @returns {string} Absolute remote.html URL with the code and relay
+   */
+  getPairingURL() {
+    const url = new URL(this.remoteURL, window.location.href);
+    url.searchParams.set('code', this.pairingCode);
+    url.searchParams.set('relay', this.relayURL);
+    return url.toString();
+  }
+
+  /**
+   * Toggle the pairing dialog
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Show the pairing dialog
+   */
+  open() {
+    this.isOpen = true;
+    this.elements.overlay.classList.add('visible');
+    this._renderQRCode();
+  }
+
+  /**
+   * Hide the pairing dialog
+   */
+  close() {
+    this.isOpen = false;
+    this.elements.overlay.classList.remove('visible');
+  }
+
+  /**
+   * Disconnect remotes and remove the UI
+   */
+  destroy() {
+    this.stateManager.removeEventListener('pageChanged', this._handlePageChanged);
+    this.voiceControls.setStateCallback(null);
+
+    if (this._syncClient) {
+      this._syncClient.close();
+      this._syncClient = null;
+    }
+
+    if (this.elements.button) {
+      this.elements.button.remove();
+    }
+    if (this.elements.overlay) {
+      this.elements.overlay.remove();
+    }
+
+    Object.keys(this.elements).forEach(key => {
+      this.elements[key] = null;
+    });
+
+    console.log('[RemoteControl] Destroyed');
+  }
+
+  /**
+   * Join the pairing room and wire commands and state
+   * @private
+   */
+  _connect() {
+    this._syncClient = new SyncClient({
+      url: this.relayURL,
+      room: PAIRING_ROOM_PREFIX + this.pairingCode,
+      role: 'presenter'
+    });
+
+    this._syncClient.setStatusCallback((isConnected) => {
+      if (isConnected) {
+        this._publishState();
+      }
+      this._updateStatus();
+    });
+
+    this._syncClient.addEventListener('peers', ({ remote }) => {
+      if (remote > this._remoteCount) {
+        console.log('[RemoteControl] ✅ Phone remote paired');
+        // Pairing done: get the dialog out of the audience's way
+        this.close();
+      }
+      this._remoteCount = remote || 0;
+      this._updateStatus();
+    });
+
+    this._syncClient.addEventListener('command', (command, sender) => {
+      if (sender === 'remote') {
+        this._handleCommand(command);
+      }
+    });
+
+    this.voiceControls.setStateCallback((voiceState) => {
+      this._voiceState = voiceState;
+      this._publishState();
+    });
+
+    this.stateManager.addEventListener('pageChanged', this._handlePageChanged);
+    this._syncClient.connect();
+  }
+
+  /**
+   * Apply a command from the phone
+   * @private
+   * @param {Object} command - { action, page }
+   */
+  _handleCommand({ action, page }) {
+    console.log(`[RemoteControl] Remote command: ${action}${page ? ` ${page}` : ''}`);
+
+    switch (action) {
+      case 'next':
+        this.navigationController.nextPage();
+        break;
+      case 'previous':
+        this.navigationController.previousPage();
+        break;
+      case 'goToPage': {
+        const pageNum = parseInt(page, 10);
+        if (!this.navigationController.goToPage(pageNum)) {
+          // Invalid or unchanged: make sure the phone shows where we are
+          this._publishState();
+        }
+        break;
+      }
+      case 'toggleVoice':
+        this.voiceControls.toggleVoice();
+        break;
+      default:
+        console.warn(`[RemoteControl] Unknown remote command: ${action}`);
+    }
+  }
+
+  /**
+   * Publish the new slide to the phone
+   * @private
+   */
+  _handlePageChanged() {
+    this._publishState();
+  }
+
+  /**
+   * Send the current slide and voice state to paired remotes
+   * @private
+   */
+  async _publishState() {
+    if (!this._syncClient || !this._syncClient.isConnected) {
+      return;
+    }
+
+    const request = ++this._stateRequest;
+    const currentPage = this.stateManager.getCurrentPage();
+    let notes = '';
+
+    if (this.speakerNotes) {
+      try {
+        ({ notes } = await this.speakerNotes.getNotes(currentPage));
+      } catch (error) {
+        console.warn(`[RemoteControl] Could not load notes for page ${currentPage}:`, error);
+      }
+    }
+
+    // A newer state was published while the notes loaded
+    if (request !== this._stateRequest) {
+      return;
+    }
+
+    this._syncClient.send('state', {
+      currentPage,
+      totalPages: this.stateManager.getTotalPages(),
+      title: this.deckManifest ? this.deckManifest.getTitle(currentPage) : `Slide ${currentPage}`,
+      notes,
+      voice: this._voiceState || {
+        isActive: this.voiceControls.isActive,
+        isSpeaking: this.voiceControls.isSpeaking,
+        isDisabled: this.voiceControls.isDisabled,
+        status: ''
+      }
+    });
+  }
+
+  /**
+   * Draw the QR code for the pairing link (once)
+   * @private
+   */
+  async _renderQRCode() {
+    if (this._qrRendered) {
+      return;
+    }
+    this._qrRendered = true;
+
+    try {
+      const { default: QRCode } = await import(QR_LIBRARY_URL);
+      const dataURL = await QRCode.toDataURL(this.getPairingURL(), { width: QR_SIZE, margin: 1 });
+      const image = document.createElement('img');
+      image.src = dataURL;
+      image.alt = 'QR code for the phone remote';
+      image.width = QR_SIZE;
+      image.height = QR_SIZE;
+      this.elements.qr.appendChild(image);
+    } catch (error) {
+      // The code and link still work without the QR image
+      console.warn('[RemoteControl] Could not load the QR code library:', error);
+      this.elements.qr.hidden = true;
+    }
+  }
+
+  /**
+   * Show relay / pairing status in the dialog and on the button
+   * @private
+   */
+  _updateStatus() {
+    if (!this.elements.status) {
+      return;
+    }
+
+    const isConnected = this._syncClient && this._syncClient.isConnected;
+    let status;
+
+    if (!isConnected) {
+      status = 'Sync relay offline - start it with: node server/relay.mjs';
+    } else if (this._remoteCount > 0) {
+      status = `✅ ${this._remoteCount} remote${this._remoteCount === 1 ? '' : 's'} connected`;
+    } else {
+      status = 'Waiting for a phone to connect…';
+    }
+
+    this.elements.status.textContent = status;
+    this.elements.button.classList.toggle('active', this._remoteCount > 0);
+  }
+
+  /**
+   * Reuse this tab's pairing code across reloads, or make a new one
+   * @private
+   * @returns {string} Pairing code
+   */
+  _loadPairingCode() {
+    try {
+      const saved = sessionStorage.getItem(PAIRING_CODE_STORAGE_KEY);
+      if (saved) {
+        return saved;
+      }
+    } catch (error) {
+      // Storage may be unavailable (private mode); a new code is used after reload
+    }
+
+    const values = crypto.getRandomValues(new Uint32Array(PAIRING_CODE_LENGTH));
+    const code = Array.from(values, value => PAIRING_CODE_ALPHABET[value % PAIRING_CODE_ALPHABET.length]).join('');
+
+    try {
+      sessionStorage.setItem(PAIRING_CODE_STORAGE_KEY, code);
+    } catch (error) {
+      // See above
+    }
+
+    return code;
+  }
+}
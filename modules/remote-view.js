@@ -0,0 +1,211 @@
+/**
+ * REMOTE VIEW MODULE
+ *
+ * Purpose: Phone remote-control UI (remote.html)
+ * Contract: Shows a pairing form, then the slide counter, title and notes with
+ *           large previous/next buttons, a jump-to-slide field and a voice
+ *           toggle. Buttons only emit commands; the paired viewer decides what
+ *           happens and sends back the new state.
+ * Dependencies: None (wired to the relay by remote.js)
+ */
+
+export class RemoteView {
+  /**
+   * Initialize remote view
+   * @param {HTMLElement} container - Container element
+   */
+  constructor(container) {
+    if (!container) {
+      throw new Error('Container is required');
+    }
+
+    this.container = container;
+    this.commandCallback = null;
+    this.pairCallback = null;
+
+    this.elements = {
+      pairing: null,
+      pairingForm: null,
+      codeInput: null,
+      controls: null,
+      status: null,
+      counter: null,
+      title: null,
+      notes: null,
+      previousButton: null,
+      nextButton: null,
+      jumpForm: null,
+      jumpInput: null,
+      voiceButton: null
+    };
+
+    console.log('[RemoteView] Initialized');
+  }
+
+  /**
+   * Set callback for control buttons
+   * @param {Function} callback - Receives { action, page }
+   */
+  setCommandCallback(callback) {
+    this.commandCallback = callback;
+  }
+
+  /**
+   * Set callback for the pairing form
+   * @param {Function} callback - Receives the entered code
+   */
+  setPairCallback(callback) {
+    this.pairCallback = callback;
+  }
+
+  /**
+   * Render the remote
+   */
+  render() {
+    this.container.innerHTML = `
+      <section class="remote-pairing" hidden>
+        <h1>Phone Remote</h1>
+        <p>Enter the code shown in the presentation (📱 button).</p>
+        <form class="remote-pairing-form">
+          <input class="remote-code-input" type="text" inputmode="text" autocomplete="off"
+                 autocapitalize="characters" maxlength="6" placeholder="ABC123" aria-label="Pairing code" required>
+          <button type="submit">Connect</button>
+        </form>
+      </section>
+      <section class="remote-controls" hidden>
+        <div class="remote-status" role="status">Connecting…</div>
+        <div class="remote-slide">
+          <div class="remote-counter">– / –</div>
+          <div class="remote-title"></div>
+        </div>
+        <div class="remote-nav">
+          <button class="remote-prev" type="button" aria-label="Previous slide">‹</button>
+          <button class="remote-next" type="button" aria-label="Next slide">›</button>
+        </div>
+        <form class="remote-jump">
+          <input class="remote-jump-input" type="number" inputmode="numeric" min="1" placeholder="Slide #" aria-label="Slide number">
+          <button type="submit">Go</button>
+        </form>
+        <button class="remote-voice" type="button">🎤 Start voice</button>
+        <div class="remote-notes"></div>
+      </section>
+    `;
+
+    this.elements.pairing = this.container.querySelector('.remote-pairing');
+    this.elements.pairingForm = this.container.querySelector('.remote-pairing-form');
+    this.elements.codeInput = this.container.querySelector('.remote-code-input');
+    this.elements.controls = this.container.querySelector('.remote-controls');
+    this.elements.status = this.container.querySelector('.remote-status');
+    this.elements.counter = this.container.querySelector('.remote-counter');
+    this.elements.title = this.container.querySelector('.remote-title');
+    this.elements.notes = this.container.querySelector('.remote-notes');
+    this.elements.previousButton = this.container.querySelector('.remote-prev');
+    this.elements.nextButton = this.container.querySelector('.remote-next');
+    this.elements.jumpForm = this.container.querySelector('.remote-jump');
+    this.elements.jumpInput = this.container.querySelector('.remote-jump-input');
+    this.elements.voiceButton = this.container.querySelector('.remote-voice');
+
+    this._attachEventListeners();
+    this.setConnectionStatus(false);
+
+    console.log('[RemoteView] Rendered');
+  }
+
+  /**
+   * Show the pairing form
+   * @param {string} [code] - Pre-filled code
+   */
+  showPairing(code = '') {
+    this.elements.codeInput.value = code;
+    this.elements.pairing.hidden = false;
+    this.elements.controls.hidden = true;
+  }
+
+  /**
+   * Show the controls
+   */
+  showControls() {
+    this.elements.pairing.hidden = true;
+    this.elements.controls.hidden = false;
+  }
+
+  /**
+   * Show the viewer's current state
+   * @param {Object} state - { currentPage, totalPages, title, notes, voice }
+   */
+  setState({ currentPage, totalPages, title, notes, voice }) {
+    this.elements.counter.textContent = `${currentPage} / ${totalPages}`;
+    this.elements.title.textContent = title || '';
+    this.elements.notes.textContent = notes || 'No notes for this slide.';
+    this.elements.notes.classList.toggle('empty', !notes);
+    this.elements.jumpInput.max = totalPages;
+    this.elements.previousButton.disabled = currentPage <= 1;
+    this.elements.nextButton.disabled = currentPage >= totalPages;
+
+    const voiceState = voice || {};
+    this.elements.voiceButton.disabled = !!voiceState.isDisabled;
+    this.elements.voiceButton.classList.toggle('active', !!voiceState.isActive);
+    this.elements.voiceButton.textContent = voiceState.isActive
+      ? `⏹ End voice${voiceState.status ? ` (${voiceState.status})` : ''}`
+      : '🎤 Start voice';
+  }
+
+  /**
+   * Show whether the viewer is reachable
+   * @param {boolean} isConnected - Relay connected
+   * @param {boolean} [hasViewer] - The presentation is in the room
+   */
+  setConnectionStatus(isConnected, hasViewer = false) {
+    let status;
+    if (!isConnected) {
+      status = 'Relay offline - reconnecting…';
+    } else if (!hasViewer) {
+      status = 'Waiting for the presentation…';
+    } else {
+      status = '● Connected';
+    }
+
+    this.elements.status.textContent = status;
+    this.elements.status.classList.toggle('connected', isConnected && hasViewer);
+    this.elements.controls.classList.toggle('offline', !isConnected || !hasViewer);
+  }
+
+  /**
+   * Attach listeners
+   * @private
+   */
+  _attachEventListeners() {
+    this.elements.pairingForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const code = this.elements.codeInput.value.trim().toUpperCase();
+      if (code && this.pairCallback) {
+        this.pairCallback(code);
+      }
+    });
+
+    this.elements.previousButton.addEventListener('click', () => this._emit({ action: 'previous' }));
+    this.elements.nextButton.addEventListener('click', () => this._emit({ action: 'next' }));
+    this.elements.voiceButton.addEventListener('click', () => this._emit({ action: 'toggleVoice' }));
+
+    this.elements.jumpForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const page = parseInt(this.elements.jumpInput.value, 10);
+      if (page > 0) {
+        this._emit({ action: 'goToPage', page });
+        this.elements.jumpInput.value = '';
+        this.elements.jumpInput.blur();
+      }
+    });
+  }
+
+  /**
+   * Fire the command callback
+   * @private
+   * @param {Object} command - { action, page }
+   */
+  _emit(command) {
+    if (this.commandCallback) {
+      this.commandCallback(command);
+    }
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * RENDER CACHE MODULE
+ *
+ * Purpose: Bounded LRU cache of rendered page bitmaps
+ * Contract: Stores offscreen canvases keyed by page and scale, evicting the
+ *           least recently used entry when full. Evicted canvases are freed
+ *           unless releaseOnEvict is off (for entries that may still be on
+ *           screen, such as thumbnails).
+ * Dependencies: None
+ */
+
+export class RenderCache {
+  /**
+   * Initialize render cache
+   * @param {number} maxEntries - Maximum number of bitmaps to keep
+   * @param {Object} [options] - Cache options
+   * @param {boolean} [options.releaseOnEvict=true] - Free evicted canvases right away
+   */
+  constructor(maxEntries = 8, { releaseOnEvict = true } = {}) {
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+      throw new Error('maxEntries must be a positive integer');
+    }
+
+    this._maxEntries = maxEntries;
+    this._releaseOnEvict = releaseOnEvict;
+    // Map preserves insertion order: first entry is the least recently used
+    this._entries = new Map();
+
+    console.log(`[RenderCache] Initialized (max ${maxEntries} entries)`);
+  }
+
+  /**
+   * Build cache key for a page rendered at a given scale
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @param {number} scale - Final render scale (including device pixel ratio)
+   * @returns {string} Cache key
+   */
+  static key(pageNumber, scale) {
+    return `${pageNumber}@${scale.toFixed(4)}`;
+  }
+
+  /**
+   * Check whether a key is cached (does not affect recency)
+   * @param {string} key - Cache key
+   * @returns {boolean} True if cached
+   */
+  has(key) {
+    return this._entries.has(key);
+  }
+
+  /**
+   * Get a cached bitmap and mark it as most recently used
+   * @param {string} key - Cache key
+   * @returns {HTMLCanvasElement|null} Cached bitmap
+   */
+  get(key) {
+    const bitmap = this._entries.get(key);
+    if (!bitmap) {
+      return null;
+    }
+
+    this._entries.delete(key);
+    this._entries.set(key, bitmap);
+    return bitmap;
+  }
+
+  /**
+   * Store a bitmap, evicting the least recently used entry if full
+   * @param {string} key - Cache key
+   * @param {HTMLCanvasElement} bitmap - Rendered bitmap
+   */
+  set(key, bitmap) {
+    if (this._entries.has(key)) {
+      this._release(this._entries.get(key));
+      this._entries.delete(key);
+    }
+
+    this._entries.set(key, bitmap);
+
+    while (this._entries.size > this._maxEntries) {
+      const oldestKey = this._entries.keys().next().value;
+      this._release(this._entries.get(oldestKey));
+      this._entries.delete(oldestKey);
+      console.log(`[RenderCache] Evicted ${oldestKey}`);
+    }
+  }
+
+  /**
+   * Drop one entry (without freeing it)
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this._entries.delete(key);
+  }
+
+  /**
+   * Drop all cached bitmaps
+   */
+  clear() {
+    if (this._entries.size === 0) {
+      return;
+    }
+
+    this._entries.forEach(bitmap => this._release(bitmap));
+    console.log(`[RenderCache] Cleared ${this._entries.size} entries`);
+    this._entries.clear();
+  }
+
+  /**
+   * Number of cached bitmaps
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Free the backing store of a canvas right away instead of waiting for GC
+   * @private
+   * @param {HTMLCanvasElement} bitmap - Bitmap to release
+   */
+  _release(bitmap) {
+    if (!this._releaseOnEvict) {
+      return;
+    }
+
+    bitmap.width = 0;
+    bitmap.height = 0;
+  }
+}
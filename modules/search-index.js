@@ -0,0 +1,270 @@
+/**
+ * SEARCH INDEX MODULE
+ *
+ * Purpose: Full-deck text search over slide titles and page text
+ * Contract: Extracts text for every page once, then answers ranked queries
+ *           with snippet previews
+ * Dependencies: pdf-renderer.js
+ *
+ * Public API:
+ *   - build()
+ *   - search(query, options)
+ *   - getPageText(pageNumber) / getTitle(pageNumber)
+ *   - refreshTitles()
+ *
+ * Ranking:
+ *   - Pages containing every query term rank above partial matches
+ *   - Title matches weigh more than body matches
+ *   - An exact phrase match earns a bonus
+ */
+
+const TITLE_WEIGHT = 5;
+const PHRASE_BONUS = 10;
+const ALL_TERMS_BONUS = 100;
+const SNIPPET_RADIUS = 60;
+
+// Filler words from spoken requests ("the slide about the $400M scenario")
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'about', 'of', 'on', 'in', 'to', 'for', 'with', 'and', 'or',
+  'that', 'this', 'is', 'go', 'back', 'show', 'me', 'slide', 'slides', 'page'
+]);
+
+export class SearchIndex {
+  /**
+   * Initialize search index
+   * @param {PDFRenderer} pdfRenderer - PDF renderer (source of page text)
+   * @param {Object} [options] - Configuration options
+   * @param {Function} [options.getTitle] - Returns the title for a page number
+   */
+  constructor(pdfRenderer, { getTitle } = {}) {
+    if (!pdfRenderer) {
+      throw new Error('PDFRenderer is required');
+    }
+
+    this._pdfRenderer = pdfRenderer;
+    this._getTitle = typeof getTitle === 'function' ? getTitle : () => '';
+    this._entries = [];
+    this._buildPromise = null;
+    this.isReady = false;
+
+    console.log('[SearchIndex] Initialized');
+  }
+
+  /**
+   * Extract and index the text of every page (runs once; later calls share the result)
+   * @returns {Promise<void>}
+   */
+  build() {
+    if (!this._buildPromise) {
+      this._buildPromise = this._build();
+    }
+    return this._buildPromise;
+  }
+
+  /**
+   * Search titles and page text
+   * @param {string} query - Search query
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit] - Maximum number of results
+   * @param {number} [options.titleWeight] - Score of a title hit relative to a body hit
+   * @returns {Array<Object>} Ranked results:
+   *   { page, title, score, hitScore, matchCount, allTermsMatched, snippet, terms }
+   *   (hitScore counts title and body hits only, without the bonuses)
+   */
+  search(query, { limit = Infinity, titleWeight = TITLE_WEIGHT } = {}) {
+    const terms = SearchIndex.tokenize(query);
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const phrase = terms.join(' ');
+    const results = [];
+
+    this._entries.forEach(entry => {
+      let score = 0;
+      let matchCount = 0;
+      let matchedTerms = 0;
+
+      terms.forEach(term => {
+        const titleHits = this._countOccurrences(entry.normalizedTitle, term);
+        const textHits = this._countOccurrences(entry.normalizedText, term);
+
+        if (titleHits + textHits > 0) {
+          matchedTerms++;
+        }
+
+        matchCount += titleHits + textHits;
+        score += titleHits * titleWeight + textHits;
+      });
+
+      if (matchCount === 0) {
+        return;
+      }
+
+      const hitScore = score;
+      const allTermsMatched = matchedTerms === terms.length;
+      if (allTermsMatched) {
+        score += ALL_TERMS_BONUS;
+      }
+
+      if (terms.length > 1 &&
+          (entry.normalizedTitle.includes(phrase) || entry.normalizedText.includes(phrase))) {
+        score += PHRASE_BONUS;
+      }
+
+      results.push({
+        page: entry.page,
+        title: entry.title,
+        score,
+        hitScore,
+        matchCount,
+        allTermsMatched,
+        snippet: this._buildSnippet(entry, terms),
+        terms
+      });
+    });
+
+    results.sort((a, b) => b.score - a.score || a.page - b.page);
+
+    return results.slice(0, limit);
+  }
+
+  /**
+   * Get the indexed text of a page
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @returns {string|null} Page text, or null if not indexed
+   */
+  getPageText(pageNumber) {
+    const entry = this._entries[pageNumber - 1];
+    return entry ? entry.text : null;
+  }
+
+  /**
+   * Get the indexed title of a page
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @returns {string} Page title ('' if unknown)
+   */
+  getTitle(pageNumber) {
+    const entry = this._entries[pageNumber - 1];
+    return entry ? entry.title : this._getTitle(pageNumber) || '';
+  }
+
+  /**
+   * Re-read titles for indexed pages (e.g. after titles were generated)
+   * without extracting the page text again
+   */
+  refreshTitles() {
+    this._entries.forEach(entry => {
+      entry.title = this._getTitle(entry.page) || '';
+      entry.normalizedTitle = SearchIndex.normalize(entry.title);
+    });
+  }
+
+  /**
+   * Split a query into lowercase search terms, dropping filler words
+   * (unless the query consists only of filler words)
+   * @param {string} query - Search query
+   * @returns {Array<string>} Unique terms
+   */
+  static tokenize(query) {
+    if (!query || typeof query !== 'string') {
+      return [];
+    }
+
+    const terms = [...new Set(SearchIndex.normalize(query).split(' ').filter(Boolean))];
+    const meaningful = terms.filter(term => !STOP_WORDS.has(term));
+
+    return meaningful.length > 0 ? meaningful : terms;
+  }
+
+  /**
+   * Lowercase text and collapse whitespace
+   * @param {string} text - Text to normalize
+   * @returns {string} Normalized text
+   */
+  static normalize(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  /**
+   * Build the index
+   * @private
+   */
+  async _build() {
+    const totalPages = this._pdfRenderer.pdfDocument ? this._pdfRenderer.pdfDocument.numPages : 0;
+    const startTime = Date.now();
+
+    console.log(`[SearchIndex] Indexing ${totalPages} pages`);
+
+    const entries = [];
+    for (let page = 1; page <= totalPages; page++) {
+      let text = '';
+      try {
+        text = await this._pdfRenderer.getPageText(page);
+      } catch (error) {
+        console.warn(`[SearchIndex] Could not extract text from page ${page}:`, error);
+      }
+
+      const title = this._getTitle(page) || '';
+      const displayText = text.replace(/\s+/g, ' ').trim();
+
+      entries.push({
+        page,
+        title,
+        text: displayText,
+        normalizedTitle: SearchIndex.normalize(title),
+        normalizedText: displayText.toLowerCase()
+      });
+    }
+
+    this._entries = entries;
+    this.isReady = true;
+
+    console.log(`[SearchIndex] ✅ Indexed ${totalPages} pages in ${Date.now() - startTime}ms`);
+  }
+
+  /**
+   * Count non-overlapping occurrences of a term
+   * @private
+   * @param {string} haystack - Normalized text
+   * @param {string} term - Normalized term
+   * @returns {number} Occurrence count
+   */
+  _countOccurrences(haystack, term) {
+    let count = 0;
+    let index = haystack.indexOf(term);
+
+    while (index !== -1) {
+      count++;
+      index = haystack.indexOf(term, index + term.length);
+    }
+
+    return count;
+  }
+
+  /**
+   * Build a short excerpt of the page text around the first match
+   * @private
+   * @param {Object} entry - Index entry
+   * @param {Array<string>} terms - Query terms
+   * @returns {string} Snippet (may be '' if only the title matched)
+   */
+  _buildSnippet(entry, terms) {
+    const positions = terms
+      .map(term => entry.normalizedText.indexOf(term))
+      .filter(index => index !== -1);
+
+    if (positions.length === 0) {
+      return entry.text.slice(0, SNIPPET_RADIUS * 2).trim();
+    }
+
+    const matchIndex = Math.min(...positions);
+    const start = Math.max(0, matchIndex - SNIPPET_RADIUS);
+    const end = Math.min(entry.text.length, matchIndex + SNIPPET_RADIUS);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < entry.text.length ? '…' : '';
+
+    return `${prefix}${entry.text.slice(start, end).trim()}${suffix}`;
+  }
+}
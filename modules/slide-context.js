@@ -0,0 +1,159 @@
+/**
+ * SLIDE CONTEXT MODULE
+ *
+ * Purpose: Keep the voice agent aware of which slide the audience is looking at
+ * Contract: On every page change (debounced for rapid clicks), sends the agent a
+ *           contextual update with the page number, title and slide text
+ * Dependencies: state-manager.js, navigation.js, transcript-manager.js
+ *
+ * Contextual updates are background information for the agent: they are not
+ * shown in the chat and do not make the agent speak on their own.
+ */
+
+export class SlideContextNotifier {
+  /**
+   * Initialize slide context notifier
+   * @param {Object} options - Configuration options
+   * @param {StateManager} options.stateManager - State manager
+   * @param {NavigationController} options.navigationController - Navigation controller
+   * @param {TranscriptManager} options.transcriptManager - Holds the conversation
+   * @param {Function} [options.getTitle] - Returns the title for a page number
+   * @param {boolean} [options.enabled=true] - Send updates at all
+   * @param {number} [options.debounceMs=750] - Wait for rapid clicks to settle
+   * @param {number} [options.maxTextLength=1500] - Truncate slide text beyond this
+   */
+  constructor({
+    stateManager,
+    navigationController,
+    transcriptManager,
+    getTitle,
+    enabled = true,
+    debounceMs = 750,
+    maxTextLength = 1500
+  }) {
+    if (!stateManager || !navigationController || !transcriptManager) {
+      throw new Error('StateManager, NavigationController and TranscriptManager are required');
+    }
+
+    this.stateManager = stateManager;
+    this.navigationController = navigationController;
+    this.transcriptManager = transcriptManager;
+    this.enabled = enabled;
+
+    this._getTitle = typeof getTitle === 'function' ? getTitle : () => '';
+    this._debounceMs = debounceMs;
+    this._maxTextLength = maxTextLength;
+    this._debounceTimeout = null;
+    this._lastSentPage = null;
+
+    this._handlePageChanged = this._handlePageChanged.bind(this);
+    this.stateManager.addEventListener('pageChanged', this._handlePageChanged);
+
+    console.log(`[SlideContext] Initialized (${enabled ? `enabled, ${debounceMs}ms debounce` : 'disabled'})`);
+  }
+
+  /**
+   * Enable or disable automatic updates
+   * @param {boolean} enabled - Whether to send updates
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) {
+      clearTimeout(this._debounceTimeout);
+    }
+    console.log(`[SlideContext] ${enabled ? 'Enabled' : 'Disabled'}`);
+  }
+
+  /**
+   * Send the current slide right away (e.g. when a session connects)
+   * @returns {Promise<boolean>} True if an update was sent
+   */
+  async sendCurrentSlide() {
+    clearTimeout(this._debounceTimeout);
+    this._lastSentPage = null;
+    return this._sendUpdate(this.stateManager.getCurrentPage());
+  }
+
+  /**
+   * Stop listening for page changes
+   */
+  destroy() {
+    clearTimeout(this._debounceTimeout);
+    this.stateManager.removeEventListener('pageChanged', this._handlePageChanged);
+    console.log('[SlideContext] Destroyed');
+  }
+
+  /**
+   * Debounce page changes so only the slide the presenter settles on is sent
+   * @private
+   * @param {Object} data - pageChanged event data
+   */
+  _handlePageChanged(data) {
+    if (!this.enabled) {
+      return;
+    }
+
+    clearTimeout(this._debounceTimeout);
+    this._debounceTimeout = setTimeout(() => {
+      this._debounceTimeout = null;
+      this._sendUpdate(data.currentPage);
+    }, this._debounceMs);
+  }
+
+  /**
+   * Build and send the contextual update for a page
+   * @private
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {Promise<boolean>} True if an update was sent
+   */
+  async _sendUpdate(pageNum) {
+    if (!this.enabled || !this.transcriptManager.hasConversation()) {
+      return false;
+    }
+
+    if (pageNum === this._lastSentPage) {
+      return false;
+    }
+
+    let text = '';
+    try {
+      text = await this.navigationController.getPageText(pageNum);
+    } catch (error) {
+      console.warn(`[SlideContext] Could not read text of page ${pageNum}:`, error);
+    }
+
+    // The presenter moved on while we were extracting text
+    if (pageNum !== this.stateManager.getCurrentPage()) {
+      return false;
+    }
+
+    const sent = this.transcriptManager.sendContextualUpdate(this._formatUpdate(pageNum, text));
+    if (sent) {
+      this._lastSentPage = pageNum;
+      console.log(`[SlideContext] ✅ Sent context for page ${pageNum}`);
+    }
+
+    return sent;
+  }
+
+  /**
+   * Format the update text
+   * @private
+   * @param {number} pageNum - Page number
+   * @param {string} text - Slide text
+   * @returns {string} Update text
+   */
+  _formatUpdate(pageNum, text) {
+    const total = this.stateManager.getTotalPages();
+    const title = this._getTitle(pageNum);
+    const titlePart = title ? ` titled "${title}"` : '';
+
+    let slideText = text.replace(/\s+/g, ' ').trim();
+    if (slideText.length > this._maxTextLength) {
+      slideText = `${slideText.slice(0, this._maxTextLength)}…`;
+    }
+
+    return `The audience is now viewing slide ${pageNum} of ${total}${titlePart}. ` +
+      (slideText ? `Slide text: ${slideText}` : 'The slide has no extractable text.');
+  }
+}
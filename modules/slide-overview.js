@@ -0,0 +1,449 @@
+/**
+ * SLIDE OVERVIEW MODULE
+ *
+ * Purpose: Full-screen grid of every slide for jumping around the deck (Q&A)
+ * Contract: Opens over the viewer with a zoomable grid of page thumbnails.
+ *           Arrow keys move the selection, Enter or a click navigates through
+ *           NavigationController.goToPage and closes the overview. Any page
+ *           change (e.g. by the agent) also closes it.
+ * Dependencies: navigation.js, state-manager.js, lazy-thumbnails.js,
+ *               deck-manifest.js (optional), keyboard-shortcuts.js (optional,
+ *               for arrow-key selection)
+ */
+
+import { LazyThumbnails } from './lazy-thumbnails.js';
+
+// Tile widths in CSS pixels, smallest first
+const ZOOM_LEVELS = [140, 200, 280];
+const DEFAULT_ZOOM_LEVEL = 1;
+
+// Thumbnails are rendered once at the largest tile width and scaled down
+const THUMBNAIL_WIDTH = ZOOM_LEVELS[ZOOM_LEVELS.length - 1];
+
+export class SlideOverview {
+  /**
+   * Initialize slide overview
+   * @param {NavigationController} navigationController - Navigation controller
+   * @param {StateManager} stateManager - State manager
+   * @param {Object} [options] - Optional features
+   * @param {DeckManifest} [options.deckManifest] - Slide titles and hidden flags
+   */
+  constructor(navigationController, stateManager, { deckManifest = null } = {}) {
+    if (!navigationController || !stateManager) {
+      throw new Error('NavigationController and StateManager are required');
+    }
+
+    this.navigationController = navigationController;
+    this.stateManager = stateManager;
+    this.deckManifest = deckManifest;
+    this.keyboardShortcuts = null;
+    this.isOpen = false;
+
+    this._zoomLevel = DEFAULT_ZOOM_LEVEL;
+    this._selectedPage = null;
+    this._popKeyScope = null;
+    this._thumbnailLoader = null;
+
+    this.elements = {
+      overlay: null,
+      grid: null,
+      zoomOutButton: null,
+      zoomInButton: null,
+      closeButton: null
+    };
+
+    this._handlePageChanged = this._handlePageChanged.bind(this);
+    this._handleKey = this._handleKey.bind(this);
+
+    console.log('[SlideOverview] Initialized');
+  }
+
+  /**
+   * Render the (hidden) overview overlay
+   */
+  render() {
+    console.log('[SlideOverview] Rendering overview');
+
+    const overlay = document.createElement('div');
+    overlay.className = 'slide-overview';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', 'All slides');
+    overlay.tabIndex = -1;
+    overlay.innerHTML = `
+      <div class="slide-overview-header">
+        <h3>All slides</h3>
+        <div class="slide-overview-actions">
+          <button class="slide-overview-zoom-out" type="button" aria-label="Smaller thumbnails" title="Smaller (-)">−</button>
+          <button class="slide-overview-zoom-in" type="button" aria-label="Larger thumbnails" title="Larger (+)">+</button>
+          <button class="slide-overview-close" type="button" aria-label="Close overview" title="Close (Esc)">&times;</button>
+        </div>
+      </div>
+      <ul class="slide-overview-grid">
+        ${this._generateGrid()}
+      </ul>
+    `;
+
+    document.body.appendChild(overlay);
+
+    this.elements.overlay = overlay;
+    this.elements.grid = overlay.querySelector('.slide-overview-grid');
+    this.elements.zoomOutButton = overlay.querySelector('.slide-overview-zoom-out');
+    this.elements.zoomInButton = overlay.querySelector('.slide-overview-zoom-in');
+    this.elements.closeButton = overlay.querySelector('.slide-overview-close');
+
+    this._thumbnailLoader = new LazyThumbnails(this.navigationController, {
+      root: this.elements.grid,
+      width: THUMBNAIL_WIDTH,
+      rootMargin: '300px 0px'
+    });
+
+    this._attachEventListeners();
+    this._applyZoom();
+
+    this.stateManager.addEventListener('pageChanged', this._handlePageChanged);
+
+    console.log('[SlideOverview] Overview rendered');
+  }
+
+  /**
+   * Use keyboard shortcuts for arrow-key selection while open
+   * @param {KeyboardShortcuts} keyboardShortcuts - Keyboard shortcuts instance
+   */
+  setKeyboardShortcuts(keyboardShortcuts) {
+    this.keyboardShortcuts = keyboardShortcuts;
+  }
+
+  /**
+   * Re-render the grid (e.g. after titles were generated)
+   */
+  refresh() {
+    if (!this.elements.grid) {
+      return;
+    }
+
+    this.elements.grid.innerHTML = this._generateGrid();
+    this._markCurrentSlide();
+    this._select(this._selectedPage || this.stateManager.getCurrentPage());
+    if (this.isOpen) {
+      this._thumbnailLoader.observe(this.elements.grid);
+    }
+  }
+
+  /**
+   * Toggle the overview
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Show the overview with the current slide selected
+   */
+  open() {
+    if (this.isOpen) {
+      return;
+    }
+
+    console.log('[SlideOverview] Opening overview');
+    this.isOpen = true;
+    this.elements.overlay.classList.add('visible');
+    this.elements.overlay.focus({ preventScroll: true });
+
+    this._markCurrentSlide();
+    this._select(this.stateManager.getCurrentPage());
+    this._thumbnailLoader.observe(this.elements.grid);
+
+    if (this.keyboardShortcuts) {
+      this._popKeyScope = this.keyboardShortcuts.pushScope(this._handleKey);
+    }
+  }
+
+  /**
+   * Hide the overview
+   */
+  close() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    console.log('[SlideOverview] Closing overview');
+    this.isOpen = false;
+    this.elements.overlay.classList.remove('visible');
+
+    if (this.elements.overlay.contains(document.activeElement)) {
+      document.activeElement.blur();
+    }
+
+    this._thumbnailLoader.disconnect();
+
+    if (this._popKeyScope) {
+      this._popKeyScope();
+      this._popKeyScope = null;
+    }
+  }
+
+  /**
+   * Show larger thumbnails (fewer per row)
+   */
+  zoomIn() {
+    this.setZoomLevel(this._zoomLevel + 1);
+  }
+
+  /**
+   * Show smaller thumbnails (more per row)
+   */
+  zoomOut() {
+    this.setZoomLevel(this._zoomLevel - 1);
+  }
+
+  /**
+   * Set the thumbnail size
+   * @param {number} level - Index into the zoom levels (clamped)
+   */
+  setZoomLevel(level) {
+    this._zoomLevel = Math.max(0, Math.min(ZOOM_LEVELS.length - 1, level));
+    this._applyZoom();
+  }
+
+  /**
+   * Clean up
+   */
+  destroy() {
+    console.log('[SlideOverview] Destroying overview');
+
+    this.close();
+    this.stateManager.removeEventListener('pageChanged', this._handlePageChanged);
+
+    if (this._thumbnailLoader) {
+      this._thumbnailLoader.disconnect();
+    }
+
+    if (this.elements.overlay) {
+      this.elements.overlay.remove();
+    }
+  }
+
+  /**
+   * Generate HTML for every page tile
+   * @private
+   */
+  _generateGrid() {
+    const totalPages = this.stateManager.getTotalPages();
+    let html = '';
+
+    for (let page = 1; page <= totalPages; page++) {
+      const title = this.deckManifest ? this.deckManifest.getTitle(page) : `Slide ${page}`;
+      const hiddenClass = this.navigationController.isPageHidden(page) ? ' hidden-slide' : '';
+
+      html += `
+        <li class="slide-overview-item${hiddenClass}" data-page="${page}">
+          <button class="slide-overview-link" type="button" tabindex="-1">
+            <span class="slide-thumbnail" data-page="${page}" aria-hidden="true"></span>
+            <span class="slide-overview-caption">
+              <span class="slide-number">${page}</span>
+              <span class="slide-title">${this._escapeHtml(title)}</span>
+            </span>
+          </button>
+        </li>
+      `;
+    }
+
+    return html;
+  }
+
+  /**
+   * Handle keys while the overview is open
+   * @private
+   * @param {KeyboardEvent} event - Keyboard event
+   * @returns {boolean} True if the key was consumed
+   */
+  _handleKey(event) {
+    switch (event.key) {
+      case 'ArrowRight':
+        this._moveSelection(1);
+        return true;
+      case 'ArrowLeft':
+        this._moveSelection(-1);
+        return true;
+      case 'ArrowDown':
+        this._moveSelection(this._getColumnCount());
+        return true;
+      case 'ArrowUp':
+        this._moveSelection(-this._getColumnCount());
+        return true;
+      case 'Home':
+        this._select(1);
+        return true;
+      case 'End':
+        this._select(this.stateManager.getTotalPages());
+        return true;
+      case 'Enter':
+      case ' ':
+        this._goToSelected();
+        return true;
+      case '+':
+      case '=':
+        this.zoomIn();
+        return true;
+      case '-':
+        this.zoomOut();
+        return true;
+      case 'Escape':
+        this.close();
+        return true;
+      default:
+        // The open/close shortcut also closes
+        if (this.keyboardShortcuts && this.keyboardShortcuts.getKeys('toggleOverview').includes(event.key)) {
+          this.close();
+          return true;
+        }
+        // Swallow everything else so the slide behind does not change
+        return event.key !== '?';
+    }
+  }
+
+  /**
+   * Move the selection by a number of tiles
+   * @private
+   * @param {number} delta - Tiles to move (negative for backwards)
+   */
+  _moveSelection(delta) {
+    const totalPages = this.stateManager.getTotalPages();
+    const target = (this._selectedPage || this.stateManager.getCurrentPage()) + delta;
+    this._select(Math.max(1, Math.min(totalPages, target)));
+  }
+
+  /**
+   * Select a tile and scroll it into view
+   * @private
+   * @param {number} pageNum - Page number (1-indexed)
+   */
+  _select(pageNum) {
+    this._selectedPage = pageNum;
+
+    this.elements.grid.querySelectorAll('.slide-overview-item.selected').forEach(item => {
+      item.classList.remove('selected');
+    });
+
+    const item = this.elements.grid.querySelector(`.slide-overview-item[data-page="${pageNum}"]`);
+    if (item) {
+      item.classList.add('selected');
+      if (this.isOpen) {
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    }
+  }
+
+  /**
+   * Navigate to the selected slide and close
+   * @private
+   */
+  _goToSelected() {
+    if (!this._selectedPage) {
+      return;
+    }
+
+    const pageNum = this._selectedPage;
+    console.log(`[SlideOverview] Navigating to slide ${pageNum}`);
+    this.close();
+    this.navigationController.goToPage(pageNum);
+  }
+
+  /**
+   * Mark the slide currently on screen
+   * @private
+   */
+  _markCurrentSlide() {
+    const currentPage = this.stateManager.getCurrentPage();
+
+    this.elements.grid.querySelectorAll('.slide-overview-item.active').forEach(item => {
+      item.classList.remove('active');
+    });
+
+    const item = this.elements.grid.querySelector(`.slide-overview-item[data-page="${currentPage}"]`);
+    if (item) {
+      item.classList.add('active');
+    }
+  }
+
+  /**
+   * Count the tiles in the first row (for Up/Down)
+   * @private
+   * @returns {number} Column count
+   */
+  _getColumnCount() {
+    const items = this.elements.grid.querySelectorAll('.slide-overview-item');
+    if (items.length === 0) {
+      return 1;
+    }
+
+    const firstTop = items[0].offsetTop;
+    let columns = 0;
+    for (const item of items) {
+      if (item.offsetTop !== firstTop) {
+        break;
+      }
+      columns++;
+    }
+    return columns;
+  }
+
+  /**
+   * Apply the tile width for the current zoom level
+   * @private
+   */
+  _applyZoom() {
+    this.elements.overlay.style.setProperty('--overview-tile-width', `${ZOOM_LEVELS[this._zoomLevel]}px`);
+    this.elements.zoomOutButton.disabled = this._zoomLevel === 0;
+    this.elements.zoomInButton.disabled = this._zoomLevel === ZOOM_LEVELS.length - 1;
+
+    if (this.isOpen && this._selectedPage) {
+      this._select(this._selectedPage);
+    }
+  }
+
+  /**
+   * Close when the slide changes (the audience should see the new slide)
+   * @private
+   */
+  _handlePageChanged() {
+    this._markCurrentSlide();
+    this.close();
+  }
+
+  /**
+   * Attach event listeners
+   * @private
+   */
+  _attachEventListeners() {
+    // Tile clicks (the grid is re-rendered by refresh(), so delegate)
+    this.elements.grid.addEventListener('click', (e) => {
+      const item = e.target.closest('.slide-overview-item');
+      if (!item) {
+        return;
+      }
+
+      this._select(parseInt(item.dataset.page));
+      this._goToSelected();
+    });
+
+    this.elements.zoomOutButton.addEventListener('click', () => this.zoomOut());
+    this.elements.zoomInButton.addEventListener('click', () => this.zoomIn());
+    this.elements.closeButton.addEventListener('click', () => this.close());
+  }
+
+  /**
+   * Escape text for HTML insertion
+   * @private
+   */
+  _escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -2,32 +2,59 @@
  * SLIDE SIDEBAR MODULE
  *
  * Purpose: Hamburger menu with slide navigation
- * Contract: Render sidebar with slide titles and handle navigation
- * Dependencies: slide-titles.js, navigation.js, state-manager.js
+ * Contract: Render sidebar with slide titles and thumbnails grouped by section,
+ *           full-deck search and handle navigation. Hidden slides are left out
+ *           of the list. Thumbnails render lazily, only once scrolled into view
+ *           while the sidebar is open.
+ * Dependencies: navigation.js, state-manager.js, lazy-thumbnails.js,
+ *               deck-manifest.js (optional), search-index.js (optional)
  */
 
-import { SLIDE_TITLES } from './slide-titles.js';
+import { LazyThumbnails } from './lazy-thumbnails.js';
+
+// Thumbnail render width in CSS pixels (wide enough for the grid view)
+const THUMBNAIL_WIDTH = 160;
+
+// Remembers list vs. grid view between visits
+const VIEW_MODE_STORAGE_KEY = 'slideSidebarView';
 
 export class SlideSidebar {
   /**
    * Initialize slide sidebar
    * @param {NavigationController} navigationController - Navigation controller
    * @param {StateManager} stateManager - State manager
+   * @param {Object} [options] - Optional features
+   * @param {DeckManifest} [options.deckManifest] - Slide titles, sections and hidden flags
+   * @param {SearchIndex} [options.searchIndex] - Enables the search box when provided
    */
-  constructor(navigationController, stateManager) {
+  constructor(navigationController, stateManager, { deckManifest = null, searchIndex = null } = {}) {
     if (!navigationController || !stateManager) {
       throw new Error('NavigationController and StateManager are required');
     }
 
     this.navigationController = navigationController;
     this.stateManager = stateManager;
+    this.deckManifest = deckManifest;
+    this.searchIndex = searchIndex;
     this.isOpen = false;
     this.hideTimeout = null;
 
+    this._searchResults = [];
+    this._searchPosition = -1;
+    this._searchTimeout = null;
+    this._hasSearchHighlights = false;
+    this._thumbnailLoader = null;
+    this.viewMode = this._loadViewMode();
+
     this.elements = {
       hamburger: null,
       sidebar: null,
-      overlay: null
+      overlay: null,
+      viewToggle: null,
+      searchInput: null,
+      searchStatus: null,
+      searchResults: null,
+      slideList: null
     };
 
     console.log('[SlideSidebar] Initialized');
@@ -58,12 +85,17 @@ export class SlideSidebar {
     sidebar.className = 'slide-sidebar';
     sidebar.innerHTML = `
       <div class="sidebar-header">
-        <h3>Slides</h3>
+        <div class="sidebar-title-row">
+          <h3>Slides</h3>
+          <button class="sidebar-view-toggle" type="button"></button>
+        </div>
+        ${this.searchIndex ? this._generateSearchBox() : ''}
       </div>
       <div class="sidebar-content">
-        <ul class="slide-list">
+        <ul class="slide-list ${this.viewMode === 'grid' ? 'grid-view' : ''}">
           ${this._generateSlideList()}
         </ul>
+        <ul class="search-results" hidden></ul>
       </div>
     `;
 
@@ -80,28 +112,339 @@ export class SlideSidebar {
     this.elements.hamburger = hamburger;
     this.elements.sidebar = sidebar;
     this.elements.overlay = overlay;
+    this.elements.viewToggle = sidebar.querySelector('.sidebar-view-toggle');
+    this.elements.slideList = sidebar.querySelector('.slide-list');
+    this.elements.searchResults = sidebar.querySelector('.search-results');
+    this.elements.searchInput = sidebar.querySelector('.sidebar-search-input');
+    this.elements.searchStatus = sidebar.querySelector('.sidebar-search-status');
+
+    this._thumbnailLoader = new LazyThumbnails(this.navigationController, {
+      root: sidebar.querySelector('.sidebar-content'),
+      width: THUMBNAIL_WIDTH,
+      rootMargin: '200px 0px'
+    });
 
     this._attachEventListeners();
+    this._updateViewToggle();
     this._updateActiveSlide();
 
     console.log('[SlideSidebar] Sidebar rendered');
   }
 
+  /**
+   * Re-render the slide list (e.g. after titles were generated)
+   */
+  refresh() {
+    if (!this.elements.slideList) {
+      return;
+    }
+
+    this.elements.slideList.innerHTML = this._generateSlideList();
+    this._updateActiveSlide();
+    if (this.isOpen) {
+      this._thumbnailLoader.observe(this.elements.slideList);
+    }
+    console.log('[SlideSidebar] Slide list refreshed');
+  }
+
+  /**
+   * Switch between the list view (small thumbnails beside titles) and the
+   * grid view (large thumbnails)
+   * @param {string} mode - 'list' or 'grid'
+   */
+  setViewMode(mode) {
+    this.viewMode = mode === 'grid' ? 'grid' : 'list';
+    this.elements.slideList.classList.toggle('grid-view', this.viewMode === 'grid');
+    this._updateViewToggle();
+
+    try {
+      localStorage.setItem(VIEW_MODE_STORAGE_KEY, this.viewMode);
+    } catch (error) {
+      // Storage may be unavailable (private mode); the choice just isn't remembered
+    }
+
+    // Keep the current slide in view after the layout change
+    this._updateActiveSlide();
+    console.log(`[SlideSidebar] View mode: ${this.viewMode}`);
+  }
+
   /**
    * Generate HTML for slide list
    * @private
    */
   _generateSlideList() {
-    return SLIDE_TITLES.map(slide => `
-      <li class="slide-item" data-page="${slide.page}">
+    const totalPages = this.stateManager.getTotalPages();
+    let currentSection = '';
+    let html = '';
+
+    for (let page = 1; page <= totalPages; page++) {
+      if (this.navigationController.isPageHidden(page)) {
+        continue;
+      }
+
+      const section = this.deckManifest ? this.deckManifest.getSection(page) : '';
+      if (section && section !== currentSection) {
+        html += `<li class="slide-section">${this._escapeHtml(section)}</li>`;
+      }
+      currentSection = section;
+
+      const title = this.deckManifest ? this.deckManifest.getTitle(page) : `Slide ${page}`;
+      html += `
+        <li class="slide-item" data-page="${page}">
+          <button class="slide-link">
+            <span class="slide-thumbnail" data-page="${page}" aria-hidden="true"></span>
+            <span class="slide-number">${page}</span>
+            <span class="slide-title">${this._escapeHtml(title)}</span>
+          </button>
+        </li>
+      `;
+    }
+
+    return html;
+  }
+
+  /**
+   * Update the view toggle button for the current view mode
+   * @private
+   */
+  _updateViewToggle() {
+    const nextMode = this.viewMode === 'grid' ? 'list' : 'grid';
+    this.elements.viewToggle.textContent = nextMode === 'grid' ? '▦' : '☰';
+    this.elements.viewToggle.setAttribute('aria-label', `Show slides as ${nextMode}`);
+    this.elements.viewToggle.setAttribute('title', `Show slides as ${nextMode}`);
+  }
+
+  /**
+   * Read the remembered view mode
+   * @private
+   * @returns {string} 'list' or 'grid'
+   */
+  _loadViewMode() {
+    try {
+      return localStorage.getItem(VIEW_MODE_STORAGE_KEY) === 'grid' ? 'grid' : 'list';
+    } catch (error) {
+      return 'list';
+    }
+  }
+
+  /**
+   * Generate HTML for the search box
+   * @private
+   */
+  _generateSearchBox() {
+    return `
+      <div class="sidebar-search">
+        <input
+          type="search"
+          class="sidebar-search-input"
+          placeholder="Search slides..."
+          aria-label="Search slides"
+          autocomplete="off"
+        />
+        <div class="sidebar-search-status" aria-live="polite"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Open the sidebar with the search box focused
+   */
+  openSearch() {
+    if (!this.elements.searchInput) {
+      return;
+    }
+
+    this.open();
+    this.elements.searchInput.focus();
+    this.elements.searchInput.select();
+  }
+
+  /**
+   * Run a search and show ranked results in place of the slide list
+   * @param {string} query - Search query
+   */
+  async search(query) {
+    if (!this.searchIndex) {
+      return;
+    }
+
+    this._searchPosition = -1;
+
+    if (!query.trim()) {
+      this.clearSearch();
+      return;
+    }
+
+    if (!this.searchIndex.isReady) {
+      this._setSearchStatus('Indexing slides...');
+      await this.searchIndex.build();
+
+      // The query changed while we were indexing
+      if (this.elements.searchInput.value !== query) {
+        return;
+      }
+    }
+
+    this._searchResults = this.searchIndex.search(query);
+    console.log(`[SlideSidebar] Search "${query}": ${this._searchResults.length} slides`);
+
+    this.elements.searchResults.innerHTML = this._generateSearchResults(this._searchResults);
+    this.elements.searchResults.hidden = false;
+    this.elements.slideList.hidden = true;
+
+    if (this._searchResults.length === 0) {
+      this._setSearchStatus('No matching slides');
+    } else {
+      const plural = this._searchResults.length === 1 ? '' : 's';
+      this._setSearchStatus(`${this._searchResults.length} slide${plural} · Enter for next, Shift+Enter for previous`);
+    }
+
+    this._updateActiveSlide();
+  }
+
+  /**
+   * Step to the next (or previous) search hit and highlight it on the slide
+   * @param {number} [direction=1] - 1 for next, -1 for previous
+   */
+  stepSearchResult(direction = 1) {
+    const count = this._searchResults.length;
+    if (count === 0) {
+      return;
+    }
+
+    this._searchPosition = (this._searchPosition + direction + count) % count;
+    const result = this._searchResults[this._searchPosition];
+
+    console.log(`[SlideSidebar] Search hit ${this._searchPosition + 1}/${count}: slide ${result.page}`);
+
+    this.navigationController.goToPage(result.page);
+    this._showSearchHighlights(result.terms);
+    this._setSearchStatus(`Result ${this._searchPosition + 1} of ${count}`);
+  }
+
+  /**
+   * Clear the search box, results and slide highlights
+   */
+  clearSearch() {
+    if (!this.elements.searchInput) {
+      return;
+    }
+
+    clearTimeout(this._searchTimeout);
+    this._searchTimeout = null;
+    this._searchResults = [];
+    this._searchPosition = -1;
+
+    this.elements.searchInput.value = '';
+    this.elements.searchResults.innerHTML = '';
+    this.elements.searchResults.hidden = true;
+    this.elements.slideList.hidden = false;
+    this._setSearchStatus('');
+
+    this._clearSearchHighlights();
+  }
+
+  /**
+   * Highlight search terms on the slide
+   * @private
+   * @param {Array<string>} terms - Terms to highlight
+   */
+  _showSearchHighlights(terms) {
+    this.navigationController.highlightText(terms);
+    this._hasSearchHighlights = true;
+  }
+
+  /**
+   * Remove the highlights this sidebar's search put on the slide
+   * (highlights from elsewhere, e.g. the agent, are left alone)
+   * @private
+   */
+  _clearSearchHighlights() {
+    if (this._hasSearchHighlights) {
+      this.navigationController.highlightText([]);
+      this._hasSearchHighlights = false;
+    }
+  }
+
+  /**
+   * Run the debounced search now if one is waiting, so Enter steps through
+   * results for what is in the box rather than the previous query
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _flushPendingSearch() {
+    if (this._searchTimeout === null) {
+      return;
+    }
+
+    clearTimeout(this._searchTimeout);
+    this._searchTimeout = null;
+    await this.search(this.elements.searchInput.value);
+  }
+
+  /**
+   * Generate HTML for search results
+   * @private
+   * @param {Array<Object>} results - Search results
+   */
+  _generateSearchResults(results) {
+    return results.map(result => `
+      <li class="slide-item search-result" data-page="${result.page}">
         <button class="slide-link">
-          <span class="slide-number">${slide.page}</span>
-          <span class="slide-title">${slide.title}</span>
+          <span class="slide-number">${result.page}</span>
+          <span class="slide-text">
+            <span class="slide-title">${this._highlightTerms(result.title, result.terms)}</span>
+            ${result.snippet ? `<span class="slide-snippet">${this._highlightTerms(result.snippet, result.terms)}</span>` : ''}
+          </span>
         </button>
       </li>
     `).join('');
   }
 
+  /**
+   * Escape text and wrap query terms in <mark>
+   * @private
+   * @param {string} text - Plain text
+   * @param {Array<string>} terms - Lowercase query terms
+   * @returns {string} HTML
+   */
+  _highlightTerms(text, terms) {
+    const escapedTerms = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(${escapedTerms.join('|')})`, 'gi');
+
+    return text
+      .split(pattern)
+      .map((part, index) => {
+        const escaped = this._escapeHtml(part);
+        // split() with a capture group puts matches at odd indexes
+        return index % 2 === 1 ? `<mark>${escaped}</mark>` : escaped;
+      })
+      .join('');
+  }
+
+  /**
+   * Update the search status line
+   * @private
+   * @param {string} text - Status text
+   */
+  _setSearchStatus(text) {
+    if (this.elements.searchStatus) {
+      this.elements.searchStatus.textContent = text;
+    }
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @private
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  _escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   /**
    * Toggle sidebar open/close
    */
@@ -123,6 +466,8 @@ export class SlideSidebar {
     this.elements.overlay.classList.add('visible');
     this.elements.hamburger.setAttribute('aria-expanded', 'true');
 
+    this._thumbnailLoader.observe(this.elements.slideList);
+
     // Clear any pending hide timeout
     if (this.hideTimeout) {
       clearTimeout(this.hideTimeout);
@@ -131,14 +476,21 @@ export class SlideSidebar {
   }
 
   /**
-   * Close sidebar
+   * Close sidebar (search highlights go with it unless a result was just picked)
+   * @param {Object} [options] - Close options
+   * @param {boolean} [options.keepHighlights=false] - Leave search highlights on the slide
    */
-  close() {
+  close({ keepHighlights = false } = {}) {
     console.log('[SlideSidebar] Closing sidebar');
     this.isOpen = false;
     this.elements.sidebar.classList.remove('open');
     this.elements.overlay.classList.remove('visible');
     this.elements.hamburger.setAttribute('aria-expanded', 'false');
+
+    this._thumbnailLoader.disconnect();
+    if (!keepHighlights) {
+      this._clearSearchHighlights();
+    }
   }
 
   /**
@@ -147,14 +499,14 @@ export class SlideSidebar {
   _updateActiveSlide() {
     const currentPage = this.stateManager.getCurrentPage();
 
-    // Remove previous active
-    const previousActive = this.elements.sidebar.querySelector('.slide-item.active');
-    if (previousActive) {
-      previousActive.classList.remove('active');
-    }
+    // Remove previous active (slide list and search results)
+    this.elements.sidebar.querySelectorAll('.slide-item.active').forEach(item => {
+      item.classList.remove('active');
+    });
 
-    // Add active to current
-    const currentItem = this.elements.sidebar.querySelector(`[data-page="${currentPage}"]`);
+    // Add active to current in whichever list is showing
+    const visibleList = this.elements.slideList.hidden ? this.elements.searchResults : this.elements.slideList;
+    const currentItem = visibleList.querySelector(`[data-page="${currentPage}"]`);
     if (currentItem) {
       currentItem.classList.add('active');
 
@@ -180,19 +532,52 @@ export class SlideSidebar {
       this.close();
     });
 
-    // Slide item clicks
-    const slideItems = this.elements.sidebar.querySelectorAll('.slide-link');
-    slideItems.forEach(button => {
-      button.addEventListener('click', (e) => {
-        const pageNum = parseInt(button.closest('.slide-item').dataset.page);
-        console.log(`[SlideSidebar] Navigating to slide ${pageNum}`);
-        this.navigationController.goToPage(pageNum);
-        this.close();
-      });
+    // List / grid toggle
+    this.elements.viewToggle.addEventListener('click', () => {
+      this.setViewMode(this.viewMode === 'grid' ? 'list' : 'grid');
+    });
+
+    // Slide item clicks (the list is re-rendered by refresh(), so delegate)
+    this.elements.slideList.addEventListener('click', (e) => {
+      const button = e.target.closest('.slide-link');
+      if (!button) {
+        return;
+      }
+
+      const pageNum = parseInt(button.closest('.slide-item').dataset.page);
+      console.log(`[SlideSidebar] Navigating to slide ${pageNum}`);
+      this.navigationController.goToPage(pageNum);
+      this.close();
+    });
+
+    // Search result clicks (results are re-rendered, so delegate)
+    this.elements.searchResults.addEventListener('click', (e) => {
+      const item = e.target.closest('.search-result');
+      if (!item) {
+        return;
+      }
+
+      const pageNum = parseInt(item.dataset.page);
+      const result = this._searchResults.find(r => r.page === pageNum);
+      console.log(`[SlideSidebar] Navigating to search result ${pageNum}`);
+      this.navigationController.goToPage(pageNum);
+      if (result) {
+        this._showSearchHighlights(result.terms);
+      }
+      this.close({ keepHighlights: true });
     });
 
+    if (this.elements.searchInput) {
+      this._attachSearchListeners();
+    }
+
     // Mouse leave - auto-hide after delay
     this.elements.sidebar.addEventListener('mouseleave', () => {
+      // Keep the sidebar open while the user is searching
+      if (this.elements.searchInput && document.activeElement === this.elements.searchInput) {
+        return;
+      }
+
       if (this.isOpen) {
         console.log('[SlideSidebar] Mouse left sidebar, scheduling hide');
         this.hideTimeout = setTimeout(() => {
@@ -216,6 +601,50 @@ export class SlideSidebar {
     });
   }
 
+  /**
+   * Attach search box listeners
+   * @private
+   */
+  _attachSearchListeners() {
+    this.elements.searchInput.addEventListener('input', () => {
+      clearTimeout(this._searchTimeout);
+      this._searchTimeout = null;
+
+      // An emptied box clears results and highlights right away
+      if (!this.elements.searchInput.value.trim()) {
+        this.clearSearch();
+        return;
+      }
+
+      this._searchTimeout = setTimeout(() => {
+        this._searchTimeout = null;
+        this.search(this.elements.searchInput.value);
+      }, 150);
+    });
+
+    this.elements.searchInput.addEventListener('keydown', async (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        const direction = e.shiftKey ? -1 : 1;
+        await this._flushPendingSearch();
+        this.stepSearchResult(direction);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        if (this.elements.searchInput.value) {
+          this.clearSearch();
+        } else {
+          this.elements.searchInput.blur();
+          this.close();
+        }
+      }
+    });
+
+    // Start indexing the first time someone reaches for the search box
+    this.elements.searchInput.addEventListener('focus', () => {
+      this.searchIndex.build();
+    }, { once: true });
+  }
+
   /**
    * Clean up
    */
@@ -226,6 +655,11 @@ export class SlideSidebar {
       clearTimeout(this.hideTimeout);
     }
 
+    clearTimeout(this._searchTimeout);
+    if (this._thumbnailLoader) {
+      this._thumbnailLoader.disconnect();
+    }
+
     if (this.elements.hamburger) {
       this.elements.hamburger.remove();
     }
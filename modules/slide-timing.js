@@ -0,0 +1,100 @@
+/**
+ * SLIDE TIMING MODULE
+ *
+ * Purpose: How long each slide should stay on screen
+ * Contract: Resolves per-slide durations for auto-advance (manifest
+ *           `duration`, then CONFIG per-slide seconds, then the default) and
+ *           rehearsal targets (explicit durations, with the rest of the talk
+ *           budget split evenly across the remaining visible slides)
+ * Dependencies: deck-manifest.js (optional)
+ */
+
+export class SlideTiming {
+  /**
+   * Initialize slide timing
+   * @param {Object} options - Configuration options
+   * @param {number} options.totalPages - Number of pages
+   * @param {DeckManifest} [options.deckManifest] - Manifest durations
+   * @param {Object} [options.slideSeconds] - Per-page seconds, e.g. { 3: 45 }
+   * @param {number} [options.defaultSeconds] - Seconds for slides without a duration
+   * @param {number} [options.totalMinutes] - Talk length used to derive rehearsal targets
+   * @param {Function} [options.isHidden] - (pageNum) => boolean; hidden slides get no target
+   */
+  constructor({
+    totalPages,
+    deckManifest = null,
+    slideSeconds = {},
+    defaultSeconds = 15,
+    totalMinutes = null,
+    isHidden = () => false
+  }) {
+    this.totalPages = totalPages;
+    this.deckManifest = deckManifest;
+    this.slideSeconds = slideSeconds || {};
+    this.defaultSeconds = defaultSeconds;
+    this.totalMinutes = totalMinutes;
+    this.isHidden = isHidden;
+  }
+
+  /**
+   * Get the duration set for a page, if any
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {number|null} Seconds
+   */
+  getExplicitSeconds(pageNum) {
+    const manifestSeconds = this.deckManifest ? this.deckManifest.getDuration(pageNum) : null;
+    if (manifestSeconds) {
+      return manifestSeconds;
+    }
+
+    const configSeconds = Number(this.slideSeconds[pageNum]);
+    return configSeconds > 0 ? configSeconds : null;
+  }
+
+  /**
+   * Get how long auto-advance stays on a page
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {number} Milliseconds
+   */
+  getDurationMs(pageNum) {
+    return (this.getExplicitSeconds(pageNum) || this.defaultSeconds) * 1000;
+  }
+
+  /**
+   * Get the rehearsal target for a page
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {number|null} Milliseconds, or null for hidden slides
+   */
+  getTargetMs(pageNum) {
+    if (this.isHidden(pageNum)) {
+      return null;
+    }
+
+    const explicit = this.getExplicitSeconds(pageNum);
+    if (explicit) {
+      return explicit * 1000;
+    }
+
+    if (!this.totalMinutes) {
+      return this.defaultSeconds * 1000;
+    }
+
+    // Spread whatever the explicit durations leave of the talk over the other slides
+    let explicitTotal = 0;
+    let untimedSlides = 0;
+    for (let page = 1; page <= this.totalPages; page++) {
+      if (this.isHidden(page)) {
+        continue;
+      }
+      const seconds = this.getExplicitSeconds(page);
+      if (seconds) {
+        explicitTotal += seconds;
+      } else {
+        untimedSlides++;
+      }
+    }
+
+    const remainingSeconds = Math.max(0, this.totalMinutes * 60 - explicitTotal);
+    return Math.round((remainingSeconds / untimedSlides) * 1000);
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * SPEAKER NOTES MODULE
+ *
+ * Purpose: Talking points per slide for the presenter and the voice agent
+ * Contract: Resolves the notes of a page from, in order: edits made in the
+ *           presenter view (persisted in localStorage per deck), the deck
+ *           manifest's `notes`, then comments (sticky notes) in the PDF.
+ *           Edits made in one window reach the other through storage events.
+ * Dependencies: deck-manifest.js (optional), pdf-renderer.js (optional, PDF comments)
+ */
+
+const STORAGE_PREFIX = 'speakerNotes:';
+
+export class SpeakerNotes {
+  /**
+   * Initialize speaker notes
+   * @param {Object} options - Configuration options
+   * @param {string} options.deckPath - PDF path (edits are stored per deck)
+   * @param {DeckManifest} [options.deckManifest] - Manifest notes
+   * @param {PDFRenderer} [options.pdfRenderer] - Reads notes from PDF comments
+   */
+  constructor({ deckPath, deckManifest = null, pdfRenderer = null }) {
+    if (!deckPath) {
+      throw new Error('deckPath is required');
+    }
+
+    this.deckManifest = deckManifest;
+    this.pdfRenderer = pdfRenderer;
+    this.storageKey = STORAGE_PREFIX + deckPath;
+    this.changeCallback = null;
+
+    this._edits = this._loadEdits();
+    this._annotationNotes = new Map();
+
+    this._handleStorage = this._handleStorage.bind(this);
+    window.addEventListener('storage', this._handleStorage);
+
+    console.log(`[SpeakerNotes] Initialized (${this._edits.size} edited slide(s))`);
+  }
+
+  /**
+   * Set callback fired when notes change (here or in another window)
+   * @param {Function} callback - Receives { page }
+   */
+  setChangeCallback(callback) {
+    this.changeCallback = callback;
+  }
+
+  /**
+   * Get the notes of a page
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {Promise<Object>} { page, notes, source } where source is
+   *   'edited', 'manifest', 'pdf' or 'none'
+   */
+  async getNotes(pageNum) {
+    if (this._edits.has(pageNum)) {
+      const notes = this._edits.get(pageNum);
+      return { page: pageNum, notes, source: notes ? 'edited' : 'none' };
+    }
+
+    const manifestNotes = this.deckManifest ? this.deckManifest.getNotes(pageNum) : '';
+    if (manifestNotes) {
+      return { page: pageNum, notes: manifestNotes, source: 'manifest' };
+    }
+
+    const pdfNotes = await this._getAnnotationNotes(pageNum);
+    if (pdfNotes) {
+      return { page: pageNum, notes: pdfNotes, source: 'pdf' };
+    }
+
+    return { page: pageNum, notes: '', source: 'none' };
+  }
+
+  /**
+   * Replace the notes of a page (an empty string clears them)
+   * @param {number} pageNum - Page number (1-indexed)
+   * @param {string} text - New notes
+   */
+  setNotes(pageNum, text) {
+    const notes = (text || '').trim();
+
+    if (this._edits.get(pageNum) === notes) {
+      return;
+    }
+
+    this._edits.set(pageNum, notes);
+    this._saveEdits();
+    this._notifyChange(pageNum);
+
+    console.log(`[SpeakerNotes] Notes for page ${pageNum} saved`);
+  }
+
+  /**
+   * Drop the edit of a page and go back to the manifest / PDF notes
+   * @param {number} pageNum - Page number (1-indexed)
+   */
+  resetNotes(pageNum) {
+    if (!this._edits.delete(pageNum)) {
+      return;
+    }
+
+    this._saveEdits();
+    this._notifyChange(pageNum);
+
+    console.log(`[SpeakerNotes] Notes for page ${pageNum} reset`);
+  }
+
+  /**
+   * Check whether a page's notes were edited in the UI
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {boolean} True if edited
+   */
+  isEdited(pageNum) {
+    return this._edits.has(pageNum);
+  }
+
+  /**
+   * Stop listening for edits from other windows
+   */
+  destroy() {
+    window.removeEventListener('storage', this._handleStorage);
+    this.changeCallback = null;
+  }
+
+  /**
+   * Read (and cache) the PDF comments of a page
+   * @private
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {Promise<string>} Comments joined by blank lines ('' if none)
+   */
+  _getAnnotationNotes(pageNum) {
+    if (!this.pdfRenderer) {
+      return Promise.resolve('');
+    }
+
+    if (!this._annotationNotes.has(pageNum)) {
+      const promise = this.pdfRenderer.getAnnotationNotes(pageNum)
+        .then(comments => comments.join('\n\n'))
+        .catch(error => {
+          console.warn(`[SpeakerNotes] Could not read PDF comments on page ${pageNum}:`, error);
+          this._annotationNotes.delete(pageNum);
+          return '';
+        });
+      this._annotationNotes.set(pageNum, promise);
+    }
+
+    return this._annotationNotes.get(pageNum);
+  }
+
+  /**
+   * Read edits from localStorage
+   * @private
+   * @returns {Map<number, string>} Page → notes
+   */
+  _loadEdits() {
+    try {
+      const data = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+      return new Map(
+        Object.entries(data)
+          .filter(([, notes]) => typeof notes === 'string')
+          .map(([page, notes]) => [parseInt(page, 10), notes])
+      );
+    } catch (error) {
+      return new Map();
+    }
+  }
+
+  /**
+   * Write edits to localStorage
+   * @private
+   */
+  _saveEdits() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(Object.fromEntries(this._edits)));
+    } catch (error) {
+      // Storage may be unavailable (private mode); edits last until the page is closed
+      console.warn('[SpeakerNotes] Could not save notes:', error);
+    }
+  }
+
+  /**
+   * Pick up edits saved by another window
+   * @private
+   * @param {StorageEvent} event - Storage event
+   */
+  _handleStorage(event) {
+    if (event.key !== this.storageKey) {
+      return;
+    }
+
+    const previous = this._edits;
+    this._edits = this._loadEdits();
+
+    const pages = new Set([...previous.keys(), ...this._edits.keys()]);
+    pages.forEach(page => {
+      if (previous.get(page) !== this._edits.get(page)) {
+        this._notifyChange(page);
+      }
+    });
+  }
+
+  /**
+   * Fire the change callback
+   * @private
+   * @param {number} pageNum - Changed page
+   */
+  _notifyChange(pageNum) {
+    if (this.changeCallback) {
+      this.changeCallback({ page: pageNum });
+    }
+  }
+}
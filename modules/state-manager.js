@@ -10,17 +10,23 @@ export class StateManager {
   /**
    * Initialize state manager with total page count
    * @param {number} totalPages - Total number of pages in PDF
+   * @param {number} [initialPage=1] - Page to start on (falls back to 1 if out of range)
    */
-  constructor(totalPages) {
+  constructor(totalPages, initialPage = 1) {
     if (!totalPages || totalPages < 1) {
       throw new Error('totalPages must be a positive number');
     }
 
+    if (!Number.isInteger(initialPage) || initialPage < 1 || initialPage > totalPages) {
+      console.warn(`[StateManager] Invalid initial page: ${initialPage}, starting on page 1`);
+      initialPage = 1;
+    }
+
     this._totalPages = totalPages;
-    this._currentPage = 1;
+    this._currentPage = initialPage;
     this._listeners = new Map();
 
-    console.log(`[StateManager] Initialized with ${totalPages} pages`);
+    console.log(`[StateManager] Initialized with ${totalPages} pages (starting on page ${initialPage})`);
   }
 
   /**
@@ -42,9 +48,12 @@ export class StateManager {
   /**
    * Set current page number
    * @param {number} pageNum - Page number to set (1-indexed)
+   * @param {Object} [options] - Change options
+   * @param {boolean} [options.history=true] - Passed on in pageChanged; false
+   *   marks a programmatic change that should not add a browser history entry
    * @returns {boolean} True if valid and changed, false otherwise
    */
-  setCurrentPage(pageNum) {
+  setCurrentPage(pageNum, { history = true } = {}) {
     if (!Number.isInteger(pageNum) || pageNum < 1 || pageNum > this._totalPages) {
       console.warn(`[StateManager] Invalid page number: ${pageNum}`);
       return false;
@@ -62,6 +71,27 @@ export class StateManager {
     this._emit('pageChanged', {
       currentPage: this._currentPage,
       previousPage: previousPage,
+      totalPages: this._totalPages,
+      history
+    });
+
+    return true;
+  }
+
+  /**
+   * Report that the canvas finished drawing a page
+   * Emits 'pageRendered' only when the page still matches the current state,
+   * so listeners never see a stale page.
+   * @param {number} pageNum - Page that was drawn (1-indexed)
+   * @returns {boolean} True if the event was emitted
+   */
+  notifyPageRendered(pageNum) {
+    if (pageNum !== this._currentPage) {
+      return false;
+    }
+
+    this._emit('pageRendered', {
+      currentPage: this._currentPage,
       totalPages: this._totalPages
     });
 
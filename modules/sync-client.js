@@ -0,0 +1,198 @@
+/**
+ * SYNC CLIENT MODULE
+ *
+ * Purpose: Browser side of the sync relay (server/relay.mjs)
+ * Contract: Joins a room with a role, reconnects with backoff when the relay
+ *           drops, and dispatches relayed messages by type
+ * Dependencies: None (WebSocket)
+ */
+
+const MIN_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 10000;
+
+export class SyncClient {
+  /**
+   * Initialize sync client
+   * @param {Object} options - Configuration options
+   * @param {string} options.url - Relay URL (ws:// or wss://)
+   * @param {string} options.room - Room to join (one per talk)
+   * @param {string} options.role - 'presenter', 'follower' or 'remote'
+   */
+  constructor({ url, room, role }) {
+    if (!url || !room || !role) {
+      throw new Error('Relay url, room and role are required');
+    }
+
+    this.url = url;
+    this.room = room;
+    this.role = role;
+    this.isConnected = false;
+    this.statusCallback = null;
+
+    this._socket = null;
+    this._listeners = new Map();
+    this._reconnectDelay = MIN_RECONNECT_DELAY;
+    this._reconnectTimeout = null;
+    this._isClosed = false;
+
+    console.log(`[SyncClient] Initialized as ${role} in room "${room}"`);
+  }
+
+  /**
+   * Set callback fired when the connection opens or drops
+   * @param {Function} callback - Receives a boolean (connected)
+   */
+  setStatusCallback(callback) {
+    this.statusCallback = callback;
+  }
+
+  /**
+   * Connect to the relay (reconnects automatically until close())
+   */
+  connect() {
+    this._isClosed = false;
+    clearTimeout(this._reconnectTimeout);
+
+    try {
+      this._socket = new WebSocket(this.url);
+    } catch (error) {
+      console.error('[SyncClient] Invalid relay URL:', error);
+      return;
+    }
+
+    this._socket.onopen = () => {
+      this._reconnectDelay = MIN_RECONNECT_DELAY;
+      this._socket.send(JSON.stringify({ type: 'join', room: this.room, role: this.role }));
+    };
+
+    this._socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        console.warn('[SyncClient] Ignoring malformed message');
+        return;
+      }
+      this._handleMessage(message);
+    };
+
+    this._socket.onclose = () => {
+      this._setConnected(false);
+      this._socket = null;
+
+      if (!this._isClosed) {
+        console.warn(`[SyncClient] Relay connection lost, retrying in ${this._reconnectDelay / 1000}s`);
+        this._reconnectTimeout = setTimeout(() => this.connect(), this._reconnectDelay);
+        this._reconnectDelay = Math.min(this._reconnectDelay * 2, MAX_RECONNECT_DELAY);
+      }
+    };
+
+    // onclose follows every error, so reconnecting is handled there
+    this._socket.onerror = () => {};
+  }
+
+  /**
+   * Send a message to the rest of the room
+   * @param {string} type - Message type
+   * @param {Object} [data] - Message data
+   * @returns {boolean} True if sent
+   */
+  send(type, data = {}) {
+    if (!this.isConnected) {
+      return false;
+    }
+
+    this._socket.send(JSON.stringify({ type, data }));
+    return true;
+  }
+
+  /**
+   * Listen for a message type ('joined' and 'peers' come from the relay itself)
+   * @param {string} type - Message type
+   * @param {Function} callback - Called with (data, sender)
+   */
+  addEventListener(type, callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('Callback must be a function');
+    }
+
+    if (!this._listeners.has(type)) {
+      this._listeners.set(type, new Set());
+    }
+
+    this._listeners.get(type).add(callback);
+  }
+
+  /**
+   * Stop listening for a message type
+   * @param {string} type - Message type
+   * @param {Function} callback - Callback to remove
+   */
+  removeEventListener(type, callback) {
+    const listeners = this._listeners.get(type);
+    if (listeners) {
+      listeners.delete(callback);
+    }
+  }
+
+  /**
+   * Disconnect and stop reconnecting
+   */
+  close() {
+    this._isClosed = true;
+    clearTimeout(this._reconnectTimeout);
+
+    if (this._socket) {
+      this._socket.close();
+      this._socket = null;
+    }
+
+    this._setConnected(false);
+    console.log('[SyncClient] Closed');
+  }
+
+  /**
+   * Dispatch an incoming message
+   * @private
+   * @param {Object} message - { type, sender, data }
+   */
+  _handleMessage(message) {
+    if (!message || typeof message.type !== 'string') {
+      return;
+    }
+
+    if (message.type === 'joined') {
+      console.log(`[SyncClient] ✅ Joined room "${message.room}"`);
+      this._setConnected(true);
+    }
+
+    const listeners = this._listeners.get(message.type);
+    if (!listeners) {
+      return;
+    }
+
+    listeners.forEach(callback => {
+      try {
+        callback(message.data || {}, message.sender || null);
+      } catch (error) {
+        console.error(`[SyncClient] Error in '${message.type}' listener:`, error);
+      }
+    });
+  }
+
+  /**
+   * Update connection state and notify
+   * @private
+   * @param {boolean} isConnected - Connected to the room
+   */
+  _setConnected(isConnected) {
+    if (this.isConnected === isConnected) {
+      return;
+    }
+
+    this.isConnected = isConnected;
+    if (this.statusCallback) {
+      this.statusCallback(isConnected);
+    }
+  }
+}
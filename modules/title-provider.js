@@ -0,0 +1,163 @@
+/**
+ * TITLE PROVIDER MODULE
+ *
+ * Purpose: Work out slide titles in the browser, straight from the PDF
+ * Contract: Returns a title for any page, trying in order:
+ *           1. The PDF's own outline (bookmarks) entry for the page
+ *           2. The largest text near the top of the page
+ *           3. The first line of text that contains words
+ * Dependencies: pdf-renderer.js
+ *
+ * Text made only of digits or symbols (a big "2500" on a statistics slide)
+ * is never used as a title.
+ */
+
+// Only text starting in the top part of the page is considered a heading
+const HEADING_REGION = 0.4;
+
+// Runs within this fraction of the largest font size count as the same heading
+const HEADING_SIZE_TOLERANCE = 0.9;
+
+// Runs whose tops are this many font sizes apart belong to different lines
+const LINE_GAP = 0.5;
+
+const MAX_TITLE_LENGTH = 100;
+
+export class TitleProvider {
+  /**
+   * Initialize title provider
+   * @param {PDFRenderer} pdfRenderer - PDF renderer (source of outline and text)
+   */
+  constructor(pdfRenderer) {
+    if (!pdfRenderer) {
+      throw new Error('PDFRenderer is required');
+    }
+
+    this._pdfRenderer = pdfRenderer;
+    this._outlinePromise = null;
+    this._titles = new Map();
+
+    console.log('[TitleProvider] Initialized');
+  }
+
+  /**
+   * Get the title of a page
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {Promise<string>} Title ('' if the page has no usable text)
+   */
+  async getTitle(pageNum) {
+    if (this._titles.has(pageNum)) {
+      return this._titles.get(pageNum);
+    }
+
+    const outlineTitles = await this._getOutlineTitles();
+    let title = outlineTitles.get(pageNum) || '';
+
+    if (!title) {
+      try {
+        title = await this._getHeadingTitle(pageNum);
+      } catch (error) {
+        console.warn(`[TitleProvider] Could not read text of page ${pageNum}:`, error);
+      }
+    }
+
+    this._titles.set(pageNum, title);
+    return title;
+  }
+
+  /**
+   * Clean up a candidate title; rejects text without words
+   * @param {string} text - Candidate title
+   * @returns {string} Title ('' if unusable)
+   */
+  static cleanTitle(text) {
+    const title = (text || '').replace(/\s+/g, ' ').trim();
+
+    if (!/\p{L}{2,}/u.test(title)) {
+      return '';
+    }
+
+    return title.length > MAX_TITLE_LENGTH
+      ? `${title.slice(0, MAX_TITLE_LENGTH - 1).trim()}…`
+      : title;
+  }
+
+  /**
+   * Map pages to their outline titles (the shallowest entry wins)
+   * @private
+   * @returns {Promise<Map<number, string>>} Page → title
+   */
+  _getOutlineTitles() {
+    if (!this._outlinePromise) {
+      this._outlinePromise = this._pdfRenderer.getOutline()
+        .then(entries => {
+          const titles = new Map();
+          const depths = new Map();
+
+          entries.forEach(entry => {
+            const title = TitleProvider.cleanTitle(entry.title);
+            if (title && (!depths.has(entry.page) || entry.depth < depths.get(entry.page))) {
+              titles.set(entry.page, title);
+              depths.set(entry.page, entry.depth);
+            }
+          });
+
+          console.log(`[TitleProvider] Outline provides titles for ${titles.size} pages`);
+          return titles;
+        })
+        .catch(error => {
+          console.warn('[TitleProvider] Could not read PDF outline:', error);
+          return new Map();
+        });
+    }
+
+    return this._outlinePromise;
+  }
+
+  /**
+   * Find the heading: the largest text starting near the top of the page,
+   * falling back to the largest text anywhere, then the first line with words
+   * @private
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {Promise<string>} Title ('' if none found)
+   */
+  async _getHeadingTitle(pageNum) {
+    const { height, runs } = await this._pdfRenderer.getTextRuns(pageNum);
+    // Runs are only checked for words once joined: "Revenue" and "$400M" may
+    // be separate runs of the same heading
+    const textRuns = runs.filter(run => run.text.trim());
+
+    const topRuns = textRuns.filter(run => run.top <= height * HEADING_REGION);
+    const title = this._joinLargestRuns(topRuns) || this._joinLargestRuns(textRuns);
+    if (title) {
+      return title;
+    }
+
+    const lines = await this._pdfRenderer.getPageLines(pageNum);
+    const firstLine = lines.find(line => TitleProvider.cleanTitle(line));
+    return firstLine ? TitleProvider.cleanTitle(firstLine) : '';
+  }
+
+  /**
+   * Join the runs set in the largest font into a title, in reading order
+   * (multi-line headings become one line)
+   * @private
+   * @param {Array<Object>} runs - Text runs { text, fontSize, top, left }
+   * @returns {string} Title ('' if no runs, or the joined text has no words)
+   */
+  _joinLargestRuns(runs) {
+    if (runs.length === 0) {
+      return '';
+    }
+
+    const largest = Math.max(...runs.map(run => run.fontSize));
+    const heading = runs
+      .filter(run => run.fontSize >= largest * HEADING_SIZE_TOLERANCE)
+      .sort((a, b) => {
+        const sameLine = Math.abs(a.top - b.top) < largest * LINE_GAP;
+        return sameLine ? a.left - b.left : a.top - b.top;
+      });
+
+    return TitleProvider.cleanTitle(heading.map(run => run.text).join(' '));
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * TOUR PROGRESS MODULE
+ *
+ * Purpose: Show where an agent-led tour is in the controls bar
+ * Contract: Renders step count, a progress bar and the tour state, with
+ *           Resume (while paused) and End buttons; hidden when no tour is active
+ * Dependencies: guided-tour.js
+ */
+
+export class TourProgress {
+  /**
+   * Initialize tour progress display
+   * @param {HTMLElement} container - Controls bar slot to render into
+   * @param {GuidedTour} guidedTour - Tour to follow
+   */
+  constructor(container, guidedTour) {
+    if (!container || !guidedTour) {
+      throw new Error('Container and GuidedTour are required');
+    }
+
+    this.container = container;
+    this.guidedTour = guidedTour;
+
+    this.elements = {
+      wrapper: null,
+      label: null,
+      bar: null,
+      status: null,
+      resumeButton: null,
+      endButton: null
+    };
+
+    console.log('[TourProgress] Initialized');
+  }
+
+  /**
+   * Render the progress display (hidden until a tour starts)
+   */
+  render() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'tour-progress';
+    wrapper.hidden = true;
+    wrapper.setAttribute('role', 'status');
+    wrapper.innerHTML = `
+      <span class="tour-progress-label"></span>
+      <span class="tour-progress-track"><span class="tour-progress-bar"></span></span>
+      <span class="tour-progress-status"></span>
+      <button class="tour-progress-btn tour-progress-resume" type="button">Resume</button>
+      <button class="tour-progress-btn tour-progress-end" type="button" aria-label="End tour">End</button>
+    `;
+    this.container.prepend(wrapper);
+
+    this.elements.wrapper = wrapper;
+    this.elements.label = wrapper.querySelector('.tour-progress-label');
+    this.elements.bar = wrapper.querySelector('.tour-progress-bar');
+    this.elements.status = wrapper.querySelector('.tour-progress-status');
+    this.elements.resumeButton = wrapper.querySelector('.tour-progress-resume');
+    this.elements.endButton = wrapper.querySelector('.tour-progress-end');
+
+    this.elements.resumeButton.addEventListener('click', () => this.guidedTour.resume());
+    this.elements.endButton.addEventListener('click', () => this.guidedTour.end());
+
+    this.guidedTour.setStateCallback((progress) => this.update(progress));
+    this.update(this.guidedTour.getProgress());
+
+    console.log('[TourProgress] Rendered');
+  }
+
+  /**
+   * Reflect tour progress
+   * @param {Object} progress - GuidedTour.getProgress() result
+   */
+  update({ state, pauseReason, step, totalSteps, coveredSteps, title }) {
+    const { wrapper, label, bar, status, resumeButton } = this.elements;
+    if (!wrapper) {
+      return;
+    }
+
+    wrapper.hidden = state === 'idle';
+    wrapper.dataset.state = state;
+
+    label.textContent = `🎙 Tour ${step} / ${totalSteps}`;
+    label.title = title || '';
+    bar.style.width = totalSteps > 0 ? `${(coveredSteps / totalSteps) * 100}%` : '0%';
+
+    if (state === 'paused') {
+      status.textContent = 'Paused';
+      status.title = pauseReason || '';
+    } else if (state === 'finished') {
+      status.textContent = 'Finished';
+      status.title = '';
+    } else {
+      status.textContent = 'Presenting';
+      status.title = '';
+    }
+
+    resumeButton.hidden = state !== 'paused';
+  }
+
+  /**
+   * Remove the display
+   */
+  destroy() {
+    this.guidedTour.setStateCallback(null);
+
+    if (this.elements.wrapper) {
+      this.elements.wrapper.remove();
+    }
+
+    Object.keys(this.elements).forEach((key) => {
+      this.elements[key] = null;
+    });
+  }
+}
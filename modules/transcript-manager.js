@@ -1,30 +1,32 @@
 /**
  * TRANSCRIPT MANAGER MODULE
  *
- * Purpose: Coordinate message flow between voice/chat and ElevenLabs
- * Contract: Route messages between chat UI and ElevenLabs conversation
- * Dependencies: ChatInterface, ElevenLabs Conversation object
+ * Purpose: Coordinate message flow between voice/chat and the conversation backend
+ * Contract: Route messages between chat UI and the conversation adapter
+ * Dependencies: ChatInterface, ConversationAdapter, VoiceSession
  *
  * Public API:
  *   - sendTextMessage(text)
+ *   - sendContextualUpdate(text)
  *   - handleVoiceMessage(message)
+ *   - setSession(session)
  *   - getConversationHistory()
  *
  * Input:
  *   - text: string (user text input)
- *   - message: ElevenLabs message object
+ *   - message: adapter message object ({ source, message })
  *
  * Output:
- *   - Messages sent to ElevenLabs conversation
+ *   - Messages sent to the conversation adapter
  *   - Messages displayed in ChatInterface
  *
  * Side Effects:
- *   - Calls ElevenLabs API via conversation object
+ *   - Calls the conversation backend via the adapter
  *   - Updates chat UI
  *   - Maintains message history in memory
  *
  * Error Handling:
- *   - Try/catch around ElevenLabs API calls
+ *   - Try/catch around conversation backend calls
  *   - Display error messages in chat as system messages
  *   - Graceful fallback if API not available
  */
@@ -34,7 +36,7 @@ export class TranscriptManager {
    * Initialize transcript manager
    * @param {Object} options - Configuration options
    * @param {ChatInterface} options.chatInterface - Chat UI component
-   * @param {Object} options.conversation - ElevenLabs conversation object
+   * @param {ConversationAdapter} options.conversation - Conversation adapter (null until a session starts)
    */
   constructor({ chatInterface, conversation }) {
     if (!chatInterface) {
@@ -44,12 +46,13 @@ export class TranscriptManager {
     this._chatInterface = chatInterface;
     this._conversation = conversation;
     this._history = [];
+    this.messageCallback = null;
 
     console.log('[TranscriptManager] Initialized');
   }
 
   /**
-   * Send text message from user to ElevenLabs
+   * Send text message from user to the agent
    * @param {string} text - User's text message
    */
   async sendTextMessage(text) {
@@ -68,7 +71,7 @@ export class TranscriptManager {
     this._addToHistory('user', trimmedText, timestamp);
     this._chatInterface.addMessage('user', trimmedText, timestamp);
 
-    console.log('[TranscriptManager] Sending text message to ElevenLabs:', trimmedText);
+    console.log('[TranscriptManager] Sending text message to the agent:', trimmedText);
 
     if (!this._conversation) {
       const errorMsg = 'Voice conversation not connected';
@@ -77,36 +80,9 @@ export class TranscriptManager {
       return;
     }
 
-    // Debug: Log what methods are available
-    console.log('[TranscriptManager] Conversation object type:', typeof this._conversation);
-    console.log('[TranscriptManager] Conversation properties:', Object.keys(this._conversation));
-    console.log('[TranscriptManager] Conversation methods:', Object.getOwnPropertyNames(Object.getPrototypeOf(this._conversation)));
-
     try {
-      // Try various possible method names
-      if (typeof this._conversation.sendTextMessage === 'function') {
-        await this._conversation.sendTextMessage(trimmedText);
-        console.log('[TranscriptManager] ✅ Text message sent via sendTextMessage()');
-      } else if (typeof this._conversation.sendMessage === 'function') {
-        await this._conversation.sendMessage(trimmedText);
-        console.log('[TranscriptManager] ✅ Text message sent via sendMessage()');
-      } else if (typeof this._conversation.send === 'function') {
-        await this._conversation.send(trimmedText);
-        console.log('[TranscriptManager] ✅ Text message sent via send()');
-      } else if (typeof this._conversation.sendUserMessage === 'function') {
-        await this._conversation.sendUserMessage(trimmedText);
-        console.log('[TranscriptManager] ✅ Text message sent via sendUserMessage()');
-      } else if (typeof this._conversation.sendText === 'function') {
-        await this._conversation.sendText(trimmedText);
-        console.log('[TranscriptManager] ✅ Text message sent via sendText()');
-      } else {
-        console.warn('[TranscriptManager] Available methods:', Object.getOwnPropertyNames(Object.getPrototypeOf(this._conversation)));
-        this._chatInterface.addMessage(
-          'system',
-          'Text input is for display only - voice conversation required for agent interaction',
-          new Date()
-        );
-      }
+      await this._conversation.sendText(trimmedText);
+      console.log('[TranscriptManager] ✅ Text message sent');
     } catch (error) {
       console.error('[TranscriptManager] Error sending text message:', error);
       this._chatInterface.addMessage(
@@ -118,8 +94,8 @@ export class TranscriptManager {
   }
 
   /**
-   * Handle incoming voice message from ElevenLabs
-   * @param {Object} message - ElevenLabs message object
+   * Handle incoming voice message from the conversation backend
+   * @param {Object} message - Message object ({ source, message } or an ElevenLabs event)
    */
   handleVoiceMessage(message) {
     if (!message) {
@@ -176,11 +152,17 @@ export class TranscriptManager {
    * @param {Date} timestamp - Message timestamp
    */
   _addToHistory(role, content, timestamp) {
-    this._history.push({
+    const entry = {
       role,
       content,
       timestamp,
-    });
+    };
+
+    this._history.push(entry);
+
+    if (this.messageCallback) {
+      this.messageCallback({ ...entry });
+    }
   }
 
   /**
@@ -259,13 +241,102 @@ export class TranscriptManager {
 
   /**
    * Update conversation reference
-   * @param {Object} conversation - New ElevenLabs conversation object
+   * @param {ConversationAdapter} conversation - Adapter with an open session (or null)
    */
   setConversation(conversation) {
     this._conversation = conversation;
     console.log('[TranscriptManager] Conversation reference updated');
   }
 
+  /**
+   * Follow a voice session: attach its adapter while connected and post
+   * connection changes to the chat as system messages
+   * @param {VoiceSession} session - Voice session
+   */
+  setSession(session) {
+    session.addEventListener('stateChanged', ({ state, previousState, attempt, delayMs }) => {
+      const conversation = session.isConnected() ? session.adapter : null;
+      if (conversation !== this._conversation) {
+        this.setConversation(conversation);
+      }
+
+      const message = this._describeSessionState(state, previousState, attempt, delayMs, session.textOnly);
+      if (message) {
+        this._chatInterface.addMessage('system', message, new Date());
+      }
+    });
+
+    this.setConversation(session.isConnected() ? session.adapter : null);
+  }
+
+  /**
+   * System message for a session state change (null for changes not worth showing)
+   * @private
+   * @param {string} state - New state
+   * @param {string} previousState - Previous state
+   * @param {number} attempt - Reconnect attempt
+   * @param {number} delayMs - Delay before the attempt
+   * @param {boolean} textOnly - Typed chat session without audio
+   * @returns {string|null} Message
+   */
+  _describeSessionState(state, previousState, attempt, delayMs, textOnly) {
+    const kind = textOnly ? 'Text chat' : 'Voice session';
+
+    switch (state) {
+      case 'connected':
+        if (previousState === 'reconnecting') {
+          return `${kind} reconnected`;
+        }
+        return textOnly
+          ? 'Text chat connected - the agent replies here'
+          : 'Voice session connected - transcript will appear here';
+      case 'reconnecting':
+        return `Connection lost - reconnecting in ${Math.round(delayMs / 1000)}s (attempt ${attempt})`;
+      case 'failed':
+        return previousState === 'reconnecting'
+          ? 'Could not reconnect - click the voice button to try again'
+          : `Could not start the ${kind.toLowerCase()}`;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Set callback for every message added to the transcript
+   * (e.g. to mirror it in the presenter window)
+   * @param {Function} callback - Receives { role, content, timestamp }
+   */
+  setMessageCallback(callback) {
+    this.messageCallback = callback;
+  }
+
+  /**
+   * Check whether a conversation is attached
+   * @returns {boolean} True if a conversation is available
+   */
+  hasConversation() {
+    return !!this._conversation;
+  }
+
+  /**
+   * Send background context to the agent
+   * Contextual updates are not shown in the chat and do not prompt a reply
+   * @param {string} text - Context for the agent
+   * @returns {boolean} True if the update was sent
+   */
+  sendContextualUpdate(text) {
+    if (!this._conversation || !text) {
+      return false;
+    }
+
+    try {
+      return this._conversation.sendContextualUpdate(text);
+    } catch (error) {
+      console.error('[TranscriptManager] Error sending contextual update:', error);
+      return false;
+    }
+  }
+
   /**
    * Signal user typing activity to prevent idle timeout
    * @param {boolean} isTyping - Whether user is currently typing
@@ -277,25 +348,13 @@ export class TranscriptManager {
 
     console.log('[TranscriptManager] User typing:', isTyping);
 
+    // Only typing counts as activity; stopping needs no signal
+    if (!isTyping) {
+      return;
+    }
+
     try {
-      // Try various methods that might signal user activity
-      if (typeof this._conversation.sendUserActivity === 'function') {
-        this._conversation.sendUserActivity({ typing: isTyping });
-        console.log('[TranscriptManager] ✅ Sent user activity signal via sendUserActivity()');
-      } else if (typeof this._conversation.sendTypingIndicator === 'function') {
-        this._conversation.sendTypingIndicator(isTyping);
-        console.log('[TranscriptManager] ✅ Sent typing indicator via sendTypingIndicator()');
-      } else if (typeof this._conversation.keepAlive === 'function' && isTyping) {
-        this._conversation.keepAlive();
-        console.log('[TranscriptManager] ✅ Sent keep-alive signal');
-      } else if (typeof this._conversation.interrupt === 'function' && isTyping) {
-        // Some SDKs use "interrupt" to stop agent from speaking while user types
-        this._conversation.interrupt();
-        console.log('[TranscriptManager] ✅ Interrupted agent speech');
-      } else {
-        // No specific method available - this is normal for many voice-only SDKs
-        console.log('[TranscriptManager] No user activity method available (voice-only mode)');
-      }
+      this._conversation.sendUserActivity();
     } catch (error) {
       console.error('[TranscriptManager] Error signaling user activity:', error);
     }
@@ -28,7 +28,7 @@ export class UIControls {
       pageCounter: null
     };
 
-    console.log('[UIControls] Initialized (keyboard navigation disabled for ElevenLabs compatibility)');
+    console.log('[UIControls] Initialized (keyboard navigation handled by KeyboardShortcuts)');
   }
 
   /**
@@ -58,6 +58,9 @@ export class UIControls {
             <span class="arrow">→</span>
           </button>
         </div>
+
+        <!-- Optional controls (e.g. playback) are inserted here; hidden while empty -->
+        <div id="nav-extras" class="nav-extras"></div>
       </div>
     `;
 
@@ -82,8 +85,8 @@ export class UIControls {
 
     this.elements.pageCounter.textContent = `Page ${currentPage} of ${totalPages}`;
 
-    this.elements.prevButton.disabled = !this.stateManager.canGoPrevious();
-    this.elements.nextButton.disabled = !this.stateManager.canGoNext();
+    this.elements.prevButton.disabled = !this.navigationController.canGoPrevious();
+    this.elements.nextButton.disabled = !this.navigationController.canGoNext();
 
     console.log(`[UIControls] UI updated for page ${currentPage}/${totalPages}`);
   }
@@ -118,7 +121,8 @@ export class UIControls {
       this.navigationController.nextPage();
     });
 
-    // Keyboard navigation removed to prevent conflicts with ElevenLabs widget input
+    // Keyboard navigation lives in keyboard-shortcuts.js, which skips
+    // keystrokes aimed at the chat input and the ElevenLabs widget
 
     this.stateManager.addEventListener('pageChanged', () => {
       this.updateUI();
@@ -130,6 +134,6 @@ export class UIControls {
    * @private
    */
   _removeEventListeners() {
-    // No keyboard listeners to remove (disabled for ElevenLabs compatibility)
+    // No keyboard listeners to remove (see KeyboardShortcuts.destroy)
   }
 }
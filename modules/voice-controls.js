@@ -1,32 +1,86 @@
 /**
  * VOICE CONTROLS MODULE
  *
- * Purpose: UI controls for ElevenLabs voice conversation
- * Contract: Render voice chat button and manage conversation state
- * Dependencies: None (receives conversation instance)
+ * Purpose: UI controls for the voice conversation
+ * Contract: Render voice chat button that starts/ends the voice session and
+ *           reflects its state (connecting, listening, speaking, reconnecting...)
+ * Dependencies: None (receives a VoiceSession and optionally a PushToTalk)
  */
 
 export class VoiceControls {
   constructor(container) {
     this.container = container;
-    this.conversation = null;
-    this.conversationClass = null;
-    this.conversationConfig = null;
+    this.session = null;
+    this.pushToTalk = null;
+    this.state = null;
     this.isActive = false;
     this.isSpeaking = false;
+    this.isMuted = false;
+    this.isTalking = false;
+    this.isDisabled = false;
+    this.disabledLabel = '';
+    this.stateCallback = null;
     this.elements = {};
   }
 
   /**
-   * Set the conversation config (used to start sessions)
-   * @param {Class} conversationClass - ElevenLabs Conversation class
-   * @param {Object} config - Configuration for starting sessions
+   * Set callback fired whenever the button state changes (e.g. for remote controls)
+   * @param {Function} callback - Receives { isActive, isSpeaking, isDisabled, status }
    */
-  setConversationConfig(conversationClass, config) {
-    this.conversationClass = conversationClass;
-    this.conversationConfig = config;
+  setStateCallback(callback) {
+    this.stateCallback = callback;
+  }
+
+  /**
+   * Set the voice session the button starts and ends, and follow its state
+   * @param {VoiceSession} session - Voice session
+   */
+  setSession(session) {
+    this.session = session;
+    session.addEventListener('stateChanged', () => this.updateButtonState());
+    this.updateButtonState();
+    console.log('[VoiceControls] Voice session set, ready to start');
+  }
+
+  /**
+   * Use push-to-talk: while connected, holding the button opens the microphone
+   * and a double-click hangs up
+   * @param {PushToTalk} pushToTalk - Push-to-talk controller
+   */
+  setPushToTalk(pushToTalk) {
+    this.pushToTalk = pushToTalk;
+    pushToTalk.setStateCallback(() => this.updateButtonState());
+    this.updateButtonState();
+  }
+
+  /**
+   * Disable (or re-enable) the voice button, e.g. for follow-along viewers
+   * @param {boolean} disabled - True to disable
+   * @param {string} [label] - Status text shown while disabled
+   */
+  setDisabled(disabled, label = 'Voice Unavailable') {
+    this.isDisabled = disabled;
+    this.disabledLabel = label;
+    this.elements.button.disabled = disabled;
+    this.elements.button.classList.toggle('disabled', disabled);
     this.updateButtonState();
-    console.log('[VoiceControls] Conversation config set, ready to start');
+  }
+
+  /**
+   * Show the microphone as muted (or live)
+   * @param {boolean} muted - True if muted
+   */
+  setMuted(muted) {
+    this.isMuted = muted;
+    this.updateButtonState();
+  }
+
+  /**
+   * Show the microphone input level as a ring around the avatar
+   * @param {number} level - 0 to 1
+   */
+  setInputLevel(level) {
+    this.elements.avatarContainer.style.setProperty('--input-level', Math.min(1, Math.max(0, level)).toFixed(2));
   }
 
   /**
@@ -45,6 +99,7 @@ export class VoiceControls {
     this.elements.button = this.container.querySelector('#voice-button');
     this.elements.status = this.container.querySelector('.voice-status-inline');
     this.elements.avatar = this.container.querySelector('.sp-avatar');
+    this.elements.avatarContainer = this.container.querySelector('.sp-avatar-container');
 
     this._attachEventListeners();
     console.log('[VoiceControls] Voice button rendered (inline design)');
@@ -55,24 +110,48 @@ export class VoiceControls {
    */
   _attachEventListeners() {
     this.elements.button.addEventListener('click', () => {
+      // In push-to-talk the button is held to talk; double-click hangs up
+      if (this._isHoldToTalk()) {
+        return;
+      }
       this.toggleVoice();
     });
 
-    // Show "Click to Hang Up" when hovering over active conversation
+    this.elements.button.addEventListener('dblclick', () => {
+      if (this._isHoldToTalk()) {
+        this.toggleVoice();
+      }
+    });
+
+    this.elements.button.addEventListener('pointerdown', (e) => {
+      if (e.button === 0 && this._isHoldToTalk()) {
+        this.elements.button.setPointerCapture(e.pointerId);
+        this.pushToTalk.press();
+      }
+    });
+
+    ['pointerup', 'pointercancel'].forEach((type) => {
+      this.elements.button.addEventListener(type, () => {
+        if (this.pushToTalk) {
+          this.pushToTalk.release();
+        }
+      });
+    });
+
+    // Show how to hang up when hovering over active conversation
     this.elements.button.addEventListener('mouseenter', () => {
       if (this.isActive) {
-        this.elements.status.textContent = 'Click to Hang Up';
+        if (this.session.textOnly) {
+          this.elements.status.textContent = 'Click to End Chat';
+        } else {
+          this.elements.status.textContent = this._isHoldToTalk() ? 'Double-click to Hang Up' : 'Click to Hang Up';
+        }
       }
     });
 
     this.elements.button.addEventListener('mouseleave', () => {
       if (this.isActive) {
-        // Restore appropriate status
-        if (this.isSpeaking) {
-          this.elements.status.textContent = 'Speaking...';
-        } else {
-          this.elements.status.textContent = 'Listening...';
-        }
+        this.elements.status.textContent = this._getStatusText();
       }
     });
   }
@@ -81,82 +160,117 @@ export class VoiceControls {
    * Toggle voice conversation on/off
    */
   async toggleVoice() {
-    if (!this.conversationClass || !this.conversationConfig) {
-      console.warn('[VoiceControls] Conversation not configured');
+    if (this.isDisabled) {
+      console.warn('[VoiceControls] Voice is disabled');
+      return;
+    }
+
+    if (!this.session) {
+      console.warn('[VoiceControls] Voice session not configured');
       this.elements.status.textContent = 'Not Ready';
       return;
     }
 
-    if (this.isActive && this.conversation) {
-      // End the conversation
-      try {
-        console.log('[VoiceControls] Ending conversation...');
-        await this.conversation.endSession();
-        this.conversation = null;
-        this.isActive = false;
-        this.isSpeaking = false;
-        this.elements.button.classList.remove('active', 'speaking');
-        this.elements.status.textContent = 'Click to Talk';
-        console.log('[VoiceControls] ✅ Conversation ended');
-      } catch (error) {
-        console.error('[VoiceControls] ❌ Error ending conversation:', error);
-        this.elements.status.textContent = 'Error';
-      }
+    // Button state follows the session's stateChanged events
+    if (this.session.isActive()) {
+      console.log('[VoiceControls] Ending conversation...');
+      await this.session.end();
     } else {
-      // Start a new conversation
-      try {
-        console.log('[VoiceControls] Starting conversation...');
-        this.elements.status.textContent = 'Connecting...';
-
-        // Create new conversation session
-        this.conversation = await this.conversationClass.startSession(this.conversationConfig);
-
-        // Note: isActive and button state will be updated by onConnect callback
-        console.log('[VoiceControls] ✅ Conversation started');
-      } catch (error) {
-        console.error('[VoiceControls] ❌ Error starting conversation:', error);
-        this.elements.status.textContent = 'Error - Click to Retry';
-        this.conversation = null;
-        this.isActive = false;
-      }
+      console.log('[VoiceControls] Starting conversation...');
+      await this.session.start();
     }
   }
 
   /**
-   * Update button state based on conversation status
+   * Update button state based on the session state
    */
   updateButtonState() {
-    if (this.conversation && this.isActive) {
-      // Active conversation
-      this.elements.button.classList.add('ready', 'active');
-      if (this.isSpeaking) {
-        this.elements.status.textContent = 'Speaking...';
-      } else {
-        this.elements.status.textContent = 'Listening...';
-      }
-    } else if (this.conversationConfig) {
-      // Ready to start, but not active
-      this.elements.button.classList.add('ready');
-      this.elements.button.classList.remove('active', 'speaking');
-      this.elements.status.textContent = 'Click to Talk';
+    this.state = this.session ? this.session.getState() : null;
+    this.isActive = !!this.session && this.session.isActive();
+    this.isSpeaking = this.state === 'speaking';
+    this.isTalking = !!this.pushToTalk && this.pushToTalk.isHeld;
+
+    const { classList } = this.elements.button;
+
+    if (this.isDisabled) {
+      classList.remove('ready', 'active', 'speaking', 'reconnecting', 'muted');
     } else {
-      // Not configured yet
-      this.elements.button.classList.remove('ready', 'active', 'speaking');
-      this.elements.status.textContent = 'Setting Up...';
+      classList.toggle('ready', !!this.session);
+      classList.toggle('active', this.isActive);
+      classList.toggle('speaking', this.isSpeaking);
+      classList.toggle('reconnecting', this.state === 'reconnecting');
+      classList.toggle('muted', this.isMuted);
+      classList.toggle('push-to-talk', !!this.pushToTalk && this.pushToTalk.enabled);
+      classList.toggle('talking', this.isTalking);
+    }
+
+    this.elements.status.textContent = this._getStatusText();
+    this._notifyState();
+  }
+
+  /**
+   * Status text for the current state
+   * @private
+   * @returns {string} Status text
+   */
+  _getStatusText() {
+    if (this.isDisabled) {
+      return this.disabledLabel;
+    }
+
+    // Text-only sessions have no listening/speaking to show
+    if (this.session && this.session.textOnly && this.session.isConnected()) {
+      return 'Text Chat';
     }
+
+    switch (this.state) {
+      case 'connecting':
+        return 'Connecting...';
+      case 'connected':
+      case 'listening':
+        if (this.isMuted) {
+          return 'Muted';
+        }
+        if (this.pushToTalk && this.pushToTalk.enabled && !this.isTalking) {
+          return 'Hold to Talk';
+        }
+        return 'Listening...';
+      case 'speaking':
+        return 'Speaking...';
+      case 'reconnecting':
+        return 'Reconnecting...';
+      case 'failed':
+        return 'Error - Click to Retry';
+      case 'idle':
+      case 'ended':
+        return 'Click to Talk';
+      default:
+        return 'Setting Up...';
+    }
+  }
+
+  /**
+   * Whether pressing the button should talk rather than start/hang up
+   * @private
+   * @returns {boolean} True in push-to-talk mode with a connected session
+   */
+  _isHoldToTalk() {
+    return !!this.pushToTalk && this.pushToTalk.enabled &&
+      !!this.session && this.session.isConnected() && !this.session.textOnly;
   }
 
   /**
-   * Set speaking state (called from conversation events)
+   * Report the current state to the state callback
+   * @private
    */
-  setSpeaking(speaking) {
-    this.isSpeaking = speaking;
-    if (speaking) {
-      this.elements.button.classList.add('speaking');
-      this.elements.status.textContent = 'Speaking...';
-    } else if (this.isActive) {
-      this.elements.button.classList.remove('speaking');
-      this.elements.status.textContent = 'Listening...';
+  _notifyState() {
+    if (this.stateCallback) {
+      this.stateCallback({
+        isActive: this.isActive,
+        isSpeaking: this.isSpeaking,
+        isDisabled: this.isDisabled,
+        status: this.elements.status ? this.elements.status.textContent : ''
+      });
     }
   }
 }
@@ -0,0 +1,392 @@
+/**
+ * VOICE SESSION MODULE
+ *
+ * Purpose: Single source of truth for the conversation connection state
+ * Contract: Drives a ConversationAdapter through explicit states, emits an
+ *           event on every transition and reconnects with exponential backoff
+ *           when the session drops without the user ending it. A session can be
+ *           started text-only (typed chat, no microphone or audio playback);
+ *           reconnects keep the mode it was started in.
+ * Dependencies: conversation-adapter.js
+ *
+ * States and transitions:
+ *   idle         → connecting
+ *   connecting   → connected | reconnecting | failed | ended
+ *   connected    → speaking | listening | reconnecting | ended
+ *   speaking     → listening | reconnecting | ended
+ *   listening    → speaking | reconnecting | ended
+ *   reconnecting → connected | failed | ended
+ *   failed       → connecting
+ *   ended        → connecting
+ *
+ * Only disconnects with reason 'error' reconnect; the user or the agent
+ * hanging up ends the session. A session ended while still connecting is
+ * closed as soon as the backend reports it open; events from such a stale
+ * connection attempt are ignored, so it is never mistaken for a newer one.
+ *
+ * Events:
+ *   stateChanged { state, previousState, attempt, delayMs, error }
+ *   error        { error, state }
+ */
+
+const TRANSITIONS = {
+  idle: ['connecting'],
+  connecting: ['connected', 'reconnecting', 'failed', 'ended'],
+  connected: ['speaking', 'listening', 'reconnecting', 'ended'],
+  speaking: ['listening', 'reconnecting', 'ended'],
+  listening: ['speaking', 'reconnecting', 'ended'],
+  reconnecting: ['connected', 'failed', 'ended'],
+  failed: ['connecting'],
+  ended: ['connecting']
+};
+
+// States in which the adapter has an open session
+const CONNECTED_STATES = ['connected', 'speaking', 'listening'];
+
+// States in which a session is open or being opened (the button hangs up)
+const ACTIVE_STATES = ['connecting', 'reconnecting', ...CONNECTED_STATES];
+
+export class VoiceSession {
+  /**
+   * Initialize voice session
+   * @param {Object} options - Configuration options
+   * @param {ConversationAdapter} options.adapter - Conversation backend
+   * @param {Object} [options.clientTools] - Tools the agent may call
+   * @param {Function} [options.onMessage] - Transcript messages ({ source, message })
+   * @param {Function} [options.onToolCall] - Tool calls ({ name, params, result })
+   * @param {number} [options.maxReconnectAttempts=5] - Attempts before giving up
+   * @param {number} [options.reconnectBaseDelayMs=1000] - First retry delay (doubles each attempt)
+   * @param {number} [options.reconnectMaxDelayMs=15000] - Longest retry delay
+   */
+  constructor({
+    adapter,
+    clientTools = {},
+    onMessage = () => {},
+    onToolCall = () => {},
+    maxReconnectAttempts = 5,
+    reconnectBaseDelayMs = 1000,
+    reconnectMaxDelayMs = 15000
+  }) {
+    if (!adapter) {
+      throw new Error('ConversationAdapter is required');
+    }
+
+    this.adapter = adapter;
+    this.clientTools = clientTools;
+    this.onMessage = onMessage;
+    this.onToolCall = onToolCall;
+    this.maxReconnectAttempts = maxReconnectAttempts;
+    this.reconnectBaseDelayMs = reconnectBaseDelayMs;
+    this.reconnectMaxDelayMs = reconnectMaxDelayMs;
+
+    this.state = 'idle';
+    this.textOnly = false;
+    this.lastError = null;
+
+    this._attempt = 0;
+    this._reconnectTimeout = null;
+    this._connectId = 0;
+    this._listeners = new Map();
+
+    console.log(`[VoiceSession] Initialized (${adapter.name}, up to ${maxReconnectAttempts} reconnect attempts)`);
+  }
+
+  /**
+   * Get the current state
+   * @returns {string} State name
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Whether the agent can receive messages right now
+   * @returns {boolean} True while connected, speaking or listening
+   */
+  isConnected() {
+    return CONNECTED_STATES.includes(this.state);
+  }
+
+  /**
+   * Whether a session is open or being opened
+   * @returns {boolean} True from connecting until ended or failed
+   */
+  isActive() {
+    return ACTIVE_STATES.includes(this.state);
+  }
+
+  /**
+   * Open a session
+   * @param {Object} [options] - Session options
+   * @param {boolean} [options.textOnly=false] - Typed chat without microphone or audio playback
+   * @returns {Promise<void>}
+   */
+  async start({ textOnly = false } = {}) {
+    if (this.isActive()) {
+      return;
+    }
+
+    // Set before the transition so stateChanged listeners see the new mode
+    this.textOnly = !!textOnly;
+    if (!this._transition('connecting')) {
+      return;
+    }
+
+    this._attempt = 0;
+    this.lastError = null;
+    await this._connect();
+  }
+
+  /**
+   * Close the session, stop reconnecting, or cancel a connection in progress
+   * (the backend is closed once it reports the session open)
+   * @returns {Promise<void>}
+   */
+  async end() {
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = null;
+
+    if (!this._transition('ended')) {
+      return;
+    }
+
+    try {
+      await this.adapter.end();
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+
+  /**
+   * Toggle between starting and ending a session
+   * @returns {Promise<void>}
+   */
+  async toggle() {
+    if (this.isActive()) {
+      await this.end();
+    } else {
+      await this.start();
+    }
+  }
+
+  /**
+   * Add event listener
+   * @param {string} eventType - 'stateChanged' or 'error'
+   * @param {Function} callback - Receives the event data
+   */
+  addEventListener(eventType, callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('Callback must be a function');
+    }
+
+    if (!this._listeners.has(eventType)) {
+      this._listeners.set(eventType, new Set());
+    }
+
+    this._listeners.get(eventType).add(callback);
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} eventType - Event type
+   * @param {Function} callback - Callback to remove
+   */
+  removeEventListener(eventType, callback) {
+    const listeners = this._listeners.get(eventType);
+    if (listeners) {
+      listeners.delete(callback);
+    }
+  }
+
+  /**
+   * Start the adapter session; a failure counts as a dropped connection
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _connect() {
+    // Events of an attempt made before end() and a new start() are stale
+    const connectId = ++this._connectId;
+    const isCurrent = () => connectId === this._connectId;
+
+    try {
+      await this.adapter.start({
+        clientTools: this.clientTools,
+        textOnly: this.textOnly,
+        onConnect: () => isCurrent() && this._handleConnect(),
+        onDisconnect: (details) => isCurrent() && this._handleDisconnect(details),
+        onError: (error) => this._handleError(error),
+        onMessage: (message) => isCurrent() && this.onMessage(message),
+        onModeChange: (mode) => isCurrent() && this._handleModeChange(mode),
+        onToolCall: (toolCall) => this.onToolCall(toolCall)
+      });
+    } catch (error) {
+      this._handleError(error);
+      if (isCurrent()) {
+        this._handleConnectionLost(error);
+      }
+    }
+  }
+
+  /**
+   * Session opened; closed again straight away if end() was called meanwhile
+   * @private
+   */
+  _handleConnect() {
+    if (this.state !== 'connecting' && this.state !== 'reconnecting') {
+      console.log(`[VoiceSession] Session opened while ${this.state}, closing it`);
+      this.adapter.end().catch(error => this._handleError(error));
+      return;
+    }
+
+    this._attempt = 0;
+    this._transition('connected');
+  }
+
+  /**
+   * Agent started or stopped speaking
+   * @private
+   * @param {Object} mode - { mode: 'speaking' | 'listening' }
+   */
+  _handleModeChange({ mode }) {
+    if (!this.isConnected()) {
+      return;
+    }
+
+    const nextState = mode === 'speaking' ? 'speaking' : 'listening';
+    if (nextState !== this.state) {
+      this._transition(nextState);
+    }
+  }
+
+  /**
+   * Session closed by the backend (ignored after end())
+   * @private
+   * @param {Object} [details] - { reason: 'user' | 'agent' | 'error', message }
+   */
+  _handleDisconnect(details = { reason: 'error' }) {
+    if (this.state === 'ended' || this.state === 'failed') {
+      return;
+    }
+
+    // The agent hanging up (or a clean server close) is not a dropped connection
+    if (details.reason !== 'error') {
+      console.log(`[VoiceSession] Session closed (${details.reason})`);
+      clearTimeout(this._reconnectTimeout);
+      this._reconnectTimeout = null;
+      this._transition('ended');
+      return;
+    }
+
+    this._handleConnectionLost(details.message ? new Error(details.message) : this.lastError);
+  }
+
+  /**
+   * Record and report an error
+   * @private
+   * @param {*} error - Error from the adapter
+   */
+  _handleError(error) {
+    this.lastError = error;
+    console.error('[VoiceSession] Error:', error);
+    this._emit('error', { error, state: this.state });
+  }
+
+  /**
+   * Retry after a drop, or fail when the first attempt (or every retry) failed
+   * @private
+   * @param {*} error - Cause, if known
+   */
+  _handleConnectionLost(error) {
+    // end() was called while the connection was being opened
+    if (this.state === 'ended' || this.state === 'failed') {
+      return;
+    }
+
+    // Nothing to reconnect to if the very first connection never opened
+    if (this.state === 'connecting') {
+      this._transition('failed', { error });
+      return;
+    }
+
+    this._attempt++;
+    if (this._attempt > this.maxReconnectAttempts) {
+      this._transition('failed', { error });
+      return;
+    }
+
+    const delayMs = Math.min(
+      this.reconnectMaxDelayMs,
+      this.reconnectBaseDelayMs * 2 ** (this._attempt - 1)
+    );
+
+    // Already reconnecting: announce the next attempt without a state change
+    if (this.state === 'reconnecting') {
+      this._emit('stateChanged', {
+        state: this.state,
+        previousState: this.state,
+        attempt: this._attempt,
+        delayMs,
+        error
+      });
+    } else {
+      this._transition('reconnecting', { attempt: this._attempt, delayMs, error });
+    }
+
+    console.log(`[VoiceSession] Reconnecting in ${delayMs}ms (attempt ${this._attempt}/${this.maxReconnectAttempts})`);
+
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = setTimeout(() => {
+      this._reconnectTimeout = null;
+      if (this.state === 'reconnecting') {
+        this._connect();
+      }
+    }, delayMs);
+  }
+
+  /**
+   * Move to a new state if the transition is allowed
+   * @private
+   * @param {string} nextState - Target state
+   * @param {Object} [details] - Extra event data (attempt, delayMs, error)
+   * @returns {boolean} True if the state changed
+   */
+  _transition(nextState, details = {}) {
+    if (!TRANSITIONS[this.state].includes(nextState)) {
+      console.warn(`[VoiceSession] Ignoring transition ${this.state} → ${nextState}`);
+      return false;
+    }
+
+    const previousState = this.state;
+    this.state = nextState;
+    console.log(`[VoiceSession] ${previousState} → ${nextState}`);
+
+    this._emit('stateChanged', {
+      state: nextState,
+      previousState,
+      attempt: details.attempt || 0,
+      delayMs: details.delayMs || 0,
+      error: details.error || null
+    });
+
+    return true;
+  }
+
+  /**
+   * Emit event to all listeners
+   * @private
+   * @param {string} eventType - Event type
+   * @param {*} data - Event data
+   */
+  _emit(eventType, data) {
+    const listeners = this._listeners.get(eventType);
+    if (listeners) {
+      listeners.forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`[VoiceSession] Error in ${eventType} listener:`, error);
+        }
+      });
+    }
+  }
+}
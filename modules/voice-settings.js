@@ -0,0 +1,362 @@
+/**
+ * VOICE SETTINGS MODULE
+ *
+ * Purpose: Microphone and speaker settings for the voice conversation
+ * Contract: Renders a settings button on the voice button that opens a
+ *           popover with microphone selection, mute and agent volume; the
+ *           chosen microphone and volume are remembered in localStorage.
+ *           While a session is connected the input level is shown as a
+ *           ring around the voice button's avatar.
+ *           In push-to-talk mode the mute button gives way to a hold-to-talk hint.
+ * Dependencies: voice-session.js, voice-controls.js, push-to-talk.js (optional)
+ */
+
+const INPUT_DEVICE_STORAGE_KEY = 'voiceInputDevice';
+const VOLUME_STORAGE_KEY = 'voiceOutputVolume';
+
+export class VoiceSettings {
+  /**
+   * Initialize voice settings
+   * @param {HTMLElement} container - Voice controls container (the button's parent)
+   * @param {Object} options - Configuration options
+   * @param {VoiceSession} options.session - Voice session (its adapter receives the settings)
+   * @param {VoiceControls} options.voiceControls - Voice button (shows mute and input level)
+   * @param {PushToTalk} [options.pushToTalk] - Push-to-talk controller (replaces the mute button when enabled)
+   * @param {Array<string>} [options.pushToTalkKeys] - Keys that hold to talk (shown in the hint)
+   */
+  constructor(container, { session, voiceControls, pushToTalk = null, pushToTalkKeys = [] }) {
+    if (!container || !session || !voiceControls) {
+      throw new Error('Container, VoiceSession and VoiceControls are required');
+    }
+
+    this.container = container;
+    this.session = session;
+    this.voiceControls = voiceControls;
+    this.pushToTalk = pushToTalk;
+    this.pushToTalkKeys = pushToTalkKeys;
+    this.isOpen = false;
+
+    this._meterFrame = null;
+    this._boundHandleDocumentClick = (e) => this._handleDocumentClick(e);
+    this._boundRefreshDevices = () => this.refreshDevices();
+    this._boundHandleStateChanged = () => this._updateMeter();
+
+    this.elements = {
+      toggleButton: null,
+      popover: null,
+      deviceSelect: null,
+      muteButton: null,
+      pushToTalkHint: null,
+      volumeSlider: null,
+      volumeValue: null
+    };
+
+    console.log('[VoiceSettings] Initialized');
+  }
+
+  /**
+   * Render the settings button and popover, and apply the remembered settings
+   */
+  render() {
+    this.container.classList.add('has-voice-settings');
+
+    const toggleButton = document.createElement('button');
+    toggleButton.className = 'voice-settings-toggle';
+    toggleButton.type = 'button';
+    toggleButton.title = 'Microphone and volume';
+    toggleButton.setAttribute('aria-label', 'Voice settings');
+    toggleButton.setAttribute('aria-expanded', 'false');
+    toggleButton.textContent = '⚙';
+
+    const popover = document.createElement('div');
+    popover.className = 'voice-settings-popover';
+    popover.setAttribute('role', 'dialog');
+    popover.setAttribute('aria-label', 'Voice settings');
+    popover.innerHTML = `
+      <label class="voice-settings-field">
+        <span>Microphone</span>
+        <select class="voice-settings-device"></select>
+      </label>
+      <button class="voice-settings-mute" type="button" aria-pressed="false"></button>
+      <p class="voice-settings-hint" hidden></p>
+      <label class="voice-settings-field">
+        <span>Agent volume <span class="voice-settings-volume-value"></span></span>
+        <input class="voice-settings-volume" type="range" min="0" max="100" step="5">
+      </label>
+    `;
+
+    this.container.appendChild(toggleButton);
+    this.container.appendChild(popover);
+
+    this.elements.toggleButton = toggleButton;
+    this.elements.popover = popover;
+    this.elements.deviceSelect = popover.querySelector('.voice-settings-device');
+    this.elements.muteButton = popover.querySelector('.voice-settings-mute');
+    this.elements.pushToTalkHint = popover.querySelector('.voice-settings-hint');
+    this.elements.volumeSlider = popover.querySelector('.voice-settings-volume');
+    this.elements.volumeValue = popover.querySelector('.voice-settings-volume-value');
+
+    toggleButton.addEventListener('click', () => this.toggle());
+    this.elements.deviceSelect.addEventListener('change', () => {
+      this.setInputDevice(this.elements.deviceSelect.value || null);
+    });
+    this.elements.muteButton.addEventListener('click', () => this.toggleMute());
+    this.elements.volumeSlider.addEventListener('input', () => {
+      this.setVolume(this.elements.volumeSlider.value / 100);
+    });
+
+    document.addEventListener('click', this._boundHandleDocumentClick);
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', this._boundRefreshDevices);
+    }
+    this.session.addEventListener('stateChanged', this._boundHandleStateChanged);
+
+    // Remembered settings apply to the next session the button starts
+    const adapter = this.session.adapter;
+    adapter.setInputDevice(this._load(INPUT_DEVICE_STORAGE_KEY));
+    const savedVolume = parseFloat(this._load(VOLUME_STORAGE_KEY));
+    if (!isNaN(savedVolume)) {
+      adapter.setVolume(savedVolume);
+    }
+
+    this._updateControls();
+    this.refreshDevices();
+
+    console.log('[VoiceSettings] Rendered');
+  }
+
+  /**
+   * Open the popover (refreshes the device list)
+   */
+  open() {
+    this.isOpen = true;
+    this.elements.popover.classList.add('open');
+    this.elements.toggleButton.setAttribute('aria-expanded', 'true');
+    this.refreshDevices();
+  }
+
+  /**
+   * Close the popover
+   */
+  close() {
+    this.isOpen = false;
+    this.elements.popover.classList.remove('open');
+    this.elements.toggleButton.setAttribute('aria-expanded', 'false');
+  }
+
+  /**
+   * Toggle the popover
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Use a microphone and remember it
+   * @param {string|null} deviceId - Device ID, or null for the system default
+   * @returns {Promise<void>}
+   */
+  async setInputDevice(deviceId) {
+    this._save(INPUT_DEVICE_STORAGE_KEY, deviceId);
+
+    try {
+      await this.session.adapter.setInputDevice(deviceId);
+      console.log(`[VoiceSettings] Microphone: ${deviceId || 'system default'}`);
+    } catch (error) {
+      console.error('[VoiceSettings] Could not switch microphone:', error);
+    }
+  }
+
+  /**
+   * Mute or unmute the microphone (not remembered, so a new visit never starts muted)
+   * @param {boolean} muted - True to mute
+   */
+  setMuted(muted) {
+    this.session.adapter.setMicMuted(muted);
+    this.voiceControls.setMuted(muted);
+    this._updateControls();
+    console.log(`[VoiceSettings] Microphone ${muted ? 'muted' : 'unmuted'}`);
+  }
+
+  /**
+   * Toggle microphone mute
+   */
+  toggleMute() {
+    this.setMuted(!this.session.adapter.audioSettings.micMuted);
+  }
+
+  /**
+   * Set and remember the agent's output volume
+   * @param {number} volume - 0 to 1
+   */
+  setVolume(volume) {
+    this.session.adapter.setVolume(volume);
+    this._save(VOLUME_STORAGE_KEY, String(this.session.adapter.audioSettings.volume));
+    this._updateControls();
+  }
+
+  /**
+   * Re-read the available microphones into the device list
+   * (names are only available once microphone access has been granted)
+   * @returns {Promise<void>}
+   */
+  async refreshDevices() {
+    const select = this.elements.deviceSelect;
+
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+      select.innerHTML = '<option value="">System default</option>';
+      select.disabled = true;
+      return;
+    }
+
+    let inputs = [];
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      inputs = devices.filter(device => device.kind === 'audioinput' && device.deviceId !== 'default');
+    } catch (error) {
+      console.warn('[VoiceSettings] Could not list microphones:', error);
+    }
+
+    const selectedId = this.session.adapter.audioSettings.inputDeviceId || '';
+
+    select.innerHTML = '';
+    select.appendChild(new Option('System default', ''));
+    inputs.forEach((device, index) => {
+      select.appendChild(new Option(device.label || `Microphone ${index + 1}`, device.deviceId));
+    });
+
+    // A remembered device that is unplugged keeps its setting but shows as default
+    select.value = inputs.some(device => device.deviceId === selectedId) ? selectedId : '';
+    select.disabled = false;
+  }
+
+  /**
+   * Remove the button, popover and listeners
+   */
+  destroy() {
+    this._stopMeter();
+    document.removeEventListener('click', this._boundHandleDocumentClick);
+    if (navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
+      navigator.mediaDevices.removeEventListener('devicechange', this._boundRefreshDevices);
+    }
+    this.session.removeEventListener('stateChanged', this._boundHandleStateChanged);
+
+    this.elements.toggleButton.remove();
+    this.elements.popover.remove();
+    this.container.classList.remove('has-voice-settings');
+
+    console.log('[VoiceSettings] Destroyed');
+  }
+
+  /**
+   * Reflect the current settings in the popover
+   * @private
+   */
+  _updateControls() {
+    const { micMuted, volume } = this.session.adapter.audioSettings;
+    const percent = Math.round(volume * 100);
+    const isPushToTalk = !!this.pushToTalk && this.pushToTalk.enabled;
+
+    // Push-to-talk owns the mute state; the mic is only open while held
+    this.elements.muteButton.hidden = isPushToTalk;
+    this.elements.pushToTalkHint.hidden = !isPushToTalk;
+
+    if (isPushToTalk) {
+      const keys = this.pushToTalkKeys.map(key => (key === ' ' ? 'Space' : key.toUpperCase())).join(' / ');
+      this.elements.pushToTalkHint.textContent = keys
+        ? `Push-to-talk: hold ${keys} or the voice button to speak`
+        : 'Push-to-talk: hold the voice button to speak';
+    } else {
+      this.elements.muteButton.textContent = micMuted ? '🔇 Unmute microphone' : '🎙️ Mute microphone';
+      this.elements.muteButton.classList.toggle('active', micMuted);
+      this.elements.muteButton.setAttribute('aria-pressed', String(micMuted));
+    }
+
+    this.elements.toggleButton.classList.toggle('muted', micMuted && !isPushToTalk);
+    this.elements.volumeSlider.value = percent;
+    this.elements.volumeValue.textContent = `${percent}%`;
+  }
+
+  /**
+   * Run the input level meter while connected
+   * @private
+   */
+  _updateMeter() {
+    if (this.session.isConnected()) {
+      if (!this._meterFrame) {
+        this._meterFrame = requestAnimationFrame(() => this._tickMeter());
+      }
+    } else {
+      this._stopMeter();
+    }
+  }
+
+  /**
+   * Read the input level and draw it on the avatar
+   * @private
+   */
+  _tickMeter() {
+    const adapter = this.session.adapter;
+    this.voiceControls.setInputLevel(adapter.audioSettings.micMuted ? 0 : adapter.getInputVolume());
+    this._meterFrame = requestAnimationFrame(() => this._tickMeter());
+  }
+
+  /**
+   * Stop the level meter and clear the ring
+   * @private
+   */
+  _stopMeter() {
+    if (this._meterFrame) {
+      cancelAnimationFrame(this._meterFrame);
+      this._meterFrame = null;
+    }
+    this.voiceControls.setInputLevel(0);
+  }
+
+  /**
+   * Close the popover when clicking elsewhere
+   * @private
+   * @param {MouseEvent} e - Click event
+   */
+  _handleDocumentClick(e) {
+    if (this.isOpen && !this.elements.popover.contains(e.target) && e.target !== this.elements.toggleButton) {
+      this.close();
+    }
+  }
+
+  /**
+   * Read a remembered setting
+   * @private
+   * @param {string} key - Storage key
+   * @returns {string|null} Value
+   */
+  _load(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Remember a setting (null forgets it)
+   * @private
+   * @param {string} key - Storage key
+   * @param {string|null} value - Value
+   */
+  _save(key, value) {
+    try {
+      if (value) {
+        localStorage.setItem(key, value);
+      } else {
+        localStorage.removeItem(key);
+      }
+    } catch (error) {
+      // Storage may be unavailable (private mode); the setting lasts until the page is closed
+    }
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * PRESENTER WINDOW ASSEMBLY FILE
+ *
+ * Purpose: Wire the presenter window (opened from the audience window)
+ * Shows the current slide with a speaker panel (next slide, notes, timer,
+ * transcript) and keeps its page in sync with the audience window through
+ * PresenterChannel. Navigation here drives the audience StateManager and
+ * vice versa.
+ */
+
+import { StateManager } from './modules/state-manager.js';
+import { PDFRenderer } from './modules/pdf-renderer.js';
+import { NavigationController } from './modules/navigation.js';
+import { HistoryManager } from './modules/history-manager.js';
+import { KeyboardShortcuts } from './modules/keyboard-shortcuts.js';
+import { DeckManifest } from './modules/deck-manifest.js';
+import { TitleProvider } from './modules/title-provider.js';
+import { PresentationTimer } from './modules/presentation-timer.js';
+import { SpeakerNotes } from './modules/speaker-notes.js';
+import { PresenterView } from './modules/presenter-view.js';
+import { PresenterChannel } from './modules/presenter-channel.js';
+import { CONFIG } from './config.js';
+
+// Presenter-only actions, merged under CONFIG.KEYBOARD_SHORTCUTS
+const PRESENTER_KEYMAP = {
+  toggleTimer: ['t']
+};
+
+/**
+ * Initialize the presenter window
+ * @param {string} pdfPath - Path to PDF file (must match the audience window)
+ * @param {string} canvasContainerId - ID of canvas container element
+ * @param {string} panelContainerId - ID of speaker panel container element
+ * @returns {Promise<Object>} Initialized presenter components
+ */
+export async function initPresenter(
+  pdfPath = './presentation.pdf',
+  canvasContainerId = 'pdf-container',
+  panelContainerId = 'presenter-panel'
+) {
+  console.log('[Presenter] Initializing presenter window');
+  console.log(`[Presenter] PDF path: ${pdfPath}`);
+
+  try {
+    const canvasContainer = document.getElementById(canvasContainerId);
+    const panelContainer = document.getElementById(panelContainerId);
+
+    if (!canvasContainer) {
+      throw new Error(`Canvas container not found: ${canvasContainerId}`);
+    }
+    if (!panelContainer) {
+      throw new Error(`Panel container not found: ${panelContainerId}`);
+    }
+
+    console.log('[Presenter] Step 1/8: Loading PDF and deck manifest');
+    const pdfRenderer = new PDFRenderer(canvasContainer, {
+      cacheSize: CONFIG.RENDER_CACHE_SIZE || 8
+    });
+    const manifestPath = (pdfPath === CONFIG.PDF_PATH && CONFIG.DECK_MANIFEST_PATH) ||
+      DeckManifest.getManifestURL(pdfPath);
+    const [{ totalPages }, deckManifest] = await Promise.all([
+      pdfRenderer.loadPDF(pdfPath),
+      DeckManifest.load(manifestPath)
+    ]);
+    deckManifest.setTotalPages(totalPages);
+
+    console.log('[Presenter] Step 2/8: Initializing state manager');
+    const stateManager = new StateManager(totalPages, HistoryManager.getPageFromURL() || 1);
+
+    console.log('[Presenter] Step 3/8: Creating navigation controller');
+    const navigationController = new NavigationController(stateManager, pdfRenderer);
+    navigationController.setHiddenPages(deckManifest.getHiddenPages());
+    pdfRenderer.setNavigationCallback((pageNumber) => navigationController.goToPage(pageNumber));
+
+    console.log('[Presenter] Step 4/8: Creating presentation timer');
+    const timer = new PresentationTimer({
+      durationMinutes: CONFIG.PRESENTATION_DURATION_MINUTES || null
+    });
+
+    console.log('[Presenter] Step 5/8: Rendering speaker panel');
+    // Notes edited here are saved per deck and picked up by the audience window's agent tool
+    const speakerNotes = new SpeakerNotes({ deckPath: pdfPath, deckManifest, pdfRenderer });
+    const presenterView = new PresenterView(panelContainer, navigationController, stateManager, {
+      deckManifest,
+      speakerNotes,
+      timer
+    });
+    presenterView.render();
+
+    console.log('[Presenter] Step 6/8: Connecting to the audience window');
+    const channel = new PresenterChannel(pdfPath, 'presenter');
+
+    // Pages applied from the audience window must not be echoed back
+    let isApplyingRemoteState = false;
+
+    channel.addEventListener('state', ({ currentPage }) => {
+      presenterView.setConnectionStatus(true);
+      isApplyingRemoteState = true;
+      try {
+        navigationController.goToPage(currentPage);
+      } finally {
+        isApplyingRemoteState = false;
+      }
+    });
+    channel.addEventListener('transcript', (message) => presenterView.addTranscriptMessage(message));
+    channel.addEventListener('transcriptHistory', ({ messages }) => presenterView.setTranscript(messages || []));
+    channel.addEventListener('goodbye', () => presenterView.setConnectionStatus(false));
+
+    stateManager.addEventListener('pageChanged', ({ currentPage }) => {
+      if (!isApplyingRemoteState) {
+        channel.send('navigate', { page: currentPage });
+      }
+    });
+
+    window.addEventListener('pagehide', () => channel.send('goodbye'));
+    channel.send('hello');
+
+    console.log('[Presenter] Step 7/8: Enabling keyboard shortcuts');
+    const keyboardShortcuts = new KeyboardShortcuts({
+      keymap: { ...PRESENTER_KEYMAP, ...CONFIG.KEYBOARD_SHORTCUTS }
+    });
+    keyboardShortcuts.registerAction('nextPage', {
+      description: 'Next slide',
+      handler: () => navigationController.nextPage()
+    });
+    keyboardShortcuts.registerAction('previousPage', {
+      description: 'Previous slide',
+      handler: () => navigationController.previousPage()
+    });
+    keyboardShortcuts.registerAction('firstPage', {
+      description: 'First slide',
+      handler: () => navigationController.goToPage(1)
+    });
+    keyboardShortcuts.registerAction('lastPage', {
+      description: 'Last slide',
+      handler: () => navigationController.goToPage(navigationController.getTotalPages())
+    });
+    keyboardShortcuts.registerAction('toggleTimer', {
+      description: 'Start/pause timer',
+      handler: () => timer.toggle()
+    });
+    keyboardShortcuts.registerPageJump((pageNum) => navigationController.goToPage(pageNum));
+    keyboardShortcuts.start();
+
+    console.log('[Presenter] Step 8/8: Rendering current slide');
+    await navigationController.renderCurrentPage();
+
+    // Name slides the manifest does not cover (same titles as the audience window)
+    const titleProvider = new TitleProvider(pdfRenderer);
+    deckManifest.generateMissingTitles((pageNum) => titleProvider.getTitle(pageNum))
+      .then((generated) => {
+        if (generated > 0) {
+          presenterView.refresh();
+        }
+      });
+
+    console.log('[Presenter] ✅ Presenter window ready');
+
+    return {
+      stateManager,
+      pdfRenderer,
+      navigationController,
+      deckManifest,
+      speakerNotes,
+      timer,
+      presenterView,
+      channel,
+      keyboardShortcuts
+    };
+  } catch (error) {
+    console.error('[Presenter] ❌ Failed to initialize presenter window:', error);
+    throw error;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('DOMContentLoaded', async () => {
+    try {
+      // Wait for PDF.js
+      const startTime = Date.now();
+      while (!window.pdfjsLib && Date.now() - startTime < 10000) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+
+      if (!window.pdfjsLib) {
+        throw new Error('PDF.js failed to load');
+      }
+
+      await initPresenter(HistoryManager.getDeckFromURL() || CONFIG.PDF_PATH || './presentation.pdf');
+    } catch (error) {
+      const panel = document.getElementById('presenter-panel');
+      if (panel) {
+        panel.innerHTML = `<p class="presenter-error">❌ Failed to load: ${error.message}</p>`;
+      }
+    }
+  });
+}
@@ -0,0 +1,100 @@
+/**
+ * REMOTE CONTROL ASSEMBLY FILE
+ *
+ * Purpose: Wire the phone remote (remote.html)
+ * Pairs with a running presentation through the sync relay using the code
+ * from the viewer's pairing dialog (remote.html?code=ABC123&relay=ws://…),
+ * sends navigation and voice commands and shows the current slide and notes.
+ */
+
+import { SyncClient } from './modules/sync-client.js';
+import { RemoteView } from './modules/remote-view.js';
+import { CONFIG } from './config.js';
+
+const PAIRING_ROOM_PREFIX = 'remote:';
+
+/**
+ * Initialize the phone remote
+ * @param {string} containerId - ID of the remote container element
+ * @returns {Object} Initialized remote components
+ */
+export function initRemote(containerId = 'remote-app') {
+  console.log('[Remote] Initializing phone remote');
+
+  const container = document.getElementById(containerId);
+  if (!container) {
+    throw new Error(`Remote container not found: ${containerId}`);
+  }
+
+  const params = new URLSearchParams(window.location.search);
+  const relayURL = params.get('relay') || (CONFIG.SYNC && CONFIG.SYNC.RELAY_URL);
+
+  const remoteView = new RemoteView(container);
+  remoteView.render();
+
+  let syncClient = null;
+  let hasViewer = false;
+
+  const pair = (code) => {
+    if (!relayURL) {
+      remoteView.showPairing(code);
+      console.error('[Remote] No relay configured - open the link from the pairing dialog');
+      return;
+    }
+
+    if (syncClient) {
+      syncClient.close();
+    }
+
+    // Keep the code in the URL so reloading the page stays paired
+    params.set('code', code);
+    history.replaceState(null, '', `${window.location.pathname}?${params}`);
+
+    syncClient = new SyncClient({ url: relayURL, room: PAIRING_ROOM_PREFIX + code, role: 'remote' });
+    syncClient.setStatusCallback((isConnected) => {
+      if (!isConnected) {
+        hasViewer = false;
+      }
+      remoteView.setConnectionStatus(isConnected, hasViewer);
+    });
+    syncClient.addEventListener('peers', ({ presenter }) => {
+      hasViewer = presenter > 0;
+      remoteView.setConnectionStatus(syncClient.isConnected, hasViewer);
+    });
+    syncClient.addEventListener('state', (state, sender) => {
+      if (sender === 'presenter') {
+        remoteView.setState(state);
+      }
+    });
+    syncClient.connect();
+
+    remoteView.showControls();
+    console.log(`[Remote] Pairing with code ${code}`);
+  };
+
+  remoteView.setPairCallback(pair);
+  remoteView.setCommandCallback((command) => {
+    if (!syncClient || !syncClient.send('command', command)) {
+      console.warn('[Remote] Not connected - command dropped');
+    }
+  });
+
+  const code = (params.get('code') || '').trim().toUpperCase();
+  if (code) {
+    pair(code);
+  } else {
+    remoteView.showPairing();
+  }
+
+  return { remoteView, getSyncClient: () => syncClient };
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('DOMContentLoaded', () => {
+    try {
+      initRemote();
+    } catch (error) {
+      console.error('[Remote] ❌ Failed to initialize remote:', error);
+    }
+  });
+}
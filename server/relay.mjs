@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+/**
+ * SYNC RELAY SERVER
+ *
+ * Purpose: Tiny WebSocket relay that keeps viewers of the same talk in sync
+ * Contract: Clients join a room with a role; every other message is relayed to
+ *           the rest of the room. The last 'state' message of each room is
+ *           replayed to anyone who joins later, so followers land on the
+ *           presenter's slide straight away.
+ * Dependencies: None (Node.js 18+ built-ins only)
+ *
+ * Usage:
+ *   node server/relay.mjs [--port 8787] [--host 0.0.0.0]
+ *
+ * Protocol (JSON text frames):
+ *   client → relay  { type: 'join', room, role }        role: presenter | follower | remote
+ *   relay → client  { type: 'joined', room, role }
+ *   relay → room    { type: 'peers', data: { presenter, follower, remote } }
+ *   client → room   { type, data }                      relayed as { type, sender: role, data }
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 64 * 1024;
+const ROLES = ['presenter', 'follower', 'remote'];
+
+// Message types the relay remembers per room and replays to late joiners
+const REPLAYED_TYPES = ['state'];
+
+const OPCODES = {
+  TEXT: 0x1,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA
+};
+
+/**
+ * Parse --port / --host command-line options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{port: number, host: string}} Options
+ */
+function parseArgs(argv) {
+  const options = {
+    port: parseInt(process.env.RELAY_PORT, 10) || 8787,
+    host: process.env.RELAY_HOST || '0.0.0.0'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') {
+      options.port = parseInt(argv[++i], 10) || options.port;
+    } else if (argv[i] === '--host') {
+      options.host = argv[++i] || options.host;
+    }
+  }
+
+  return options;
+}
+
+class RelayServer {
+  constructor() {
+    this._rooms = new Map();
+    this._server = createServer((request, response) => {
+      response.writeHead(200, { 'Content-Type': 'text/plain' });
+      response.end('Presentation sync relay is running\n');
+    });
+    this._server.on('upgrade', (request, socket) => this._handleUpgrade(request, socket));
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port
+   * @param {string} host - Interface to bind
+   */
+  listen(port, host) {
+    this._server.listen(port, host, () => {
+      console.log(`[Relay] Listening on ws://${host}:${port}`);
+    });
+  }
+
+  /**
+   * Complete the WebSocket handshake
+   * @private
+   * @param {http.IncomingMessage} request - Upgrade request
+   * @param {net.Socket} socket - Client socket
+   */
+  _handleUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    const client = { socket, room: null, role: null, buffer: Buffer.alloc(0) };
+
+    socket.on('data', (chunk) => {
+      client.buffer = Buffer.concat([client.buffer, chunk]);
+      this._readFrames(client);
+    });
+    socket.on('close', () => this._leave(client));
+    socket.on('error', () => socket.destroy());
+  }
+
+  /**
+   * Decode every complete frame in the client's buffer
+   * @private
+   * @param {Object} client - Client record
+   */
+  _readFrames(client) {
+    while (client.buffer.length >= 2) {
+      const first = client.buffer[0];
+      const second = client.buffer[1];
+      const opcode = first & 0x0f;
+      const isFinal = (first & 0x80) !== 0;
+      const isMasked = (second & 0x80) !== 0;
+      let length = second & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (client.buffer.length < 4) return;
+        length = client.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (client.buffer.length < 10) return;
+        length = Number(client.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      // Browsers always mask; messages here are small and never fragmented
+      if (!isMasked || !isFinal || length > MAX_PAYLOAD) {
+        client.socket.destroy();
+        return;
+      }
+
+      if (client.buffer.length < offset + 4 + length) return;
+
+      const mask = client.buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(client.buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+      client.buffer = client.buffer.subarray(offset + 4 + length);
+
+      if (opcode === OPCODES.TEXT) {
+        this._handleMessage(client, payload.toString('utf8'));
+      } else if (opcode === OPCODES.PING) {
+        this._sendFrame(client.socket, OPCODES.PONG, payload);
+      } else if (opcode === OPCODES.CLOSE) {
+        this._sendFrame(client.socket, OPCODES.CLOSE, Buffer.alloc(0));
+        client.socket.end();
+        return;
+      }
+    }
+  }
+
+  /**
+   * Handle a decoded text message
+   * @private
+   * @param {Object} client - Client record
+   * @param {string} text - JSON text
+   */
+  _handleMessage(client, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      return;
+    }
+
+    if (!message || typeof message.type !== 'string') {
+      return;
+    }
+
+    if (message.type === 'join') {
+      this._join(client, message);
+      return;
+    }
+
+    if (!client.room) {
+      return;
+    }
+
+    const relayed = { type: message.type, sender: client.role, data: message.data || {} };
+    const room = this._rooms.get(client.room);
+
+    if (REPLAYED_TYPES.includes(message.type)) {
+      room.replay.set(message.type, relayed);
+    }
+
+    room.clients.forEach(peer => {
+      if (peer !== client) {
+        this._send(peer, relayed);
+      }
+    });
+  }
+
+  /**
+   * Add a client to a room
+   * @private
+   * @param {Object} client - Client record
+   * @param {Object} message - { room, role }
+   */
+  _join(client, { room, role }) {
+    if (typeof room !== 'string' || !room || !ROLES.includes(role)) {
+      this._send(client, { type: 'error', data: { message: 'join needs a room and a valid role' } });
+      return;
+    }
+
+    this._leave(client);
+
+    if (!this._rooms.has(room)) {
+      this._rooms.set(room, { clients: new Set(), replay: new Map() });
+    }
+
+    const record = this._rooms.get(room);
+    record.clients.add(client);
+    client.room = room;
+    client.role = role;
+
+    console.log(`[Relay] ${role} joined "${room}" (${record.clients.size} connected)`);
+
+    this._send(client, { type: 'joined', room, role });
+    record.replay.forEach(message => this._send(client, message));
+    this._broadcastPeers(room);
+  }
+
+  /**
+   * Remove a client from its room
+   * @private
+   * @param {Object} client - Client record
+   */
+  _leave(client) {
+    if (!client.room) {
+      return;
+    }
+
+    const room = client.room;
+    const record = this._rooms.get(room);
+    record.clients.delete(client);
+    client.room = null;
+
+    console.log(`[Relay] ${client.role} left "${room}" (${record.clients.size} connected)`);
+
+    if (record.clients.size === 0) {
+      this._rooms.delete(room);
+    } else {
+      this._broadcastPeers(room);
+    }
+  }
+
+  /**
+   * Tell everyone in a room who is connected
+   * @private
+   * @param {string} room - Room name
+   */
+  _broadcastPeers(room) {
+    const record = this._rooms.get(room);
+    const counts = { presenter: 0, follower: 0, remote: 0 };
+    record.clients.forEach(client => {
+      counts[client.role]++;
+    });
+
+    record.clients.forEach(client => this._send(client, { type: 'peers', data: counts }));
+  }
+
+  /**
+   * Send a JSON message
+   * @private
+   * @param {Object} client - Client record
+   * @param {Object} message - Message
+   */
+  _send(client, message) {
+    this._sendFrame(client.socket, OPCODES.TEXT, Buffer.from(JSON.stringify(message), 'utf8'));
+  }
+
+  /**
+   * Write an unmasked server frame
+   * @private
+   * @param {net.Socket} socket - Client socket
+   * @param {number} opcode - Frame opcode
+   * @param {Buffer} payload - Payload
+   */
+  _sendFrame(socket, opcode, payload) {
+    if (socket.destroyed) {
+      return;
+    }
+
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    socket.write(Buffer.concat([header, payload]));
+  }
+}
+
+const { port, host } = parseArgs(process.argv.slice(2));
+new RelayServer().listen(port, host);
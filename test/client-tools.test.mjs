@@ -0,0 +1,101 @@
+/**
+ * Client tools: goToSlideByTitle confidence, getSlideSummary ranges
+ * Run with: node --test test/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchIndex } from '../modules/search-index.js';
+import { registerClientTools } from '../modules/client-tools.js';
+
+console.log = () => {};
+console.warn = () => {};
+
+globalThis.window = {};
+
+/**
+ * Register the tools over a fake deck
+ * @param {Array<{title: string, text: string}>} slides - Slide titles and text
+ * @returns {Object} window.clientTools
+ */
+function setUpDeck(slides) {
+  const pdfRenderer = {
+    pdfDocument: { numPages: slides.length },
+    getPageText: async (page) => slides[page - 1].text
+  };
+
+  let currentPage = 1;
+  const navigationController = {
+    goToPage: (page) => {
+      currentPage = page;
+      return true;
+    },
+    highlightText: () => {},
+    getCurrentPage: () => currentPage,
+    getTotalPages: () => slides.length,
+    getPageLines: async (page) => [slides[page - 1].title, slides[page - 1].text],
+    isPageHidden: () => false
+  };
+
+  const searchIndex = new SearchIndex(pdfRenderer, { getTitle: (page) => slides[page - 1].title });
+  registerClientTools(navigationController, { searchIndex });
+
+  return window.clientTools;
+}
+
+test('a title match is not ambiguous when another slide only mentions the term', async () => {
+  const tools = setUpDeck([
+    { title: 'Agenda', text: 'Overview, capex, risks' },
+    { title: 'Capex Plan', text: 'Capex by year' },
+    { title: 'Risks', text: 'Permitting delays' }
+  ]);
+
+  const result = await tools.goToSlideByTitle({ title: 'capex' });
+
+  assert.equal(result.pageNumber, 2);
+  assert.equal(result.ambiguous, false);
+  assert.ok(result.confidence >= 0.9, `confidence ${result.confidence}`);
+});
+
+test('two slides with equally good title matches are ambiguous', async () => {
+  const tools = setUpDeck([
+    { title: 'Capex 2029', text: 'Spending plan' },
+    { title: 'Capex 2030', text: 'Spending plan' },
+    { title: 'Risks', text: 'Permitting delays' }
+  ]);
+
+  const result = await tools.goToSlideByTitle({ title: 'capex' });
+
+  assert.equal(result.ambiguous, true);
+  assert.deepEqual(result.alternatives.map(alt => alt.pageNumber), [2]);
+});
+
+test('a slide matching every term beats one matching only some', async () => {
+  const tools = setUpDeck([
+    { title: 'Revenue', text: 'Quarterly revenue' },
+    { title: 'Revenue Scenario 400M', text: 'Upside case' }
+  ]);
+
+  const result = await tools.goToSlideByTitle({ title: 'revenue 400m' });
+
+  assert.equal(result.pageNumber, 2);
+  assert.equal(result.ambiguous, false);
+});
+
+test('getSlideSummary summarizes every page of a range', async () => {
+  const tools = setUpDeck([
+    { title: 'Agenda', text: 'Overview' },
+    { title: 'Capex Plan', text: 'Capex by year' },
+    { title: 'Risks', text: 'Permitting delays' }
+  ]);
+
+  const result = await tools.getSlideSummary({ pages: '2-3' });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.pages.map(page => page.pageNumber), [2, 3]);
+  assert.deepEqual(result.pages[1].firstLines, ['Permitting delays']);
+
+  const single = await tools.getSlideSummary({ pageNumber: 1 });
+  assert.equal(single.pageNumber, 1);
+  assert.equal(single.isCurrentPage, true);
+});
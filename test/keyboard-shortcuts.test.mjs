@@ -0,0 +1,70 @@
+/**
+ * KeyboardShortcuts: keys aimed at a focused slider stay with the slider
+ * Run with: node --test test/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { KeyboardShortcuts } from '../modules/keyboard-shortcuts.js';
+
+console.log = () => {};
+
+const slider = { tagName: 'INPUT', type: 'range' };
+const body = { tagName: 'BODY' };
+
+/**
+ * Minimal keydown event aimed at an element
+ * @param {string} key - KeyboardEvent.key
+ * @param {Object} target - Element the key is aimed at
+ * @returns {Object} Fake keyboard event
+ */
+function keyDown(key, target) {
+  return {
+    key,
+    target,
+    composedPath: () => [target, body],
+    defaultPrevented: false,
+    isComposing: false,
+    repeat: false,
+    ctrlKey: false,
+    metaKey: false,
+    altKey: false,
+    preventDefault() {
+      this.defaultPrevented = true;
+    }
+  };
+}
+
+/**
+ * Shortcuts with every action recording the name it ran under
+ * @returns {{shortcuts: KeyboardShortcuts, ran: Array<string>}} Shortcuts and the run log
+ */
+function setUpShortcuts() {
+  const shortcuts = new KeyboardShortcuts();
+  const ran = [];
+  ['nextPage', 'previousPage', 'firstPage', 'lastPage', 'toggleOverview'].forEach(name => {
+    shortcuts.registerAction(name, { handler: () => ran.push(name) });
+  });
+  return { shortcuts, ran };
+}
+
+test('arrow, Home, End and Page keys on a slider do not change slides', () => {
+  const { shortcuts, ran } = setUpShortcuts();
+
+  ['ArrowRight', 'ArrowLeft', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown'].forEach(key => {
+    const event = keyDown(key, slider);
+    shortcuts._handleKeyDown(event);
+    assert.equal(event.defaultPrevented, false, `${key} was prevented`);
+  });
+
+  assert.deepEqual(ran, []);
+});
+
+test('other shortcuts still work while a slider has focus', () => {
+  const { shortcuts, ran } = setUpShortcuts();
+
+  shortcuts._handleKeyDown(keyDown('o', slider));
+  shortcuts._handleKeyDown(keyDown('ArrowRight', body));
+
+  assert.deepEqual(ran, ['toggleOverview', 'nextPage']);
+});
@@ -0,0 +1,115 @@
+/**
+ * MockAgentAdapter: scripted sessions driven through VoiceSession
+ * Run with: node --test test/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { VoiceSession } from '../modules/voice-session.js';
+import { MockAgentAdapter, DEFAULT_MOCK_SCRIPT } from '../modules/mock-agent-adapter.js';
+
+console.log = () => {};
+console.warn = () => {};
+console.error = () => {};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true when done
+ * @param {number} [timeoutMs=5000] - Give up after this long
+ * @returns {Promise<void>}
+ */
+async function until(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the mock agent');
+    }
+    await wait(10);
+  }
+}
+
+/**
+ * Voice session over a mock agent, recording tool calls and transcript messages
+ * @param {Object} clientTools - Tools the script may call
+ * @param {Object} [script] - Mock agent script
+ * @returns {Object} { session, adapter, toolCalls, messages }
+ */
+function setUpSession(clientTools, script) {
+  const adapter = new MockAgentAdapter(script ? { script } : undefined);
+  const toolCalls = [];
+  const messages = [];
+  const session = new VoiceSession({
+    adapter,
+    clientTools,
+    onMessage: (message) => messages.push(message),
+    onToolCall: (toolCall) => toolCalls.push(toolCall)
+  });
+
+  return { session, adapter, toolCalls, messages };
+}
+
+test('the default script greets, calls tools and speaks their results', async () => {
+  let currentPage = 1;
+  const { session, adapter, toolCalls, messages } = setUpSession({
+    goToPage: async ({ pageNumber }) => {
+      currentPage = Number(pageNumber);
+      return { success: true, message: `Now on page ${currentPage}` };
+    },
+    getPageText: async () => ({ success: true, pageNumber: currentPage, text: 'Capex by year' })
+  });
+
+  await session.start({ textOnly: true });
+  assert.equal(session.getState(), 'speaking');
+  assert.deepEqual(messages, [{ source: 'ai', message: DEFAULT_MOCK_SCRIPT.greeting }]);
+
+  await adapter.sendText('Go to slide 3');
+  await until(() => messages.length === 2);
+  await adapter.sendText("What's on this slide?");
+  await until(() => messages.length === 3);
+
+  assert.deepEqual(toolCalls.map(({ name, params }) => ({ name, params })), [
+    { name: 'goToPage', params: { pageNumber: '3' } },
+    { name: 'getPageText', params: {} }
+  ]);
+  assert.deepEqual(messages.slice(1), [
+    { source: 'ai', message: 'Now on page 3' },
+    { source: 'ai', message: 'Page 3 says: Capex by year' }
+  ]);
+
+  await session.end();
+  assert.equal(session.getState(), 'ended');
+});
+
+test('loops repeat their actions while the last tool result allows', async () => {
+  const steps = [{ current: { title: 'Agenda' } }, { current: { title: 'Risks' } }, { message: 'Tour complete' }];
+  const script = {
+    rules: [{
+      match: /tour/i,
+      actions: [
+        { tool: 'startTour' },
+        { loop: [{ say: 'On {current.title}' }, { tool: 'advanceTour' }], while: 'current' },
+        { say: '{message}' }
+      ]
+    }]
+  };
+  const { session, adapter, toolCalls, messages } = setUpSession({
+    startTour: async () => steps.shift(),
+    advanceTour: async () => steps.shift()
+  }, script);
+
+  await session.start({ textOnly: true });
+  adapter.simulateUserSpeech('Give us a tour');
+  await until(() => messages.length === 4);
+
+  assert.deepEqual(toolCalls.map(call => call.name), ['startTour', 'advanceTour', 'advanceTour']);
+  assert.deepEqual(messages, [
+    { source: 'user', message: 'Give us a tour' },
+    { source: 'ai', message: 'On Agenda' },
+    { source: 'ai', message: 'On Risks' },
+    { source: 'ai', message: 'Tour complete' }
+  ]);
+
+  await session.end();
+});
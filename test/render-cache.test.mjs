@@ -0,0 +1,38 @@
+/**
+ * RenderCache: LRU eviction and freeing evicted canvases
+ * Run with: node --test test/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RenderCache } from '../modules/render-cache.js';
+
+console.log = () => {};
+
+const bitmap = () => ({ width: 100, height: 50 });
+
+test('evicts the least recently used entry and frees its canvas', () => {
+  const cache = new RenderCache(2);
+  const first = bitmap();
+
+  cache.set('1', first);
+  cache.set('2', bitmap());
+  cache.get('2');
+  cache.set('3', bitmap());
+
+  assert.equal(cache.has('1'), false);
+  assert.equal(cache.size, 2);
+  assert.equal(first.width, 0);
+});
+
+test('keeps evicted canvases intact when releaseOnEvict is off', () => {
+  const cache = new RenderCache(1, { releaseOnEvict: false });
+  const onScreen = bitmap();
+
+  cache.set('1', onScreen);
+  cache.set('2', bitmap());
+  cache.clear();
+
+  assert.equal(cache.has('1'), false);
+  assert.equal(onScreen.width, 100);
+});
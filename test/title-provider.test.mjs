@@ -0,0 +1,44 @@
+/**
+ * TitleProvider: headings built from several text runs
+ * Run with: node --test test/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TitleProvider } from '../modules/title-provider.js';
+
+console.log = () => {};
+console.warn = () => {};
+
+/**
+ * Title provider over one page of text runs and no outline
+ * @param {Array<Object>} runs - Text runs { text, fontSize, top, left }
+ * @param {Array<string>} [lines] - Page lines for the first-line fallback
+ * @returns {TitleProvider} Title provider
+ */
+function providerFor(runs, lines = []) {
+  return new TitleProvider({
+    getOutline: async () => [],
+    getTextRuns: async () => ({ height: 600, runs }),
+    getPageLines: async () => lines
+  });
+}
+
+test('numbers in a heading are kept when joined with its words', async () => {
+  const provider = providerFor([
+    { text: 'Revenue', fontSize: 40, top: 40, left: 50 },
+    { text: '$400M', fontSize: 40, top: 40, left: 250 },
+    { text: 'Up 12% on last year', fontSize: 18, top: 120, left: 50 }
+  ]);
+
+  assert.equal(await provider.getTitle(1), 'Revenue $400M');
+});
+
+test('a heading that is only a number falls back to the first line with words', async () => {
+  const provider = providerFor([
+    { text: '2500', fontSize: 96, top: 60, left: 50 },
+    { text: 'customers', fontSize: 18, top: 200, left: 50 }
+  ], ['2500', 'customers onboarded in 2030']);
+
+  assert.equal(await provider.getTitle(1), 'customers onboarded in 2030');
+});
@@ -0,0 +1,133 @@
+/**
+ * VoiceSession state machine: ending while connecting, hang-ups vs. drops
+ * Run with: node --test test/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { VoiceSession } from '../modules/voice-session.js';
+import { ConversationAdapter } from '../modules/conversation-adapter.js';
+
+// Keep the modules' logging out of the test output
+console.log = () => {};
+console.warn = () => {};
+console.error = () => {};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Adapter that opens its session after a delay, like a real backend
+ */
+class SlowAdapter extends ConversationAdapter {
+  constructor(connectMs) {
+    super('Slow');
+    this.connectMs = connectMs;
+    this.starts = 0;
+    this.openSessions = 0;
+  }
+
+  async _connect() {
+    this.starts++;
+    await wait(this.connectMs);
+    this.openSessions++;
+    this._handleConnect();
+  }
+
+  async _disconnect() {
+    this.openSessions--;
+    this._handleDisconnect({ reason: 'user' });
+  }
+
+  sendContextualUpdate() {
+    return false;
+  }
+}
+
+test('end() while connecting closes the backend session once it opens', async () => {
+  const adapter = new SlowAdapter(20);
+  const session = new VoiceSession({ adapter });
+
+  const starting = session.start();
+  assert.equal(session.getState(), 'connecting');
+
+  await session.end();
+  await starting;
+  await wait(10);
+
+  assert.equal(session.getState(), 'ended');
+  assert.equal(adapter.isConnected, false);
+
+  // A new session can be started afterwards
+  await session.start();
+  assert.equal(session.getState(), 'connected');
+  assert.equal(adapter.isConnected, true);
+  assert.equal(adapter.starts, 2);
+});
+
+test('start() → end() → start() while still connecting leaves one session open', async () => {
+  const adapter = new SlowAdapter(20);
+  const session = new VoiceSession({ adapter });
+  const states = [];
+  session.addEventListener('stateChanged', ({ state }) => states.push(state));
+
+  const first = session.start();
+  await session.end();
+  const second = session.start();
+  await Promise.all([first, second]);
+  await wait(10);
+
+  assert.equal(session.getState(), 'connected');
+  assert.equal(adapter.starts, 2);
+  assert.equal(adapter.openSessions, 1);
+  assert.deepEqual(states, ['connecting', 'ended', 'connecting', 'connected']);
+
+  await session.end();
+  assert.equal(adapter.openSessions, 0);
+});
+
+test('end() while reconnecting stops the retry', async () => {
+  const adapter = new SlowAdapter(0);
+  const session = new VoiceSession({ adapter, reconnectBaseDelayMs: 20 });
+
+  await session.start();
+  adapter._handleDisconnect({ reason: 'error' });
+  assert.equal(session.getState(), 'reconnecting');
+
+  await session.end();
+  await wait(40);
+
+  assert.equal(session.getState(), 'ended');
+  assert.equal(adapter.starts, 1);
+});
+
+test('only error disconnects reconnect', async () => {
+  const adapter = new SlowAdapter(0);
+  const session = new VoiceSession({ adapter, reconnectBaseDelayMs: 10 });
+
+  await session.start();
+  adapter._handleDisconnect({ reason: 'error', message: 'socket closed' });
+  assert.equal(session.getState(), 'reconnecting');
+
+  await wait(30);
+  assert.equal(session.getState(), 'connected');
+  assert.equal(adapter.starts, 2);
+
+  adapter._handleDisconnect({ reason: 'agent' });
+  await wait(30);
+  assert.equal(session.getState(), 'ended');
+  assert.equal(adapter.starts, 2);
+});
+
+test('gives up after the maximum number of attempts', async () => {
+  const adapter = new SlowAdapter(0);
+  const session = new VoiceSession({ adapter, reconnectBaseDelayMs: 5, maxReconnectAttempts: 2 });
+
+  await session.start();
+  adapter._connect = async () => {
+    throw new Error('offline');
+  };
+  adapter._handleDisconnect({ reason: 'error' });
+
+  await wait(60);
+  assert.equal(session.getState(), 'failed');
+});